@@ -8,18 +8,21 @@ const activate = async () => {
     await mongoose.connect(process.env.MONGO_URI);
     console.log('✅ Connected to MongoDB');
 
+    // Restaurants still in onboarding only go live through approval
     const result = await Restaurant.updateMany(
-      {},
+      { 'onboarding.status': 'approved' },
       { $set: { isActive: true, status: 'open' } }
     );
 
-    console.log(`✅ Activated ${result.modifiedCount} restaurants`);
+    console.log(`✅ Activated ${result.modifiedCount} approved restaurants`);
     
     const total = await Restaurant.countDocuments();
     const active = await Restaurant.countDocuments({ isActive: true });
+    const pending = await Restaurant.countDocuments({ 'onboarding.status': { $ne: 'approved' } });
     
     console.log(`📊 Total restaurants: ${total}`);
     console.log(`📊 Active restaurants: ${active}`);
+    console.log(`📊 Still in onboarding (left untouched): ${pending}`);
 
     mongoose.connection.close();
     process.exit(0);
@@ -0,0 +1,62 @@
+// checkTrips.js
+// Check that the trip screens get the contact details they show: each
+// order's customer name and phone and each pickup restaurant's phone.
+// Loads trips exactly as the /api/trips routes do.
+// Run: node checkTrips.js [tripId]
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Trip = require('./models/Trip');
+require('./models/Order');
+require('./models/User');
+require('./models/Restaurant');
+const { populateTrip } = require('./services/batching');
+
+const tripId = process.argv[2];
+
+const checkTrips = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    const trips = tripId
+      ? [await populateTrip(Trip.findById(tripId)).lean()].filter(Boolean)
+      : await populateTrip(Trip.find()).sort({ createdAt: -1 }).limit(10).lean();
+
+    if (trips.length === 0) {
+      console.log('❌ No trips found');
+      mongoose.connection.close();
+      process.exit(1);
+    }
+
+    let missing = 0;
+
+    for (const trip of trips) {
+      console.log(`🧺 Trip ${trip._id} (${trip.status})`);
+
+      for (const order of trip.orders.filter(Boolean)) {
+        const name = order.user?.name;
+        const phone = order.user?.phone;
+        if (!name || !phone) missing++;
+        console.log(`   - order ${order.orderNumber}: customer ${name || '❌ no name'}, ${phone || '❌ no phone'}`);
+      }
+
+      for (const stop of trip.stops.filter(stop => stop.type === 'pickup')) {
+        const phone = stop.restaurant?.contact?.phone;
+        if (!phone) missing++;
+        console.log(`   - pickup ${stop.restaurant?.name || stop.restaurant?._id || '❌ no restaurant'}: ${phone || '❌ no phone'}`);
+      }
+    }
+
+    console.log(`\n📊 Trips checked: ${trips.length}`);
+    console.log(`📊 Missing contact details: ${missing}`);
+
+    mongoose.connection.close();
+    process.exit(missing > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+};
+
+checkTrips();
@@ -302,6 +302,15 @@ const optionalAuth = async (req, res, next) => {
 
     const token = authHeader.split(' ')[1];
     const decoded = jwt.verify(token, JWT_SECRET);
+
+    // Admin dashboard tokens resolve to an Admin, like authMiddleware
+    const admin = await Admin.findById(decoded.id || decoded.adminId).select('-password');
+    if (admin) {
+      req.admin = admin;
+      req.user = admin;
+      return next();
+    }
+
     const user = await User.findById(decoded.userId || decoded.id).select('-password');
     
     req.user = user || null;
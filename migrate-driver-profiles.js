@@ -0,0 +1,94 @@
+// migrate-driver-profiles.js
+// Backfill a Driver profile for every driver user that does not have one,
+// copying vehicle, licence, rating and location from the User document, and
+// mark documents verified before review statuses existed as approved.
+// Run: node migrate-driver-profiles.js [--dry-run]
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Driver = require('./models/Driver');
+const { DOCUMENT_TYPES } = require('./services/driverDocuments');
+const {
+  normalizeVehicleType,
+  ensureDriverProfile,
+  findDriversWithoutProfile
+} = require('./services/driverProfile');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrate = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+    if (dryRun) console.log('🧪 Dry run - nothing will be written\n');
+
+    const users = await findDriversWithoutProfile();
+    console.log(`📋 ${users.length} driver users without a Driver profile`);
+
+    let created = 0;
+    let failed = 0;
+
+    for (const user of users) {
+      const warnings = [];
+      if (!normalizeVehicleType(user.vehicleType)) {
+        warnings.push(`vehicle type "${user.vehicleType || ''}" -> car`);
+      }
+      if (!user.vehicleNumber) warnings.push('no vehicle number');
+      if (!user.licenseNumber) warnings.push('no licence number');
+
+      const note = warnings.length > 0 ? ` ⚠️ ${warnings.join(', ')}` : '';
+
+      if (dryRun) {
+        console.log(`   - would create: ${user.name} <${user.email}>${note}`);
+        continue;
+      }
+
+      try {
+        await ensureDriverProfile(user);
+        created++;
+        console.log(`   - created: ${user.name} <${user.email}>${note}`);
+      } catch (error) {
+        failed++;
+        console.error(`   - ❌ ${user.name} <${user.email}>: ${error.message}`);
+      }
+    }
+
+    // Legacy verified: true documents with no review status
+    let documentsApproved = 0;
+    for (const type of DOCUMENT_TYPES) {
+      const filter = {
+        [`documents.${type}.verified`]: true,
+        [`documents.${type}.status`]: { $in: [null, 'missing'] }
+      };
+      const count = await Driver.countDocuments(filter);
+      if (count === 0) continue;
+
+      console.log(`   - ${dryRun ? 'would approve' : 'approve'}: ${count} verified ${type} document(s)`);
+      if (!dryRun) {
+        await Driver.updateMany(filter, { $set: { [`documents.${type}.status`]: 'approved' } });
+      }
+      documentsApproved += count;
+    }
+
+    // Profiles whose user account no longer exists
+    const orphans = await Driver.aggregate([
+      { $lookup: { from: 'users', localField: 'user', foreignField: '_id', as: 'account' } },
+      { $match: { account: { $size: 0 } } },
+      { $project: { _id: 1 } }
+    ]);
+
+    console.log(`\n📊 Profiles created: ${created}`);
+    console.log(`📊 Failed: ${failed}`);
+    console.log(`📊 Verified documents ${dryRun ? 'to approve' : 'approved'}: ${documentsApproved}`);
+    console.log(`📊 Driver profiles without a user account: ${orphans.length}`);
+    console.log(`📊 Total driver profiles: ${await Driver.countDocuments()}`);
+
+    mongoose.connection.close();
+    process.exit(failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+};
+
+migrate();
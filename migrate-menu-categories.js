@@ -0,0 +1,146 @@
+// migrate-menu-categories.js
+// Menu items used to pick from one fixed list of 14 categories. Give every
+// restaurant its own MenuCategory for each of those names its items use,
+// in the old list's order, and link the items (and any bundle "any X"
+// slots) to them. Safe to run again: linked items are skipped.
+// Run: node migrate-menu-categories.js [--dry-run]
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const MenuItem = require('./models/MenuItem');
+const MenuCategory = require('./models/MenuCategory');
+const Bundle = require('./models/Bundle');
+
+const dryRun = process.argv.includes('--dry-run');
+
+// The old enum, in the order the menu showed it
+const LEGACY_CATEGORIES = [
+  'Appetizers',
+  'Main Course',
+  'Desserts',
+  'Beverages',
+  'Sides',
+  'Salads',
+  'Soups',
+  'Pizza',
+  'Burgers',
+  'Sandwiches',
+  'Pasta',
+  'Seafood',
+  'Vegetarian',
+  'Specials'
+];
+
+const legacyOrder = (name) => {
+  const index = LEGACY_CATEGORIES.indexOf(name);
+  return index === -1 ? LEGACY_CATEGORIES.length : index;
+};
+
+const migrate = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+    if (dryRun) console.log('🧪 Dry run - nothing will be written\n');
+
+    if (!dryRun) {
+      await MenuCategory.createIndexes();
+      await MenuItem.createIndexes();
+    }
+
+    const unlinked = { menuCategory: null, category: { $nin: [null, ''] } };
+    const pairs = await MenuItem.aggregate([
+      { $match: unlinked },
+      { $group: { _id: { restaurant: '$restaurant', category: '$category' }, count: { $sum: 1 } } },
+      { $sort: { '_id.restaurant': 1 } }
+    ]);
+    console.log(`📋 ${pairs.length} restaurant/category pairs have unlinked menu items`);
+
+    let categoriesCreated = 0;
+    let itemsLinked = 0;
+    const categoryIds = new Map();
+
+    for (const { _id: { restaurant, category }, count } of pairs) {
+      let menuCategory = await MenuCategory.findByName(restaurant, category);
+
+      if (!menuCategory) {
+        categoriesCreated++;
+        console.log(`   - ${dryRun ? 'would create' : 'create'}: ${category} for restaurant ${restaurant} (${count} items)`);
+        if (!dryRun) {
+          menuCategory = await MenuCategory.create({
+            restaurant,
+            name: category,
+            displayOrder: legacyOrder(category)
+          });
+        } else {
+          // Lets the bundle pass below see categories a real run would create
+          categoryIds.set(`${restaurant}:${category}`, 'new');
+        }
+      }
+
+      if (menuCategory) {
+        categoryIds.set(`${restaurant}:${category}`, menuCategory._id);
+        if (!dryRun) {
+          const result = await MenuItem.updateMany(
+            { restaurant, category, menuCategory: null },
+            { $set: { menuCategory: menuCategory._id, category: menuCategory.name } }
+          );
+          itemsLinked += result.modifiedCount;
+          continue;
+        }
+      }
+      itemsLinked += count;
+    }
+
+    // Bundle slots that named a category instead of referencing one
+    const bundles = await Bundle.collection.find({ 'slots.category': { $type: 'string' } }).toArray();
+    let bundlesUpdated = 0;
+    let bundlesFailed = 0;
+
+    for (const bundle of bundles) {
+      const slots = [];
+      const unresolved = [];
+      for (const slot of bundle.slots) {
+        if (typeof slot.category !== 'string') {
+          slots.push(slot);
+          continue;
+        }
+        let id = categoryIds.get(`${bundle.restaurant}:${slot.category}`);
+        if (!id) {
+          const existing = await MenuCategory.findByName(bundle.restaurant, slot.category);
+          id = existing?._id;
+        }
+        if (!id) {
+          unresolved.push(`"${slot.name}" (${slot.category})`);
+          continue;
+        }
+        slots.push({ ...slot, category: id });
+      }
+
+      // A slot with no category could never be filled; leave the bundle as it is
+      if (unresolved.length > 0) {
+        bundlesFailed++;
+        console.error(`   - ❌ bundle "${bundle.name}": no matching category for slot ${unresolved.join(', ')}`);
+        continue;
+      }
+
+      bundlesUpdated++;
+      console.log(`   - ${dryRun ? 'would update' : 'update'} bundle: ${bundle.name}`);
+      if (!dryRun) {
+        await Bundle.collection.updateOne({ _id: bundle._id }, { $set: { slots } });
+      }
+    }
+
+    console.log(`\n📊 Categories ${dryRun ? 'to create' : 'created'}: ${categoriesCreated}`);
+    console.log(`📊 Menu items ${dryRun ? 'to link' : 'linked'}: ${itemsLinked}`);
+    console.log(`📊 Bundles ${dryRun ? 'to update' : 'updated'}: ${bundlesUpdated}`);
+    console.log(`📊 Bundles failed: ${bundlesFailed}`);
+
+    mongoose.connection.close();
+    process.exit(bundlesFailed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+};
+
+migrate();
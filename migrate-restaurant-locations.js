@@ -0,0 +1,75 @@
+// migrate-restaurant-locations.js
+// Fill Restaurant.location (GeoJSON point) from address.coordinates, build
+// the 2dsphere index and drop the old latitude/longitude compound index.
+// Run: node migrate-restaurant-locations.js [--dry-run]
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Restaurant = require('./models/Restaurant');
+
+const LEGACY_INDEX = 'address.coordinates.latitude_1_address.coordinates.longitude_1';
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrate = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+    if (dryRun) console.log('🧪 Dry run - nothing will be written\n');
+
+    const restaurants = await Restaurant.find().select('name address location').lean();
+    console.log(`📋 ${restaurants.length} restaurants`);
+
+    const updates = [];
+    let skipped = 0;
+
+    for (const restaurant of restaurants) {
+      const point = Restaurant.toGeoPoint(restaurant.address?.coordinates);
+      if (!point) {
+        skipped++;
+        console.log(`   - ⚠️ ${restaurant.name}: no valid coordinates, skipped`);
+        continue;
+      }
+
+      const current = restaurant.location?.coordinates;
+      if (current && current[0] === point.coordinates[0] && current[1] === point.coordinates[1]) {
+        continue;
+      }
+
+      updates.push({
+        updateOne: {
+          filter: { _id: restaurant._id },
+          update: { $set: { location: point } }
+        }
+      });
+      console.log(`   - ${dryRun ? 'would set' : 'set'}: ${restaurant.name} -> [${point.coordinates.join(', ')}]`);
+    }
+
+    if (!dryRun) {
+      if (updates.length > 0) {
+        await Restaurant.bulkWrite(updates);
+      }
+
+      await Restaurant.createIndexes();
+      console.log('✅ 2dsphere index on location is in place');
+
+      const indexes = await Restaurant.collection.indexes();
+      if (indexes.some(index => index.name === LEGACY_INDEX)) {
+        await Restaurant.collection.dropIndex(LEGACY_INDEX);
+        console.log(`🗑️ Dropped old index ${LEGACY_INDEX}`);
+      }
+    }
+
+    console.log(`\n📊 Locations ${dryRun ? 'to set' : 'set'}: ${updates.length}`);
+    console.log(`📊 Skipped (no valid coordinates): ${skipped}`);
+    console.log(`📊 Already up to date: ${restaurants.length - updates.length - skipped}`);
+
+    mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+};
+
+migrate();
@@ -0,0 +1,60 @@
+// migrate-restaurant-onboarding.js
+// Restaurants created before the onboarding pipeline were already live, so
+// mark every restaurant without an onboarding status as approved. New
+// restaurants start as drafts and must be approved before they are listed.
+// Run: node migrate-restaurant-onboarding.js [--dry-run]
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Restaurant = require('./models/Restaurant');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrate = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+    if (dryRun) console.log('🧪 Dry run - nothing will be written\n');
+
+    const filter = { 'onboarding.status': { $exists: false } };
+    const restaurants = await Restaurant.find(filter).select('name isActive').lean();
+    const total = await Restaurant.countDocuments();
+    console.log(`📋 ${restaurants.length} of ${total} restaurants have no onboarding status`);
+
+    for (const restaurant of restaurants) {
+      console.log(`   - ${dryRun ? 'would approve' : 'approve'}: ${restaurant.name}${restaurant.isActive ? '' : ' (inactive)'}`);
+    }
+
+    if (!dryRun && restaurants.length > 0) {
+      const now = new Date();
+      await Restaurant.updateMany(filter, {
+        $set: {
+          'onboarding.status': 'approved',
+          'onboarding.decidedAt': now,
+          'onboarding.reviewComment': null,
+          'onboarding.history': [{
+            status: 'approved',
+            timestamp: now,
+            comment: 'Live before onboarding was introduced'
+          }]
+        }
+      });
+    }
+
+    if (!dryRun) {
+      await Restaurant.createIndexes();
+      console.log('✅ Index on onboarding.status is in place');
+    }
+
+    console.log(`\n📊 Restaurants ${dryRun ? 'to approve' : 'approved'}: ${restaurants.length}`);
+    console.log(`📊 Already in onboarding: ${total - restaurants.length}`);
+
+    mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+};
+
+migrate();
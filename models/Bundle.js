@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// A combo meal sold at one price, e.g. burger + any side + any drink.
+// Each slot is either a fixed menu item or a choice the customer makes,
+// from a list of items or from everything in a menu category.
+const bundleSchema = new mongoose.Schema({
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restaurant',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Bundle name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  price: {
+    type: Number,
+    required: [true, 'Bundle price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  slots: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    quantity: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    // Fixed slot: always this item
+    menuItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MenuItem',
+      default: null
+    },
+    // Choice slot: one of these items...
+    choices: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MenuItem'
+    }],
+    // ...or any item in this menu category ("any Beverage")
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MenuCategory',
+      default: null
+    }
+  }],
+  isAvailable: {
+    type: Boolean,
+    default: true
+  },
+  displayOrder: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+bundleSchema.index({ restaurant: 1, isAvailable: 1 });
+
+module.exports = mongoose.models.Bundle || mongoose.model('Bundle', bundleSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Named sequence counters, incremented atomically with $inc.
+// _id is the sequence key, e.g. "order:20261018".
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Static method: Get the next value of a sequence, creating it on first use
+counterSchema.statics.next = async function(key) {
+  const counter = await this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 }, $setOnInsert: { createdAt: new Date() } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.models.Counter || mongoose.model('Counter', counterSchema);
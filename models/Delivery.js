@@ -16,6 +16,13 @@ const deliverySchema = new mongoose.Schema({
     required: true
   },
   
+  // Multi-order trip this delivery is part of, if it was batched
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    default: null
+  },
+  
   // Delivery status
   status: {
     type: String,
@@ -75,6 +82,22 @@ const deliverySchema = new mongoose.Schema({
     }
   },
   
+  // Geofence crossings (see services/geofence.js)
+  arrivals: {
+    pickupAt: {
+      type: Date,
+      default: null
+    },
+    pickupDepartedAt: {
+      type: Date,
+      default: null
+    },
+    dropoffAt: {
+      type: Date,
+      default: null
+    }
+  },
+  
   // Route tracking (breadcrumb trail)
   route: [{
     latitude: Number,
@@ -102,7 +125,15 @@ const deliverySchema = new mongoose.Schema({
     signature: String, // URL to signature image
     photo: String, // URL to delivery photo
     notes: String,
-    timestamp: Date
+    timestamp: Date,
+    pinVerified: {
+      type: Boolean,
+      default: false
+    },
+    pinAttempts: {
+      type: Number,
+      default: 0
+    }
   },
   
   // Earnings for this delivery
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// An area a restaurant delivers to, with its own fee and minimum order.
+// Radius zones reach maxDistanceKm from the restaurant (rings are several
+// radius zones with increasing distances and fees). Polygon zones cover
+// the drawn area, optionally capped at maxDistanceKm.
+const deliveryZoneSchema = new mongoose.Schema({
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restaurant',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Zone name is required'],
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['radius', 'polygon'],
+    required: true
+  },
+  polygon: [{
+    _id: false,
+    latitude: Number,
+    longitude: Number
+  }],
+  maxDistanceKm: {
+    type: Number,
+    default: null,
+    min: [0, 'Maximum distance cannot be negative']
+  },
+  deliveryFee: {
+    type: Number,
+    required: true,
+    min: [0, 'Delivery fee cannot be negative']
+  },
+  // Added per kilometre from the restaurant on top of deliveryFee
+  perKmFee: {
+    type: Number,
+    default: 0,
+    min: [0, 'Per-km fee cannot be negative']
+  },
+  // null uses the restaurant's minimumOrder
+  minimumOrder: {
+    type: Number,
+    default: null,
+    min: [0, 'Minimum order cannot be negative']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+deliveryZoneSchema.index({ restaurant: 1, isActive: 1 });
+
+module.exports = mongoose.models.DeliveryZone || mongoose.model('DeliveryZone', deliveryZoneSchema);
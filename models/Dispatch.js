@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// One auto-dispatch attempt for an order: the ranked candidates, the offer
+// currently waiting on a driver, and a log of every decision made.
+const dispatchSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['searching', 'offered', 'assigned', 'failed', 'cancelled'],
+    default: 'searching'
+  },
+
+  // Eligible drivers, best first
+  candidates: [{
+    driver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    distanceKm: Number,
+    activeOrders: Number
+  }],
+
+  // Offer waiting for the driver to accept or decline
+  currentOffer: {
+    driver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    offeredAt: {
+      type: Date,
+      default: null
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    }
+  },
+
+  assignedDriver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Who started the dispatch (null when started automatically)
+  startedBy: {
+    id: mongoose.Schema.Types.ObjectId,
+    userType: String,
+    name: String
+  },
+
+  // Why each driver was chosen or skipped
+  log: [{
+    timestamp: {
+      type: Date,
+      default: Date.now
+    },
+    event: {
+      type: String,
+      enum: ['started', 'ranked', 'skipped', 'offered', 'accepted', 'declined', 'expired', 'assigned', 'failed', 'cancelled']
+    },
+    driver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reason: String,
+    distanceKm: Number,
+    activeOrders: Number
+  }]
+}, {
+  timestamps: true
+});
+
+dispatchSchema.index({ order: 1, createdAt: -1 });
+dispatchSchema.index({ status: 1, 'currentOffer.expiresAt': 1 });
+dispatchSchema.index({ 'currentOffer.driver': 1, status: 1 });
+
+module.exports = mongoose.models.Dispatch || mongoose.model('Dispatch', dispatchSchema);
@@ -1,5 +1,28 @@
 ﻿const mongoose = require('mongoose');
 
+// Fields of a verification document (licence, insurance, vehicle registration)
+const documentFields = () => ({
+  url: String,
+  verified: {
+    type: Boolean,
+    default: false
+  },
+  verifiedAt: Date,
+  status: {
+    type: String,
+    enum: ['missing', 'pending', 'approved', 'rejected'],
+    default: 'missing'
+  },
+  uploadedAt: Date,
+  // Verification lapses after this date
+  expiresAt: Date,
+  rejectionReason: String,
+  reviewedBy: {
+    id: mongoose.Schema.Types.ObjectId,
+    name: String
+  }
+});
+
 const driverSchema = new mongoose.Schema({
   // Reference to User model - this is the key relationship
   user: {
@@ -40,6 +63,12 @@ const driverSchema = new mongoose.Schema({
     min: 0,
     max: 5
   },
+  // Customer ratings behind `rating` (0 = still the starting 5.0)
+  ratingCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   totalDeliveries: {
     type: Number,
     default: 0
@@ -81,30 +110,9 @@ const driverSchema = new mongoose.Schema({
   
   // Documents
   documents: {
-    license: {
-      url: String,
-      verified: {
-        type: Boolean,
-        default: false
-      },
-      verifiedAt: Date
-    },
-    insurance: {
-      url: String,
-      verified: {
-        type: Boolean,
-        default: false
-      },
-      verifiedAt: Date
-    },
-    vehicleRegistration: {
-      url: String,
-      verified: {
-        type: Boolean,
-        default: false
-      },
-      verifiedAt: Date
-    }
+    license: documentFields(),
+    insurance: documentFields(),
+    vehicleRegistration: documentFields()
   },
   
   // Earnings
@@ -143,5 +151,8 @@ driverSchema.pre('save', function(next) {
 driverSchema.index({ user: 1 });
 driverSchema.index({ status: 1 });
 driverSchema.index({ isAvailable: 1 });
+driverSchema.index({ 'documents.license.status': 1 });
+driverSchema.index({ 'documents.insurance.status': 1 });
+driverSchema.index({ 'documents.vehicleRegistration.status': 1 });
 
 module.exports = mongoose.model('Driver', driverSchema);
\ No newline at end of file
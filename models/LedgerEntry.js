@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Driver earnings ledger. Credits are written when a delivery completes and
+// stay 'pending' until a payout batch pays them out; each payout batch
+// writes one negative 'payout' entry per driver.
+const ledgerEntrySchema = new mongoose.Schema({
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['credit', 'payout', 'adjustment'],
+    required: true
+  },
+  // Positive for credits, negative for payouts
+  amount: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'paid'],
+    default: 'pending'
+  },
+  delivery: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Delivery',
+    default: null
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  payoutBatch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayoutBatch',
+    default: null
+  },
+  // Earnings breakdown for credits
+  breakdown: {
+    baseFee: Number,
+    distanceFee: Number,
+    tip: Number
+  },
+  description: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ledgerEntrySchema.index({ driver: 1, createdAt: -1 });
+ledgerEntrySchema.index({ status: 1, type: 1, createdAt: 1 });
+ledgerEntrySchema.index({ payoutBatch: 1 });
+// A delivery is credited at most once
+ledgerEntrySchema.index(
+  { delivery: 1, type: 1 },
+  { unique: true, partialFilterExpression: { type: 'credit' } }
+);
+
+module.exports = mongoose.models.LedgerEntry || mongoose.model('LedgerEntry', ledgerEntrySchema);
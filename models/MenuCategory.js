@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// A restaurant's own menu section ("Burgers", "Dairy", "Chef's specials").
+// Menu items point at one through menuItem.menuCategory and keep its name
+// in menuItem.category.
+const menuCategorySchema = new mongoose.Schema({
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restaurant',
+    required: [true, 'Restaurant is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    maxlength: [60, 'Category name cannot be more than 60 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  image: {
+    filename: String,
+    url: String,
+    cloudinaryId: String,
+    uploadedAt: Date
+  },
+  displayOrder: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Names are unique per restaurant regardless of case
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+menuCategorySchema.index(
+  { restaurant: 1, name: 1 },
+  { unique: true, collation: NAME_COLLATION }
+);
+menuCategorySchema.index({ restaurant: 1, displayOrder: 1 });
+
+// Static method: A restaurant's categories in menu order
+menuCategorySchema.statics.findForRestaurant = function(restaurantId) {
+  return this.find({ restaurant: restaurantId }).sort({ displayOrder: 1, name: 1 });
+};
+
+// Static method: Find a restaurant's category by name, ignoring case
+menuCategorySchema.statics.findByName = function(restaurantId, name) {
+  return this.findOne({ restaurant: restaurantId, name: String(name).trim() }).collation(NAME_COLLATION);
+};
+
+// Static method: Group menu items under their restaurant's categories.
+// Returns [{ category, items }] in menu order, skipping empty categories;
+// items without a category come last under category null.
+menuCategorySchema.statics.groupMenuItems = async function(restaurantId, items) {
+  const categories = await this.findForRestaurant(restaurantId).lean();
+
+  const itemsByCategory = new Map();
+  for (const item of items) {
+    const key = item.menuCategory ? String(item.menuCategory._id || item.menuCategory) : null;
+    if (!itemsByCategory.has(key)) itemsByCategory.set(key, []);
+    itemsByCategory.get(key).push(item);
+  }
+
+  const groups = categories
+    .filter(category => itemsByCategory.has(String(category._id)))
+    .map(category => ({ category, items: itemsByCategory.get(String(category._id)) }));
+
+  // Items whose category was never migrated or no longer exists
+  const known = new Set(categories.map(category => String(category._id)));
+  const uncategorised = [...itemsByCategory.entries()]
+    .filter(([key]) => !known.has(key))
+    .flatMap(([, list]) => list);
+  if (uncategorised.length > 0) {
+    groups.push({ category: null, items: uncategorised });
+  }
+
+  return groups;
+};
+
+module.exports = mongoose.models.MenuCategory || mongoose.model('MenuCategory', menuCategorySchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const MenuCategory = require('./MenuCategory');
 
 const menuItemSchema = new mongoose.Schema({
   name: {
@@ -21,25 +22,17 @@ const menuItemSchema = new mongoose.Schema({
     index: true
   },
   
+  // The restaurant's own MenuCategory; its name is kept in category
+  menuCategory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MenuCategory',
+    default: null
+  },
+
   category: {
     type: String,
     required: [true, 'Category is required'],
-    enum: [
-      'Appetizers', 
-      'Main Course', 
-      'Desserts', 
-      'Beverages', 
-      'Sides', 
-      'Salads', 
-      'Soups', 
-      'Pizza', 
-      'Burgers', 
-      'Sandwiches', 
-      'Pasta', 
-      'Seafood', 
-      'Vegetarian', 
-      'Specials'
-    ]
+    trim: true
   },
   
   price: {
@@ -48,6 +41,50 @@ const menuItemSchema = new mongoose.Schema({
     min: [0, 'Price cannot be negative']
   },
   
+  // Choices such as size or extra toppings; each option adjusts the price
+  optionGroups: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    selectionType: {
+      type: String,
+      enum: ['single', 'multiple'],
+      default: 'single'
+    },
+    minSelections: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    maxSelections: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    options: [{
+      name: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      // Added to the item price when chosen (may be negative)
+      priceDelta: {
+        type: Number,
+        default: 0
+      },
+      isAvailable: {
+        type: Boolean,
+        default: true
+      },
+      isDefault: {
+        type: Boolean,
+        default: false
+      }
+    }]
+  }],
+  
   // Image with Cloudinary support
   image: {
     filename: { 
@@ -190,6 +227,7 @@ const menuItemSchema = new mongoose.Schema({
 
 // Indexes for efficient queries
 menuItemSchema.index({ restaurant: 1, category: 1 });
+menuItemSchema.index({ restaurant: 1, menuCategory: 1 });
 menuItemSchema.index({ restaurant: 1, isAvailable: 1 });
 menuItemSchema.index({ category: 1, isAvailable: 1 });
 menuItemSchema.index({ featured: 1, restaurant: 1 });
@@ -252,12 +290,28 @@ menuItemSchema.methods.incrementOrderCount = async function(quantity = 1) {
 };
 
 // Method: Update rating
+// Done as one pipeline update so concurrent reviews can't overwrite each other
 menuItemSchema.methods.updateRating = async function(newRating) {
-  const totalRating = (this.rating.average * this.rating.count) + newRating;
-  this.rating.count += 1;
-  this.rating.average = totalRating / this.rating.count;
-  
-  return this.save();
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    [{
+      $set: {
+        'rating.average': {
+          $divide: [
+            { $add: [{ $multiply: ['$rating.average', '$rating.count'] }, newRating] },
+            { $add: ['$rating.count', 1] }
+          ]
+        },
+        'rating.count': { $add: ['$rating.count', 1] }
+      }
+    }],
+    { new: true }
+  );
+
+  if (updated) {
+    this.rating = updated.rating;
+  }
+  return updated;
 };
 
 // Static method: Find popular items
@@ -270,13 +324,25 @@ menuItemSchema.statics.findPopular = function(restaurantId, limit = 10) {
   .limit(limit);
 };
 
-// Static method: Find items by category
-menuItemSchema.statics.findByCategory = function(restaurantId, category, includeUnavailable = false) {
-  const query = { restaurant: restaurantId, category };
+// Static method: Find items grouped by the restaurant's menu categories,
+// as [{ category, items }]. Pass a category (id, document or legacy name)
+// to get just that group.
+menuItemSchema.statics.findByCategory = async function(restaurantId, category = null, includeUnavailable = false) {
+  const query = { restaurant: restaurantId };
+  if (category) {
+    const id = category._id || category;
+    if (mongoose.isObjectIdOrHexString(id)) {
+      query.menuCategory = id;
+    } else {
+      query.category = category;
+    }
+  }
   if (!includeUnavailable) {
     query.isAvailable = true;
   }
-  return this.find(query).sort({ displayOrder: 1, name: 1 });
+
+  const items = await this.find(query).sort({ displayOrder: 1, name: 1 });
+  return MenuCategory.groupMenuItems(restaurantId, items);
 };
 
 // Static method: Find featured items
@@ -7,6 +7,13 @@ const orderSchema = new mongoose.Schema({
     unique: true,
     index: true
   },
+  // Short code for support lookups (e.g. "K7Q2MX")
+  shortCode: {
+    type: String,
+    unique: true,
+    sparse: true,
+    uppercase: true
+  },
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -35,10 +42,19 @@ const orderSchema = new mongoose.Schema({
       required: true
     },
     description: String,
+    // Unit price charged: basePrice plus the chosen options' price deltas
     price: {
       type: Number,
       required: true
     },
+    basePrice: Number,
+    options: [{
+      group: mongoose.Schema.Types.ObjectId,
+      groupName: String,
+      option: mongoose.Schema.Types.ObjectId,
+      name: String,
+      priceDelta: Number
+    }],
     quantity: {
       type: Number,
       required: true,
@@ -48,7 +64,18 @@ const orderSchema = new mongoose.Schema({
     image: mongoose.Schema.Types.Mixed,
     images: [mongoose.Schema.Types.Mixed],
     category: String,
-    specialInstructions: String
+    specialInstructions: String,
+    // Set on each component line of an ordered combo; lines sharing a key
+    // came from the same bundle
+    bundle: {
+      bundle: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Bundle'
+      },
+      name: String,
+      key: String,
+      slot: String
+    }
   }],
   deliveryAddress: {
     street: String,
@@ -102,15 +129,71 @@ const orderSchema = new mongoose.Schema({
     tax: Number,
     total: Number
   },
+  // Delivery zone the fee and minimum order came from
+  deliveryZone: {
+    zone: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DeliveryZone'
+    },
+    name: String,
+    distanceKm: Number
+  },
   statusHistory: [{
     status: String,
+    from: String,
     timestamp: {
       type: Date,
       default: Date.now
-    }
+    },
+    // Who made the change (admin, vendor, driver or customer)
+    changedBy: {
+      id: mongoose.Schema.Types.ObjectId,
+      userType: String,
+      name: String
+    },
+    note: String
   }],
+  // Arrival and departure events detected from the driver's GPS
+  trackingEvents: [{
+    type: {
+      type: String,
+      enum: ['arrived_at_pickup', 'departed_pickup', 'arrived_at_dropoff']
+    },
+    timestamp: Date,
+    location: {
+      latitude: Number,
+      longitude: Number
+    },
+    distanceMeters: Number
+  }],
+  // PIN the customer gives the driver at handover (proof of delivery).
+  // Never loaded unless asked for with select('+deliveryPin').
+  deliveryPin: {
+    type: String,
+    select: false
+  },
+  // Set while the order holds menu item stock; cleared when it is given back
+  stockReservedAt: {
+    type: Date,
+    default: null
+  },
   estimatedDeliveryTime: Date,
   actualDeliveryTime: Date,
+  // Every ETA prediction made for the order (see services/eta.js); the
+  // first one is the time promised at confirmation
+  etaHistory: [{
+    status: String,
+    estimatedDeliveryTime: Date,
+    calculatedAt: Date,
+    breakdown: {
+      prepMinutes: Number,
+      queueMinutes: Number,
+      busyMinutes: Number,
+      driverToRestaurantMinutes: Number,
+      travelMinutes: Number,
+      handoverMinutes: Number
+    }
+  }],
   notes: String
 }, {
   timestamps: true
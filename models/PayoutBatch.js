@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// One run of driver payouts: every pending credit up to periodEnd
+const payoutBatchSchema = new mongoose.Schema({
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  payouts: [{
+    driver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    amount: Number,
+    credits: Number
+  }],
+  total: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    id: mongoose.Schema.Types.ObjectId,
+    userType: String,
+    name: String
+  },
+  notes: String
+}, {
+  timestamps: true
+});
+
+payoutBatchSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.models.PayoutBatch || mongoose.model('PayoutBatch', payoutBatchSchema);
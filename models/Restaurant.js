@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { isValidCoordinate } = require('../utils/geo');
 
 const restaurantSchema = new mongoose.Schema({
   name: {
@@ -68,6 +69,18 @@ const restaurantSchema = new mongoose.Schema({
       }
     }
   },
+  // GeoJSON copy of address.coordinates for distance queries ([longitude, latitude]).
+  // Kept in sync on save; backfill with migrate-restaurant-locations.js
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
   deliveryFee: {
     type: Number,
     default: 0,
@@ -93,6 +106,27 @@ const restaurantSchema = new mongoose.Schema({
     enum: ['open', 'closed', 'busy'],
     default: 'open'
   },
+  // When busy mode switched on by hand ends (null = until switched off)
+  busyUntil: {
+    type: Date,
+    default: null
+  },
+  // Busy mode tuning; null uses the BUSY_* environment defaults
+  busySettings: {
+    extraPrepMinutes: {
+      type: Number,
+      default: null
+    },
+    openOrderThreshold: {
+      type: Number,
+      default: null
+    },
+    // Cap on new orders per throttle window while busy (null = no cap)
+    maxOrdersPerWindow: {
+      type: Number,
+      default: null
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -106,6 +140,82 @@ const restaurantSchema = new mongoose.Schema({
     saturday: { open: String, close: String },
     sunday: { open: String, close: String }
   },
+  // Timezone the opening hours are in (IANA name, e.g. Africa/Johannesburg)
+  timezone: {
+    type: String,
+    default: () => process.env.RESTAURANT_DEFAULT_TIMEZONE || 'Africa/Johannesburg'
+  },
+  // Holidays and special dates; replace the weekly hours for that date
+  hoursOverrides: [{
+    date: String, // YYYY-MM-DD in the restaurant's timezone
+    closed: {
+      type: Boolean,
+      default: false
+    },
+    open: String,
+    close: String,
+    note: String
+  }],
+  // Temporarily closed until this time
+  pausedUntil: {
+    type: Date,
+    default: null
+  },
+  pauseReason: {
+    type: String,
+    default: null
+  },
+  // Last state the opening-hours scheduler applied ('open' | 'closed')
+  scheduledStatus: {
+    type: String,
+    default: null
+  },
+  // Proof of delivery the driver must capture before an order can be delivered
+  proofOfDelivery: {
+    required: {
+      type: Boolean,
+      default: false
+    },
+    requirePin: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Onboarding pipeline; only approved restaurants are listed publicly.
+  // Restaurants from before onboarding existed: migrate-restaurant-onboarding.js
+  onboarding: {
+    status: {
+      type: String,
+      enum: ['draft', 'submitted', 'in_review', 'approved', 'rejected'],
+      default: 'draft'
+    },
+    contactVerifiedAt: {
+      type: Date,
+      default: null
+    },
+    submittedAt: Date,
+    reviewStartedAt: Date,
+    decidedAt: Date,
+    // Admin's comment on the latest approval or rejection
+    reviewComment: {
+      type: String,
+      default: null
+    },
+    history: [{
+      status: String,
+      from: String,
+      timestamp: {
+        type: Date,
+        default: Date.now
+      },
+      changedBy: {
+        id: mongoose.Schema.Types.ObjectId,
+        userType: String,
+        name: String
+      },
+      comment: String
+    }]
+  },
   tags: [{
     type: String
   }],
@@ -122,7 +232,26 @@ restaurantSchema.index({ name: 'text', cuisine: 'text' });
 restaurantSchema.index({ vendor: 1 });
 restaurantSchema.index({ isActive: 1 });
 restaurantSchema.index({ status: 1 });
-restaurantSchema.index({ 'address.coordinates.latitude': 1, 'address.coordinates.longitude': 1 });
+restaurantSchema.index({ 'onboarding.status': 1 });
+restaurantSchema.index({ location: '2dsphere' });
+
+// GeoJSON point for a { latitude, longitude } pair, or undefined if missing
+// or out of range (the 2dsphere index rejects those, failing the save)
+restaurantSchema.statics.toGeoPoint = function(coordinates) {
+  const latitude = coordinates?.latitude;
+  const longitude = coordinates?.longitude;
+  if (!isValidCoordinate(latitude, longitude)) {
+    return undefined;
+  }
+  return { type: 'Point', coordinates: [longitude, latitude] };
+};
+
+restaurantSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('address')) {
+    this.location = this.constructor.toGeoPoint(this.address?.coordinates);
+  }
+  next();
+});
 
 // Virtual for full address
 restaurantSchema.virtual('fullAddress').get(function() {
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// A 1-5 star rating with optional text
+const ratingFields = (required = false) => ({
+  rating: {
+    type: Number,
+    required,
+    min: 1,
+    max: 5
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  }
+});
+
+// A customer's review of a delivered order: the restaurant, optionally the
+// driver and any of the dishes. One review per order.
+const reviewSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restaurant',
+    required: true
+  },
+  // Driver's User id (null when the driver was not rated)
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  restaurantRating: ratingFields(true),
+  driverRating: ratingFields(),
+  items: [{
+    menuItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MenuItem',
+      required: true
+    },
+    name: String,
+    ...ratingFields(true)
+  }],
+
+  // Moderation: hidden reviews are left out of listings and aggregates
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
+  hiddenReason: {
+    type: String,
+    default: null
+  },
+  hiddenAt: {
+    type: Date,
+    default: null
+  },
+  hiddenBy: {
+    id: mongoose.Schema.Types.ObjectId,
+    userType: String,
+    name: String
+  }
+}, {
+  timestamps: true
+});
+
+reviewSchema.index({ restaurant: 1, isHidden: 1, createdAt: -1 });
+reviewSchema.index({ driver: 1, isHidden: 1 });
+reviewSchema.index({ 'items.menuItem': 1, isHidden: 1 });
+reviewSchema.index({ customer: 1, createdAt: -1 });
+
+module.exports = mongoose.models.Review || mongoose.model('Review', reviewSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// A driver shift. Booked shifts have planned start/end times; clocking in
+// without a booking creates an ad-hoc shift with no plan.
+const shiftSchema = new mongoose.Schema({
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['scheduled', 'active', 'completed', 'missed', 'cancelled'],
+    default: 'scheduled'
+  },
+
+  // Planned coverage (null for ad-hoc shifts)
+  startsAt: {
+    type: Date,
+    default: null
+  },
+  endsAt: {
+    type: Date,
+    default: null
+  },
+
+  // Actual coverage
+  clockInAt: {
+    type: Date,
+    default: null
+  },
+  clockOutAt: {
+    type: Date,
+    default: null
+  },
+
+  notes: String
+}, {
+  timestamps: true
+});
+
+shiftSchema.index({ driver: 1, startsAt: 1 });
+shiftSchema.index({ status: 1 });
+shiftSchema.index({ startsAt: 1, endsAt: 1 });
+shiftSchema.index({ clockInAt: 1, clockOutAt: 1 });
+// A driver can only be clocked in once at a time
+shiftSchema.index(
+  { driver: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+
+module.exports = mongoose.models.Shift || mongoose.model('Shift', shiftSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const locationFields = {
+  latitude: Number,
+  longitude: Number,
+  address: String
+};
+
+// A single driver run that carries several orders. Stops are visited in
+// sequence; each order has a pickup stop before its dropoff stop.
+const tripSchema = new mongoose.Schema({
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'cancelled'],
+    default: 'active'
+  },
+
+  orders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+
+  stops: [{
+    sequence: Number,
+    type: {
+      type: String,
+      enum: ['pickup', 'dropoff']
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    restaurant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Restaurant'
+    },
+    location: locationFields,
+    eta: Date,
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'skipped'],
+      default: 'pending'
+    },
+    completedAt: Date
+  }],
+
+  // Planned driving distance over all stops
+  distanceKm: Number,
+
+  createdBy: {
+    id: mongoose.Schema.Types.ObjectId,
+    userType: String,
+    name: String
+  },
+
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+tripSchema.index({ driver: 1, status: 1 });
+tripSchema.index({ orders: 1 });
+tripSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.models.Trip || mongoose.model('Trip', tripSchema);
@@ -32,7 +32,9 @@ const userSchema = new mongoose.Schema({
     required: true
   },
   
-  // Driver-specific fields (only used when userType is 'driver')
+  // Driver-specific fields (only used when userType is 'driver').
+  // Legacy copies of the Driver profile, which is the source of truth;
+  // kept in sync by services/driverProfile.js.
   vehicleType: {
     type: String,
     default: null
@@ -1,10 +1,11 @@
 ﻿const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middleware/authMiddleware');
-const Driver = require('../models/Driver');
 const Order = require('../models/Order');
 const Delivery = require('../models/Delivery');
 const User = require('../models/User');
+const { getOnShiftDriverIds, countDriversOnShiftAt } = require('../services/shifts');
+const { getEtaAccuracy } = require('../services/eta');
 
 // Helper function to calculate percentage change
 const calculatePercentageChange = (current, previous) => {
@@ -22,12 +23,9 @@ router.get('/stats', authMiddleware, async (req, res) => {
     const lastWeek = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
     const twoWeeksAgo = new Date(now.getTime() - 14 * 24 * 60 * 60 * 1000);
 
-    // Active Drivers (status: active)
-    const activeDrivers = await Driver.countDocuments({ status: 'active' });
-    const activeDriversLastWeek = await Driver.countDocuments({
-      status: 'active',
-      createdAt: { $lte: lastWeek }
-    });
+    // Active Drivers (clocked in to a shift)
+    const activeDrivers = (await getOnShiftDriverIds()).size;
+    const activeDriversLastWeek = await countDriversOnShiftAt(lastWeek);
     const activeDriversChange = calculatePercentageChange(activeDrivers, activeDriversLastWeek);
 
     // Active Orders (status: confirmed, picked_up, in_transit)
@@ -132,6 +130,31 @@ router.get('/chart-data', authMiddleware, async (req, res) => {
   }
 });
 
+// @route   GET /api/dashboard/eta-accuracy?days=30
+// @desc    Predicted (at confirmation) versus actual delivery times
+// @access  Private
+router.get('/eta-accuracy', authMiddleware, async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || 30;
+    const now = new Date();
+    const from = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+
+    const accuracy = await getEtaAccuracy(from, now);
+
+    res.status(200).json({
+      success: true,
+      data: accuracy
+    });
+  } catch (error) {
+    console.error('ETA accuracy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching ETA accuracy',
+      error: error.message
+    });
+  }
+});
+
 // @route   GET /api/dashboard/ai-suggestions
 // @desc    Get AI-based suggestions based on data analysis
 // @access  Private
@@ -170,7 +193,7 @@ router.get('/ai-suggestions', authMiddleware, async (req, res) => {
     }
 
     // Check driver availability
-    const activeDriversCount = await Driver.countDocuments({ status: 'active' });
+    const activeDriversCount = (await getOnShiftDriverIds()).size;
     const activeOrdersCount = await Order.countDocuments({
       status: { $in: ['confirmed', 'picked_up', 'in_transit'] }
     });
@@ -0,0 +1,268 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const authMiddleware = require('../middleware/authMiddleware');
+const DeliveryZone = require('../models/DeliveryZone');
+const Restaurant = require('../models/Restaurant');
+const { isValidCoordinate } = require('../utils/geo');
+const {
+  SERVING_RESTAURANTS,
+  parseZoneInput,
+  resolveDeliveryZone,
+  findServingRestaurants
+} = require('../services/deliveryZones');
+
+// @route   GET /api/delivery-zones/check?latitude=&longitude=&restaurantId=
+// @desc    Can this address be served? For one restaurant, or list every
+//          restaurant that delivers there when restaurantId is omitted
+// @access  Public
+router.get('/check', async (req, res) => {
+  try {
+    const latitude = parseFloat(req.query.latitude);
+    const longitude = parseFloat(req.query.longitude);
+
+    if (!isValidCoordinate(latitude, longitude)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid latitude and longitude are required'
+      });
+    }
+
+    const location = { latitude, longitude };
+
+    if (!req.query.restaurantId) {
+      const restaurants = await findServingRestaurants(location);
+      return res.status(200).json({
+        success: true,
+        count: restaurants.length,
+        data: {
+          serviceable: restaurants.length > 0,
+          restaurants
+        }
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.query.restaurantId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid restaurant ID'
+      });
+    }
+
+    const restaurant = await Restaurant.findOne({ _id: req.query.restaurantId, ...SERVING_RESTAURANTS })
+      .select('name address deliveryFee minimumOrder')
+      .lean();
+    if (!restaurant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Restaurant not found'
+      });
+    }
+
+    const result = await resolveDeliveryZone(restaurant, location);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        restaurant: { _id: restaurant._id, name: restaurant.name },
+        ...result
+      }
+    });
+  } catch (error) {
+    console.error('Error checking delivery area:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking delivery area',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/delivery-zones/restaurant/:restaurantId
+// @desc    Get a restaurant's delivery zones
+// @access  Private
+router.get('/restaurant/:restaurantId', authMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.restaurantId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid restaurant ID'
+      });
+    }
+
+    const zones = await DeliveryZone.find({ restaurant: req.params.restaurantId })
+      .sort({ deliveryFee: 1, name: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: zones.length,
+      data: zones
+    });
+  } catch (error) {
+    console.error('Error fetching delivery zones:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching delivery zones',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/delivery-zones/:id
+// @desc    Get a delivery zone
+// @access  Private
+router.get('/:id', authMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid zone ID'
+      });
+    }
+
+    const zone = await DeliveryZone.findById(req.params.id).populate('restaurant', 'name address').lean();
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery zone not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: zone
+    });
+  } catch (error) {
+    console.error('Error fetching delivery zone:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching delivery zone',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/delivery-zones
+// @desc    Create a delivery zone for a restaurant
+// @access  Private
+router.post('/', authMiddleware, async (req, res) => {
+  try {
+    const { restaurant: restaurantId } = req.body;
+
+    if (!restaurantId || !mongoose.Types.ObjectId.isValid(restaurantId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid restaurant is required'
+      });
+    }
+
+    const restaurant = await Restaurant.findById(restaurantId).select('name');
+    if (!restaurant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Restaurant not found'
+      });
+    }
+
+    const zone = await DeliveryZone.create({
+      restaurant: restaurant._id,
+      ...parseZoneInput(req.body)
+    });
+
+    console.log(`🗺️ Delivery zone "${zone.name}" created for ${restaurant.name}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Delivery zone created',
+      data: zone
+    });
+  } catch (error) {
+    console.error('Error creating delivery zone:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error creating delivery zone',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/delivery-zones/:id
+// @desc    Update a delivery zone
+// @access  Private
+router.put('/:id', authMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid zone ID'
+      });
+    }
+
+    const zone = await DeliveryZone.findById(req.params.id);
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery zone not found'
+      });
+    }
+
+    zone.set(parseZoneInput(req.body, zone));
+    await zone.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Delivery zone updated',
+      data: zone
+    });
+  } catch (error) {
+    console.error('Error updating delivery zone:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error updating delivery zone',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/delivery-zones/:id
+// @desc    Delete a delivery zone
+// @access  Private
+router.delete('/:id', authMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid zone ID'
+      });
+    }
+
+    const zone = await DeliveryZone.findByIdAndDelete(req.params.id);
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery zone not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Delivery zone deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting delivery zone:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting delivery zone',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
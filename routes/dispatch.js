@@ -0,0 +1,205 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/authMiddleware');
+const { userAuthMiddleware, driverMiddleware } = require('../middleware/auth');
+const Dispatch = require('../models/Dispatch');
+const { actorFromRequest } = require('../services/orderStatus');
+const { startDispatch, respondToOffer } = require('../services/dispatch');
+
+const populateDispatch = (query) => {
+  return query
+    .populate('order', 'orderNumber shortCode status restaurant')
+    .populate('currentOffer.driver', 'name phone vehicleType')
+    .populate('assignedDriver', 'name phone vehicleType')
+    .populate('log.driver', 'name phone');
+};
+
+// ========================================
+// DRIVER ROUTES
+// ========================================
+
+// @route   GET /api/dispatch/offers/mine
+// @desc    Get the offers currently waiting on the logged-in driver
+// @access  Driver
+router.get('/offers/mine', userAuthMiddleware, driverMiddleware, async (req, res) => {
+  try {
+    const offers = await Dispatch.find({
+      status: 'offered',
+      'currentOffer.driver': req.user._id,
+      'currentOffer.expiresAt': { $gt: new Date() }
+    })
+      .populate({
+        path: 'order',
+        select: 'orderNumber shortCode restaurant deliveryAddress items totalAmount',
+        populate: { path: 'restaurant', select: 'name address' }
+      })
+      .select('order currentOffer')
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: offers.length,
+      data: offers
+    });
+  } catch (error) {
+    console.error('Error fetching dispatch offers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching dispatch offers',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/dispatch/:id/accept
+// @desc    Accept an order offer
+// @access  Driver
+router.post('/:id/accept', userAuthMiddleware, driverMiddleware, async (req, res) => {
+  try {
+    const { dispatch, order } = await respondToOffer(req.params.id, req.user, true);
+
+    res.status(200).json({
+      success: true,
+      message: 'Offer accepted. Order assigned to you.',
+      data: {
+        dispatchId: dispatch._id,
+        order: {
+          _id: order._id,
+          orderNumber: order.orderNumber,
+          status: order.status,
+          restaurant: order.restaurant,
+          deliveryAddress: order.deliveryAddress,
+          items: order.items.map(item => ({ name: item.name, quantity: item.quantity })),
+          estimatedDeliveryTime: order.estimatedDeliveryTime
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error accepting dispatch offer:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error accepting offer',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/dispatch/:id/decline
+// @desc    Decline an order offer so it moves to the next driver
+// @access  Driver
+router.post('/:id/decline', userAuthMiddleware, driverMiddleware, async (req, res) => {
+  try {
+    await respondToOffer(req.params.id, req.user, false);
+
+    res.status(200).json({
+      success: true,
+      message: 'Offer declined'
+    });
+  } catch (error) {
+    console.error('Error declining dispatch offer:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error declining offer',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// ADMIN ROUTES
+// ========================================
+
+// @route   GET /api/dispatch
+// @desc    Get recent dispatches (optionally filtered by status)
+// @access  Private
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const { status, limit = 50 } = req.query;
+
+    const query = {};
+    if (status && status !== 'all') {
+      query.status = status;
+    }
+
+    const dispatches = await populateDispatch(Dispatch.find(query))
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: dispatches.length,
+      data: dispatches
+    });
+  } catch (error) {
+    console.error('Error fetching dispatches:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching dispatches',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/dispatch/orders/:orderId
+// @desc    Start auto-dispatch for an order
+// @access  Private
+router.post('/orders/:orderId', authMiddleware, async (req, res) => {
+  try {
+    const dispatch = await startDispatch(req.params.orderId, actorFromRequest(req));
+    await dispatch.populate([
+      { path: 'currentOffer.driver', select: 'name phone vehicleType' },
+      { path: 'log.driver', select: 'name phone' }
+    ]);
+
+    res.status(201).json({
+      success: true,
+      message: dispatch.status === 'offered'
+        ? 'Dispatch started. Order offered to the closest driver.'
+        : 'Dispatch started but no eligible driver was found',
+      data: dispatch
+    });
+  } catch (error) {
+    console.error('Error starting dispatch:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error starting dispatch',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/dispatch/orders/:orderId
+// @desc    Get the dispatch log for an order, newest attempt first
+// @access  Private
+router.get('/orders/:orderId', authMiddleware, async (req, res) => {
+  try {
+    const dispatches = await populateDispatch(Dispatch.find({ order: req.params.orderId }))
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: dispatches.length,
+      data: dispatches
+    });
+  } catch (error) {
+    console.error('Error fetching dispatch log:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching dispatch log',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,90 +1,89 @@
 const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middleware/authMiddleware');
+const { userAuthMiddleware, driverMiddleware } = require('../middleware/auth');
 const User = require('../models/User');
 const Delivery = require('../models/Delivery');
+const Driver = require('../models/Driver');
 const Order = require('../models/Order');
 const bcrypt = require('bcryptjs');
+const { upload } = require('../utils/upload');
+const { recordDriverLocation } = require('../services/driverTracking');
+const { recordProofOfDelivery } = require('../services/proofOfDelivery');
+const { transitionOrder, actorFromRequest } = require('../services/orderStatus');
+const {
+  uploadDriverDocument,
+  reviewDriverDocument,
+  getReviewQueue,
+  summarizeDocuments
+} = require('../services/driverDocuments');
+const {
+  VEHICLE_TYPES,
+  normalizeVehicleType,
+  ensureDriverProfile,
+  applyProfileChanges,
+  formatDriver
+} = require('../services/driverProfile');
+const {
+  markMissedShifts,
+  bookShift,
+  cancelShift,
+  clockIn,
+  clockOut,
+  buildRoster
+} = require('../services/shifts');
+const Shift = require('../models/Shift');
 
 // @route   GET /api/drivers
-// @desc    Get all drivers (users with userType: 'driver')
+// @desc    Get all drivers (Driver profiles joined with their user accounts)
 // @access  Private
 router.get('/', authMiddleware, async (req, res) => {
   try {
     const { status } = req.query;
-    
-    // Base query - get all users who are drivers
-    let query = { userType: 'driver' };
-    
-    // If filtering by status (active/inactive), add to query
-    // Note: We'll use isActive from User model
+
+    // Filter by profile status (active / inactive / busy)
+    const query = {};
     if (status && status !== 'all') {
-      if (status === 'active') {
-        query.isActive = true;
-      } else if (status === 'inactive') {
-        query.isActive = false;
-      }
+      query.status = status;
     }
 
-    const drivers = await User.find(query)
+    const profiles = await Driver.find(query)
+      .populate('user')
       .sort({ createdAt: -1 })
       .lean();
 
-    // Enrich with delivery stats and add missing fields
+    // Enrich with delivery stats
     const driversWithStats = await Promise.all(
-      drivers.map(async (driver) => {
-        const completedDeliveries = await Delivery.countDocuments({
-          driver: driver._id,
-          status: 'completed'
-        });
-
-        const activeDeliveries = await Delivery.countDocuments({
-          driver: driver._id,
-          status: { $in: ['assigned', 'ongoing'] }
-        });
-
-        // Get completed orders (alternative to deliveries)
-        const completedOrders = await Order.countDocuments({
-          driver: driver._id,
-          status: 'delivered'
-        });
-
-        // Return flattened structure that matches frontend expectations
-        return {
-          _id: driver._id,
-          name: driver.name,
-          email: driver.email,
-          phone: driver.phone,
-          userType: driver.userType,
-          isActive: driver.isActive,
-          isVerified: driver.isVerified,
-          // Return actual values or null, don't set 'N/A'
-          vehicleType: driver.vehicleType || null,
-          vehicleNumber: driver.vehicleNumber || null,
-          licenseNumber: driver.licenseNumber || null,
-          // Map isActive to status for frontend compatibility
-          status: driver.isActive ? 'active' : 'inactive',
-          rating: driver.rating || 5.0,
-          totalDeliveries: completedOrders || completedDeliveries || 0,
-          completedDeliveries: completedDeliveries || completedOrders || 0,
-          activeDeliveries: activeDeliveries || 0,
-          location: driver.location,
-          currentAddress: driver.currentAddress,
-          createdAt: driver.createdAt,
-          user: {
-            _id: driver._id,
-            name: driver.name,
-            email: driver.email,
-            phone: driver.phone,
-            userType: driver.userType,
-            isActive: driver.isActive,
-            isVerified: driver.isVerified
-          }
-        };
-      })
+      profiles
+        .filter(profile => profile.user && profile.user.userType === 'driver')
+        .map(async (profile) => {
+          const driver = profile.user;
+
+          const completedDeliveries = await Delivery.countDocuments({
+            driver: driver._id,
+            status: 'completed'
+          });
+
+          const activeDeliveries = await Delivery.countDocuments({
+            driver: driver._id,
+            status: { $in: ['assigned', 'ongoing'] }
+          });
+
+          // Get completed orders (alternative to deliveries)
+          const completedOrders = await Order.countDocuments({
+            driver: driver._id,
+            status: 'delivered'
+          });
+
+          return formatDriver(driver, profile, {
+            totalDeliveries: completedOrders || completedDeliveries,
+            completedDeliveries: completedDeliveries || completedOrders,
+            activeDeliveries
+          });
+        })
     );
 
-    console.log(`✅ Returning ${driversWithStats.length} drivers from users collection`);
+    console.log(`✅ Returning ${driversWithStats.length} drivers`);
 
     res.status(200).json({
       success: true,
@@ -137,6 +136,14 @@ router.post('/', authMiddleware, async (req, res) => {
       });
     }
 
+    const normalizedVehicleType = normalizeVehicleType(vehicleType);
+    if (!normalizedVehicleType) {
+      return res.status(400).json({
+        success: false,
+        message: `Vehicle type must be one of: ${VEHICLE_TYPES.join(', ')}`
+      });
+    }
+
     // Check if user with email already exists
     const existingUser = await User.findOne({ email: email.toLowerCase() });
     if (existingUser) {
@@ -159,15 +166,15 @@ router.post('/', authMiddleware, async (req, res) => {
     const salt = await bcrypt.genSalt(10);
     const hashedPassword = await bcrypt.hash(password, salt);
 
-    // Create new driver (user with userType: driver)
+    // Create the driver's user account
     const newDriver = new User({
       name,
       email: email.toLowerCase(),
       phone,
       password: hashedPassword,
       userType: 'driver',
-      // Add vehicle information directly to user
-      vehicleType,
+      // Legacy copies; the Driver profile below is the source of truth
+      vehicleType: normalizedVehicleType,
       vehicleNumber,
       licenseNumber,
       rating: 5.0,
@@ -199,37 +206,25 @@ router.post('/', authMiddleware, async (req, res) => {
     });
 
     await newDriver.save();
+
+    // Create the driver profile; remove the account again if that fails
+    let profile;
+    try {
+      profile = await Driver.create({
+        user: newDriver._id,
+        vehicleType: normalizedVehicleType,
+        vehicleNumber,
+        licenseNumber,
+        status: 'active'
+      });
+    } catch (profileError) {
+      await User.findByIdAndDelete(newDriver._id);
+      throw profileError;
+    }
+
     console.log('✅ Driver created:', newDriver._id);
 
-    // Format response to match frontend expectations
-    const driverResponse = {
-      _id: newDriver._id,
-      name: newDriver.name,
-      email: newDriver.email,
-      phone: newDriver.phone,
-      userType: newDriver.userType,
-      isActive: newDriver.isActive,
-      isVerified: newDriver.isVerified,
-      vehicleType: newDriver.vehicleType,
-      vehicleNumber: newDriver.vehicleNumber,
-      licenseNumber: newDriver.licenseNumber,
-      status: newDriver.isActive ? 'active' : 'inactive',
-      rating: newDriver.rating || 5.0,
-      totalDeliveries: 0,
-      completedDeliveries: 0,
-      activeDeliveries: 0,
-      location: newDriver.location,
-      createdAt: newDriver.createdAt,
-      user: {
-        _id: newDriver._id,
-        name: newDriver.name,
-        email: newDriver.email,
-        phone: newDriver.phone,
-        userType: newDriver.userType,
-        isActive: newDriver.isActive,
-        isVerified: newDriver.isVerified
-      }
-    };
+    const driverResponse = formatDriver(newDriver, profile);
 
     res.status(201).json({
       success: true,
@@ -246,6 +241,418 @@ router.post('/', authMiddleware, async (req, res) => {
   }
 });
 
+// @route   POST /api/drivers/me/location
+// @desc    Report the logged-in driver's GPS position (single point or { points: [...] })
+// @access  Driver
+router.post('/me/location', userAuthMiddleware, driverMiddleware, async (req, res) => {
+  try {
+    const result = await recordDriverLocation(req.user, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: `Recorded ${result.accepted} location point(s)`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error recording driver location:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error recording location',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/drivers/me/orders/:orderId/proof-of-delivery
+// @desc    Upload delivery photo and/or signature, verify the customer PIN,
+//          and optionally mark the order delivered (complete=true)
+// @access  Driver
+router.post('/me/orders/:orderId/proof-of-delivery', userAuthMiddleware, driverMiddleware, upload.fields([
+  { name: 'photo', maxCount: 1 },
+  { name: 'signature', maxCount: 1 }
+]), async (req, res) => {
+  try {
+    const { pin, notes, complete } = req.body;
+
+    const delivery = await recordProofOfDelivery(req.user, req.params.orderId, {
+      photo: req.files?.photo?.[0]?.buffer,
+      signature: req.files?.signature?.[0]?.buffer,
+      pin,
+      notes
+    });
+
+    let order = null;
+    if (complete === 'true' || complete === true) {
+      const actor = { id: req.user._id, userType: 'driver', name: req.user.name };
+
+      // Proof can be taken straight after pickup; step through in_transit so
+      // the move to delivered is a legal transition
+      const current = await Order.findById(req.params.orderId).select('status').lean();
+      if (current?.status === 'picked_up') {
+        await transitionOrder(req.params.orderId, 'in_transit', {
+          actor,
+          note: 'On the way (completed with proof of delivery)'
+        });
+      }
+
+      order = await transitionOrder(req.params.orderId, 'delivered', {
+        actor,
+        note: 'Delivered with proof of delivery'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: order ? 'Proof recorded and order delivered' : 'Proof of delivery recorded',
+      data: {
+        proofOfDelivery: {
+          photo: delivery.proofOfDelivery.photo,
+          signature: delivery.proofOfDelivery.signature,
+          notes: delivery.proofOfDelivery.notes,
+          timestamp: delivery.proofOfDelivery.timestamp,
+          pinVerified: delivery.proofOfDelivery.pinVerified
+        },
+        orderStatus: order ? order.status : undefined
+      }
+    });
+  } catch (error) {
+    console.error('Error recording proof of delivery:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error recording proof of delivery',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/drivers/shifts/roster?date=YYYY-MM-DD
+// @desc    Planned vs actual driver coverage per hour for a day, in the
+//          roster timezone (SHIFT_ROSTER_TIMEZONE)
+// @access  Private
+router.get('/shifts/roster', authMiddleware, async (req, res) => {
+  try {
+    const roster = await buildRoster(req.query.date);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...roster,
+        understaffedHours: roster.hours.filter(hour => hour.gap < 0).length
+      }
+    });
+  } catch (error) {
+    console.error('Error building shift roster:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error building shift roster',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/drivers/me/shifts
+// @desc    Get the logged-in driver's current and upcoming shifts
+// @access  Driver
+router.get('/me/shifts', userAuthMiddleware, driverMiddleware, async (req, res) => {
+  try {
+    await markMissedShifts();
+
+    const shifts = await Shift.find({
+      driver: req.user._id,
+      $or: [
+        { status: { $in: ['scheduled', 'active'] } },
+        { endsAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) } }
+      ]
+    }).sort({ startsAt: 1, clockInAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: shifts.length,
+      data: {
+        onShift: shifts.some(shift => shift.status === 'active'),
+        shifts
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching driver shifts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching shifts',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/drivers/me/shifts
+// @desc    Book a shift (startsAt, endsAt)
+// @access  Driver
+router.post('/me/shifts', userAuthMiddleware, driverMiddleware, async (req, res) => {
+  try {
+    const { startsAt, endsAt, notes } = req.body;
+    const shift = await bookShift(req.user._id, { startsAt, endsAt, notes });
+
+    res.status(201).json({
+      success: true,
+      message: 'Shift booked',
+      data: shift
+    });
+  } catch (error) {
+    console.error('Error booking shift:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error booking shift',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/drivers/me/shifts/:shiftId
+// @desc    Cancel a booked shift
+// @access  Driver
+router.delete('/me/shifts/:shiftId', userAuthMiddleware, driverMiddleware, async (req, res) => {
+  try {
+    const shift = await cancelShift(req.user._id, req.params.shiftId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Shift cancelled',
+      data: shift
+    });
+  } catch (error) {
+    console.error('Error cancelling shift:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling shift',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/drivers/me/clock-in
+// @desc    Clock in and start receiving orders
+// @access  Driver
+router.post('/me/clock-in', userAuthMiddleware, driverMiddleware, async (req, res) => {
+  try {
+    const shift = await clockIn(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Clocked in',
+      data: shift
+    });
+  } catch (error) {
+    console.error('Error clocking in:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error clocking in',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/drivers/me/clock-out
+// @desc    Clock out and stop receiving orders
+// @access  Driver
+router.post('/me/clock-out', userAuthMiddleware, driverMiddleware, async (req, res) => {
+  try {
+    const shift = await clockOut(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Clocked out',
+      data: shift
+    });
+  } catch (error) {
+    console.error('Error clocking out:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error clocking out',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/drivers/documents/review-queue
+// @desc    Get driver documents waiting for review, oldest first
+// @access  Private
+router.get('/documents/review-queue', authMiddleware, async (req, res) => {
+  try {
+    const queue = await getReviewQueue();
+
+    res.status(200).json({
+      success: true,
+      count: queue.length,
+      data: queue
+    });
+  } catch (error) {
+    console.error('Error fetching document review queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching document review queue',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/drivers/me/documents
+// @desc    Get the logged-in driver's documents and their review state
+// @access  Driver
+router.get('/me/documents', userAuthMiddleware, driverMiddleware, async (req, res) => {
+  try {
+    const profile = await ensureDriverProfile(req.user);
+
+    res.status(200).json({
+      success: true,
+      data: summarizeDocuments(profile)
+    });
+  } catch (error) {
+    console.error('Error fetching driver documents:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching documents',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/drivers/me/documents/:type
+// @desc    Upload a document (license, insurance, vehicleRegistration) for review
+// @access  Driver
+router.put('/me/documents/:type', userAuthMiddleware, driverMiddleware, upload.single('document'), async (req, res) => {
+  try {
+    const profile = await ensureDriverProfile(req.user);
+    await uploadDriverDocument(profile, req.params.type, req.file?.buffer, {
+      expiresAt: req.body.expiresAt
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Document uploaded and waiting for review',
+      data: summarizeDocuments(profile)
+    });
+  } catch (error) {
+    console.error('Error uploading driver document:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error uploading document',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/drivers/:id/documents
+// @desc    Get a driver's documents and their review state
+// @access  Private
+router.get('/:id/documents', authMiddleware, async (req, res) => {
+  try {
+    const driver = await User.findById(req.params.id);
+    if (!driver || driver.userType !== 'driver') {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver not found'
+      });
+    }
+
+    const profile = await ensureDriverProfile(driver);
+
+    res.status(200).json({
+      success: true,
+      data: summarizeDocuments(profile)
+    });
+  } catch (error) {
+    console.error('Error fetching driver documents:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching documents',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/drivers/:id/documents/:type/approve
+// @desc    Approve a document; body.expiresAt sets when verification lapses
+// @access  Private
+router.post('/:id/documents/:type/approve', authMiddleware, async (req, res) => {
+  try {
+    const actor = actorFromRequest(req);
+    const profile = await reviewDriverDocument(req.params.id, req.params.type, {
+      approve: true,
+      expiresAt: req.body.expiresAt,
+      reviewer: { id: actor.id, name: actor.name }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Document approved',
+      data: summarizeDocuments(profile)
+    });
+  } catch (error) {
+    console.error('Error approving driver document:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error approving document',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/drivers/:id/documents/:type/reject
+// @desc    Reject a document with a reason the driver can see
+// @access  Private
+router.post('/:id/documents/:type/reject', authMiddleware, async (req, res) => {
+  try {
+    const actor = actorFromRequest(req);
+    const profile = await reviewDriverDocument(req.params.id, req.params.type, {
+      approve: false,
+      reason: req.body.reason,
+      reviewer: { id: actor.id, name: actor.name }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Document rejected',
+      data: summarizeDocuments(profile)
+    });
+  } catch (error) {
+    console.error('Error rejecting driver document:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error rejecting document',
+      error: error.message
+    });
+  }
+});
+
 // @route   PUT /api/drivers/:id
 // @desc    Update driver information
 // @access  Private
@@ -273,52 +680,51 @@ router.put('/:id', authMiddleware, async (req, res) => {
       });
     }
 
-    // Update user fields
+    const normalizedVehicleType = vehicleType ? normalizeVehicleType(vehicleType) : undefined;
+    if (vehicleType && !normalizedVehicleType) {
+      return res.status(400).json({
+        success: false,
+        message: `Vehicle type must be one of: ${VEHICLE_TYPES.join(', ')}`
+      });
+    }
+
+    if (status && !['active', 'inactive', 'busy'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be one of: active, inactive, busy'
+      });
+    }
+
+    const profile = await ensureDriverProfile(driver);
+
+    // Update account fields
     if (name) driver.name = name;
     if (email) driver.email = email.toLowerCase();
     if (phone) driver.phone = phone;
-    if (vehicleType) driver.vehicleType = vehicleType;
-    if (vehicleNumber) driver.vehicleNumber = vehicleNumber;
-    if (licenseNumber) driver.licenseNumber = licenseNumber;
     if (location) driver.location = location;
-    
-    // Map status to isActive
+
+    // Update profile fields (mirrored onto the user for legacy readers)
+    applyProfileChanges(driver, profile, {
+      vehicleType: normalizedVehicleType,
+      vehicleNumber: vehicleNumber || undefined,
+      licenseNumber: licenseNumber || undefined,
+      status: status || undefined,
+      location
+    });
+
+    // Only an inactive driver has their account switched off
     if (status) {
-      driver.isActive = (status === 'active');
+      driver.isActive = status !== 'inactive';
     }
 
     driver.updatedAt = Date.now();
     
     console.log('💾 Saving driver updates...');
+    await profile.save();
     await driver.save();
     console.log('✅ Driver saved successfully');
 
-    // Return formatted response
-    const driverResponse = {
-      _id: driver._id,
-      name: driver.name,
-      email: driver.email,
-      phone: driver.phone,
-      userType: driver.userType,
-      isActive: driver.isActive,
-      isVerified: driver.isVerified,
-      vehicleType: driver.vehicleType,
-      vehicleNumber: driver.vehicleNumber,
-      licenseNumber: driver.licenseNumber,
-      status: driver.isActive ? 'active' : 'inactive',
-      rating: driver.rating || 5.0,
-      totalDeliveries: 0,
-      location: driver.location,
-      user: {
-        _id: driver._id,
-        name: driver.name,
-        email: driver.email,
-        phone: driver.phone,
-        userType: driver.userType,
-        isActive: driver.isActive,
-        isVerified: driver.isVerified
-      }
-    };
+    const driverResponse = formatDriver(driver, profile);
 
     res.status(200).json({
       success: true,
@@ -423,7 +829,8 @@ router.delete('/:id', authMiddleware, async (req, res) => {
       });
     }
 
-    // Delete driver (user)
+    // Delete driver profile and user account
+    await Driver.deleteOne({ user: driver._id });
     await User.findByIdAndDelete(req.params.id);
 
     res.status(200).json({
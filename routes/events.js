@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const { authMiddleware } = require('../middleware/auth');
+const { subscribe } = require('../services/realtime');
+
+// EventSource cannot set headers, so the JWT may also be passed as ?token=
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+// @route   GET /api/events
+// @desc    Server-Sent Events stream of order and driver updates.
+//          Admins receive everything, customers their own orders,
+//          drivers their assignments.
+// @access  Private (admin, customer or driver token)
+router.get('/', tokenFromQuery, authMiddleware, (req, res) => {
+  const user = req.user;
+  // Admin documents have no userType
+  const role = user.userType || 'admin';
+
+  if (!['admin', 'customer', 'driver'].includes(role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Realtime updates are not available for this account type'
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const unsubscribe = subscribe(res, { role, userId: user._id });
+  req.on('close', unsubscribe);
+});
+
+module.exports = router;
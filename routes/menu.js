@@ -1,54 +1,39 @@
 const express = require('express');
 const router = express.Router();
 const MenuItem = require('../models/MenuItem');
+const Bundle = require('../models/Bundle');
+const MenuCategory = require('../models/MenuCategory');
 const Restaurant = require('../models/Restaurant');
 const authMiddleware = require('../middleware/auth');
-const multer = require('multer');
-const cloudinary = require('cloudinary').v2;
-const { Readable } = require('stream');
-
-// Configure multer for memory storage
-const storage = multer.memoryStorage();
-const upload = multer({ 
-  storage: storage,
-  limits: { fileSize: 5 * 1024 * 1024 },
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = /jpeg|jpg|png|gif|webp/;
-    const mimetype = allowedTypes.test(file.mimetype);
-    if (mimetype) {
-      return cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed!'));
-    }
-  }
-});
-
-// Helper function to upload to Cloudinary
-const uploadToCloudinary = (buffer) => {
-  return new Promise((resolve, reject) => {
-    const uploadStream = cloudinary.uploader.upload_stream(
-      {
-        folder: 'menu-items',
-        transformation: [
-          { 
-            width: 600,
-            height: 450,
-            crop: 'fill',
-            gravity: 'auto',
-            quality: 'auto:best',
-            fetch_format: 'auto'
-          }
-        ]
-      },
-      (error, result) => {
-        if (error) reject(error);
-        else resolve(result);
-      }
-    );
-    const readableStream = Readable.from(buffer);
-    readableStream.pipe(uploadStream);
-  });
-};
+const { upload } = require('../utils/upload');
+const {
+  isAdmin,
+  ownsRestaurant,
+  assertCanManageRestaurant,
+  findManagedRestaurant
+} = require('../services/restaurantAccess');
+const {
+  createMenuItem,
+  updateMenuItem,
+  toggleMenuItemAvailability,
+  setOptionGroups,
+  toggleOptionAvailability,
+  deleteMenuItem
+} = require('../services/menuItems');
+const {
+  listMenuBundles,
+  createBundle,
+  updateBundle,
+  toggleBundleAvailability,
+  deleteBundle
+} = require('../services/bundles');
+const {
+  listMenuCategories,
+  categoryFilter,
+  createMenuCategory,
+  updateMenuCategory,
+  deleteMenuCategory
+} = require('../services/menuCategories');
 
 // ========================================
 // ROUTE ORDER IS CRITICAL!
@@ -62,8 +47,9 @@ router.get('/restaurant/:restaurantId', authMiddleware, async (req, res) => {
     
     const query = { restaurant: req.params.restaurantId };
     
+    // A category id, or a category name from older clients
     if (category) {
-      query.category = category;
+      Object.assign(query, categoryFilter(category));
     }
     
     if (available !== undefined) {
@@ -74,12 +60,29 @@ router.get('/restaurant/:restaurantId', authMiddleware, async (req, res) => {
       .populate('restaurant', 'name')
       .sort({ category: 1, name: 1 });
 
-    console.log(`✅ Found ${menuItems.length} menu items for restaurant ${req.params.restaurantId}`);
+    // The same items as sections in the restaurant's category order
+    const categories = await MenuCategory.groupMenuItems(req.params.restaurantId, menuItems);
+
+    // Combos have no category of their own, so only the full menu lists them.
+    // Switched-off combos are shown on request or to whoever manages the menu.
+    let bundles = [];
+    if (!category) {
+      let includeUnavailable = available === 'false';
+      if (available === undefined && req.user) {
+        const restaurant = await Restaurant.findById(req.params.restaurantId).select('vendor').lean();
+        includeUnavailable = isAdmin(req.user) || ownsRestaurant(req.user, restaurant);
+      }
+      bundles = await listMenuBundles(req.params.restaurantId, { includeUnavailable });
+    }
+
+    console.log(`✅ Found ${menuItems.length} menu items and ${bundles.length} bundles for restaurant ${req.params.restaurantId}`);
 
     res.json({
       success: true,
       data: menuItems,
-      count: menuItems.length
+      count: menuItems.length,
+      categories,
+      bundles
     });
 
   } catch (error) {
@@ -97,21 +100,9 @@ router.post('/', authMiddleware, upload.single('image'), async (req, res) => {
   try {
     console.log('📥 Creating menu item');
 
-    const {
-      restaurantId,
-      name,
-      description,
-      category,
-      price,
-      isVegetarian,
-      isVegan,
-      isGlutenFree,
-      spiceLevel,
-      preparationTime,
-      calories
-    } = req.body;
-
-    if (!restaurantId || !name || !price || !category || !description) {
+    const { restaurantId } = req.body;
+
+    if (!restaurantId) {
       return res.status(400).json({
         success: false,
         message: 'Restaurant ID, name, description, price, and category are required'
@@ -126,39 +117,7 @@ router.post('/', authMiddleware, upload.single('image'), async (req, res) => {
       });
     }
 
-    let imageData = null;
-    if (req.file) {
-      console.log('📤 Uploading menu item image to Cloudinary...');
-      const result = await uploadToCloudinary(req.file.buffer);
-      
-      imageData = {
-        filename: req.file.originalname,
-        url: result.secure_url,
-        cloudinaryId: result.public_id,
-        uploadedAt: new Date()
-      };
-      
-      console.log('✅ Image uploaded to Cloudinary:', result.secure_url);
-    }
-
-    const menuItem = new MenuItem({
-      restaurant: restaurantId,
-      name,
-      description,
-      category,
-      price: parseFloat(price),
-      image: imageData,
-      isAvailable: true,
-      isVegetarian: isVegetarian === 'true',
-      isVegan: isVegan === 'true',
-      isGlutenFree: isGlutenFree === 'true',
-      spiceLevel: spiceLevel || 'None',
-      preparationTime: preparationTime ? parseInt(preparationTime) : 15,
-      calories: calories ? parseInt(calories) : null
-    });
-
-    await menuItem.save();
-    console.log('✅ Menu item created:', menuItem.name);
+    const menuItem = await createMenuItem(restaurant, req.body, req.file);
 
     res.status(201).json({
       success: true,
@@ -168,6 +127,9 @@ router.post('/', authMiddleware, upload.single('image'), async (req, res) => {
 
   } catch (error) {
     console.error('❌ Error creating menu item:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to create menu item',
@@ -176,6 +138,289 @@ router.post('/', authMiddleware, upload.single('image'), async (req, res) => {
   }
 });
 
+// GET /api/menu/restaurant/:restaurantId/categories - The restaurant's categories with item counts
+router.get('/restaurant/:restaurantId/categories', authMiddleware, async (req, res) => {
+  try {
+    const categories = await listMenuCategories(req.params.restaurantId);
+
+    res.json({
+      success: true,
+      data: categories,
+      count: categories.length
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching menu categories:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch menu categories',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/menu/categories - Create a menu category
+// Body (FormData or JSON): { restaurantId, name, description, displayOrder }, optional "image" file
+router.post('/categories', authMiddleware, upload.single('image'), async (req, res) => {
+  try {
+    const { restaurantId } = req.body;
+
+    if (!restaurantId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Restaurant ID and name are required'
+      });
+    }
+
+    const restaurant = await Restaurant.findById(restaurantId);
+    if (!restaurant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Restaurant not found'
+      });
+    }
+
+    assertCanManageRestaurant(req.user, restaurant);
+
+    const category = await createMenuCategory(restaurant, req.body, req.file);
+
+    res.status(201).json({
+      success: true,
+      message: 'Menu category created successfully',
+      data: category
+    });
+
+  } catch (error) {
+    console.error('❌ Error creating menu category:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create menu category',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/menu/categories/:categoryId - Update a menu category (a new name is copied onto its items)
+router.put('/categories/:categoryId', authMiddleware, upload.single('image'), async (req, res) => {
+  try {
+    const category = await MenuCategory.findById(req.params.categoryId);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Menu category not found'
+      });
+    }
+
+    await findManagedRestaurant(req.user, category.restaurant);
+
+    await updateMenuCategory(category, req.body, req.file);
+
+    res.json({
+      success: true,
+      message: 'Menu category updated successfully',
+      data: category
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating menu category:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update menu category',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/menu/categories/:categoryId - Delete an empty menu category
+router.delete('/categories/:categoryId', authMiddleware, async (req, res) => {
+  try {
+    const category = await MenuCategory.findById(req.params.categoryId);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Menu category not found'
+      });
+    }
+
+    await findManagedRestaurant(req.user, category.restaurant);
+
+    await deleteMenuCategory(category);
+
+    res.json({
+      success: true,
+      message: 'Menu category deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error deleting menu category:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete menu category',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/menu/bundles - Create a combo meal
+// Body: { restaurantId, name, description, price, displayOrder,
+//         slots: [{ name, quantity, menuItem | choices: [ids] | category (category ID) }] }
+router.post('/bundles', authMiddleware, async (req, res) => {
+  try {
+    const { restaurantId } = req.body;
+
+    if (!restaurantId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Restaurant ID, name, price, and slots are required'
+      });
+    }
+
+    const restaurant = await Restaurant.findById(restaurantId);
+    if (!restaurant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Restaurant not found'
+      });
+    }
+
+    assertCanManageRestaurant(req.user, restaurant);
+
+    const bundle = await createBundle(restaurant, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Bundle created successfully',
+      data: bundle
+    });
+
+  } catch (error) {
+    console.error('❌ Error creating bundle:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create bundle',
+      error: error.message
+    });
+  }
+});
+
+// PATCH /api/menu/bundles/:bundleId/toggle-availability - Take a combo off or back on the menu
+router.patch('/bundles/:bundleId/toggle-availability', authMiddleware, async (req, res) => {
+  try {
+    const bundle = await Bundle.findById(req.params.bundleId);
+
+    if (!bundle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bundle not found'
+      });
+    }
+
+    await findManagedRestaurant(req.user, bundle.restaurant);
+
+    await toggleBundleAvailability(bundle);
+
+    res.json({
+      success: true,
+      message: `Bundle ${bundle.isAvailable ? 'made available' : 'marked unavailable'}`,
+      data: bundle
+    });
+
+  } catch (error) {
+    console.error('❌ Error toggling bundle availability:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to toggle availability',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/menu/bundles/:bundleId - Update a combo (only the fields sent)
+router.put('/bundles/:bundleId', authMiddleware, async (req, res) => {
+  try {
+    const bundle = await Bundle.findById(req.params.bundleId);
+
+    if (!bundle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bundle not found'
+      });
+    }
+
+    await findManagedRestaurant(req.user, bundle.restaurant);
+
+    await updateBundle(bundle, req.body);
+
+    res.json({
+      success: true,
+      message: 'Bundle updated successfully',
+      data: bundle
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating bundle:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update bundle',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/menu/bundles/:bundleId - Delete a combo (its menu items are kept)
+router.delete('/bundles/:bundleId', authMiddleware, async (req, res) => {
+  try {
+    const bundle = await Bundle.findById(req.params.bundleId);
+
+    if (!bundle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bundle not found'
+      });
+    }
+
+    await findManagedRestaurant(req.user, bundle.restaurant);
+
+    await deleteBundle(bundle);
+
+    res.json({
+      success: true,
+      message: 'Bundle deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error deleting bundle:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete bundle',
+      error: error.message
+    });
+  }
+});
+
 // 3️⃣ PATCH /api/menu/:id/toggle-availability - BEFORE other :id routes
 router.patch('/:id/toggle-availability', authMiddleware, async (req, res) => {
   try {
@@ -190,10 +435,7 @@ router.patch('/:id/toggle-availability', authMiddleware, async (req, res) => {
       });
     }
 
-    menuItem.isAvailable = !menuItem.isAvailable;
-    await menuItem.save();
-
-    console.log(`✅ Menu item "${menuItem.name}" is now ${menuItem.isAvailable ? 'AVAILABLE' : 'UNAVAILABLE'}`);
+    await toggleMenuItemAvailability(menuItem);
 
     res.json({
       success: true,
@@ -211,6 +453,78 @@ router.patch('/:id/toggle-availability', authMiddleware, async (req, res) => {
   }
 });
 
+// PUT /api/menu/:id/option-groups - Replace the item's option groups
+// Body: { optionGroups: [{ name, selectionType: 'single'|'multiple', minSelections,
+//         maxSelections, options: [{ name, priceDelta, isAvailable, isDefault }] }] }
+router.put('/:id/option-groups', authMiddleware, async (req, res) => {
+  try {
+    const menuItem = await MenuItem.findById(req.params.id);
+
+    if (!menuItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Menu item not found'
+      });
+    }
+
+    await findManagedRestaurant(req.user, menuItem.restaurant);
+
+    await setOptionGroups(menuItem, req.body.optionGroups);
+
+    res.json({
+      success: true,
+      message: 'Menu item options updated',
+      data: menuItem
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating menu item options:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update menu item options',
+      error: error.message
+    });
+  }
+});
+
+// PATCH /api/menu/:id/options/:optionId/toggle-availability - Sell out or restore one option
+router.patch('/:id/options/:optionId/toggle-availability', authMiddleware, async (req, res) => {
+  try {
+    const menuItem = await MenuItem.findById(req.params.id);
+
+    if (!menuItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Menu item not found'
+      });
+    }
+
+    await findManagedRestaurant(req.user, menuItem.restaurant);
+
+    const option = await toggleOptionAvailability(menuItem, req.params.optionId);
+
+    res.json({
+      success: true,
+      message: `Option ${option.isAvailable ? 'made available' : 'marked unavailable'}`,
+      data: menuItem
+    });
+
+  } catch (error) {
+    console.error('❌ Error toggling option availability:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to toggle option availability',
+      error: error.message
+    });
+  }
+});
+
 // 4️⃣ PUT /api/menu/:id - Update menu item - BEFORE GET and DELETE
 router.put('/:id', authMiddleware, upload.single('image'), async (req, res) => {
   try {
@@ -218,19 +532,6 @@ router.put('/:id', authMiddleware, upload.single('image'), async (req, res) => {
     console.log('📦 Request body:', req.body);
     console.log('📷 Has file:', !!req.file);
 
-    const {
-      name,
-      description,
-      category,
-      price,
-      isVegetarian,
-      isVegan,
-      isGlutenFree,
-      spiceLevel,
-      preparationTime,
-      calories
-    } = req.body;
-
     const menuItem = await MenuItem.findById(req.params.id);
     
     if (!menuItem) {
@@ -243,48 +544,7 @@ router.put('/:id', authMiddleware, upload.single('image'), async (req, res) => {
 
     console.log('✅ Menu item found:', menuItem.name);
 
-    // Update fields
-    if (name) menuItem.name = name;
-    if (description !== undefined) menuItem.description = description;
-    if (category) menuItem.category = category;
-    if (price !== undefined) menuItem.price = parseFloat(price);
-    if (preparationTime !== undefined) menuItem.preparationTime = parseInt(preparationTime);
-    if (calories !== undefined) menuItem.calories = calories ? parseInt(calories) : null;
-    if (spiceLevel) menuItem.spiceLevel = spiceLevel;
-    
-    // Handle boolean values (they come as strings from FormData)
-    menuItem.isVegetarian = isVegetarian === 'true' || isVegetarian === true;
-    menuItem.isVegan = isVegan === 'true' || isVegan === true;
-    menuItem.isGlutenFree = isGlutenFree === 'true' || isGlutenFree === true;
-
-    // Update image if new one is provided
-    if (req.file) {
-      console.log('📤 Uploading new menu item image...');
-      
-      // Delete old image if exists
-      if (menuItem.image?.cloudinaryId) {
-        try {
-          await cloudinary.uploader.destroy(menuItem.image.cloudinaryId);
-          console.log('🗑️ Old image deleted from Cloudinary');
-        } catch (err) {
-          console.log('⚠️ Could not delete old image:', err.message);
-        }
-      }
-      
-      const result = await uploadToCloudinary(req.file.buffer);
-      
-      menuItem.image = {
-        filename: req.file.originalname,
-        url: result.secure_url,
-        cloudinaryId: result.public_id,
-        uploadedAt: new Date()
-      };
-      
-      console.log('✅ New image uploaded to Cloudinary');
-    }
-
-    await menuItem.save();
-    console.log('✅ Menu item updated successfully:', menuItem.name);
+    await updateMenuItem(menuItem, req.body, req.file);
 
     res.json({
       success: true,
@@ -294,6 +554,9 @@ router.put('/:id', authMiddleware, upload.single('image'), async (req, res) => {
 
   } catch (error) {
     console.error('❌ Error updating menu item:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to update menu item',
@@ -316,18 +579,7 @@ router.delete('/:id', authMiddleware, async (req, res) => {
       });
     }
 
-    // Delete image from Cloudinary
-    if (menuItem.image?.cloudinaryId) {
-      try {
-        await cloudinary.uploader.destroy(menuItem.image.cloudinaryId);
-        console.log('✅ Menu item image deleted from Cloudinary');
-      } catch (err) {
-        console.log('⚠️ Could not delete image from Cloudinary:', err.message);
-      }
-    }
-
-    await MenuItem.findByIdAndDelete(req.params.id);
-    console.log('✅ Menu item deleted:', menuItem.name);
+    await deleteMenuItem(menuItem);
 
     res.json({
       success: true,
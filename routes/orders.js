@@ -2,6 +2,20 @@
 const router = express.Router();
 const Order = require('../models/Order');
 const User = require('../models/User');
+const { transitionOrder, actorFromRequest } = require('../services/orderStatus');
+const { priceOrder, assertClientTotalsMatch } = require('../services/pricing');
+const { saveWithOrderNumber, normalizeLookupCode } = require('../services/orderNumber');
+const { reserveStock, releaseStock, recordMenuItemSales } = require('../services/menuItems');
+const { generateDeliveryPin } = require('../services/proofOfDelivery');
+const { ensureDriverProfile } = require('../services/driverProfile');
+const { assertDocumentsVerified } = require('../services/driverDocuments');
+const { buildOrderTimeline } = require('../services/geofence');
+
+// Whether the request comes from the customer who placed the order
+const isOwnOrder = (req, order) => {
+  const customerId = order.user?._id || order.user;
+  return Boolean(req.user && customerId) && String(customerId) === String(req.user._id);
+};
 
 // Try to load the correct auth middleware
 let authMiddleware;
@@ -116,10 +130,92 @@ router.get('/', authMiddleware, async (req, res) => {
   }
 });
 
+// GET /api/orders/lookup/:code - Find an order by short code or order number
+router.get('/lookup/:code', authMiddleware, async (req, res) => {
+  try {
+    const code = normalizeLookupCode(req.params.code);
+
+    const order = await Order.findOne({
+      $or: [{ shortCode: code }, { orderNumber: code }]
+    })
+      .populate({
+        path: 'user',
+        select: 'name email phone',
+        model: 'User'
+      })
+      .populate({
+        path: 'driver',
+        select: 'name email phone vehicleType vehicleNumber',
+        model: 'User'
+      })
+      .populate({
+        path: 'restaurant',
+        select: 'name cuisine image address'
+      })
+      .lean();
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: `No order found for code ${code}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: order
+    });
+
+  } catch (error) {
+    console.error('❌ Error looking up order:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to look up order',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/orders/:id/timeline - Status changes and driver arrivals, with wait times
+router.get('/:id/timeline', authMiddleware, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .select('orderNumber status statusHistory trackingEvents')
+      .lean();
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        ...buildOrderTimeline(order)
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching order timeline:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch order timeline',
+      error: error.message
+    });
+  }
+});
+
 // GET /api/orders/:id - Get single order
+// The delivery PIN is only included for the customer who placed the order
 router.get('/:id', authMiddleware, async (req, res) => {
   try {
     const order = await Order.findById(req.params.id)
+      .select('+deliveryPin')
       .populate({
         path: 'user',
         select: 'name email phone',
@@ -147,6 +243,10 @@ router.get('/:id', authMiddleware, async (req, res) => {
       });
     }
 
+    if (!isOwnOrder(req, order)) {
+      delete order.deliveryPin;
+    }
+
     // Manual population for user if needed
     if (order.user && typeof order.user === 'string') {
       const user = await User.findById(order.user).select('name email phone').lean();
@@ -205,26 +305,55 @@ router.post('/', authMiddleware, async (req, res) => {
       });
     }
 
-    // Generate order number
-    const orderCount = await Order.countDocuments();
-    const orderNumber = `ORD-${Date.now()}-${orderCount + 1}`;
+    // Recompute every price on the server and reject stale client totals
+    const quote = await priceOrder({ restaurantId: restaurant, items, deliveryAddress });
+    assertClientTotalsMatch(quote, { subtotal, tax, deliveryFee, totalAmount });
 
     const order = new Order({
-      orderNumber,
       user,
       restaurant,
-      items,
+      items: quote.items,
       deliveryAddress,
-      deliveryFee: deliveryFee || 0,
-      subtotal: subtotal || 0,
-      tax: tax || 0,
-      totalAmount: totalAmount || 0,
+      deliveryFee: quote.deliveryFee,
+      subtotal: quote.subtotal,
+      tax: quote.tax,
+      totalAmount: quote.total,
+      pricing: {
+        subtotal: quote.subtotal,
+        deliveryFee: quote.deliveryFee,
+        tax: quote.tax,
+        total: quote.total
+      },
+      deliveryZone: quote.deliveryZone ? {
+        zone: quote.deliveryZone._id,
+        name: quote.deliveryZone.name,
+        distanceKm: quote.deliveryZone.distanceKm
+      } : undefined,
       paymentMethod: paymentMethod || 'cash',
+      deliveryPin: generateDeliveryPin(),
       status: 'pending',
       deliveryStatus: 'pending'
     });
 
-    await order.save();
+    // Hold stock before saving; 400 when a dish has too little left
+    if (await reserveStock(order.items)) {
+      order.stockReservedAt = new Date();
+    }
+
+    // Assigns orderNumber and shortCode, retrying on collisions
+    try {
+      await saveWithOrderNumber(order);
+    } catch (saveError) {
+      if (order.stockReservedAt) await releaseStock(order.items);
+      throw saveError;
+    }
+
+    // The order stands even if the popularity counts fail to update
+    try {
+      await recordMenuItemSales(order.items);
+    } catch (salesError) {
+      console.error('⚠️ Could not update menu item order counts for order:', order.orderNumber, salesError.message);
+    }
 
     // Populate before sending response
     await order.populate([
@@ -240,11 +369,15 @@ router.post('/', authMiddleware, async (req, res) => {
     res.status(201).json({
       success: true,
       message: 'Order created successfully',
-      data: order
+      data: order,
+      delayNotice: quote.delayNotice
     });
 
   } catch (error) {
     console.error('❌ Error creating order:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to create order',
@@ -258,7 +391,7 @@ router.put('/:id/status', authMiddleware, async (req, res) => {
   try {
     console.log(`🔄 Updating order status: ${req.params.id}`);
     
-    const { status } = req.body;
+    const { status, note } = req.body;
 
     if (!status) {
       return res.status(400).json({
@@ -267,42 +400,10 @@ router.put('/:id/status', authMiddleware, async (req, res) => {
       });
     }
 
-    // Valid statuses
-    const validStatuses = ['pending', 'confirmed', 'assigned', 'picked_up', 'in_transit', 'delivered', 'cancelled'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: `Invalid status. Must be one of: ${validStatuses.join(', ')}`
-      });
-    }
-
-    const order = await Order.findByIdAndUpdate(
-      req.params.id,
-      { 
-        $set: {
-          status,
-          deliveryStatus: status,
-          updatedAt: new Date()
-        },
-        $push: {
-          statusHistory: {
-            status,
-            timestamp: new Date()
-          }
-        }
-      },
-      { 
-        new: true,
-        runValidators: false
-      }
-    );
-
-    if (!order) {
-      return res.status(404).json({
-        success: false,
-        message: 'Order not found'
-      });
-    }
+    const order = await transitionOrder(req.params.id, status, {
+      actor: actorFromRequest(req),
+      note
+    });
 
     // Populate before sending response
     await order.populate([
@@ -330,6 +431,9 @@ router.put('/:id/status', authMiddleware, async (req, res) => {
 
   } catch (error) {
     console.error('❌ Error updating order status:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to update order status',
@@ -366,28 +470,14 @@ router.put('/:id/assign-driver', authMiddleware, async (req, res) => {
       });
     }
 
-    const order = await Order.findByIdAndUpdate(
-      req.params.id,
-      {
-        $set: {
-          driver: driverId,
-          status: 'assigned',
-          deliveryStatus: 'assigned',
-          updatedAt: new Date()
-        }
-      },
-      {
-        new: true,
-        runValidators: false
-      }
-    );
+    // Only drivers with verified, unexpired documents can take orders
+    const profile = await ensureDriverProfile(driver);
+    assertDocumentsVerified(profile);
 
-    if (!order) {
-      return res.status(404).json({
-        success: false,
-        message: 'Order not found'
-      });
-    }
+    const order = await transitionOrder(req.params.id, 'assigned', {
+      actor: actorFromRequest(req),
+      set: { driver: driverId }
+    });
 
     await order.populate([
       { path: 'user', select: 'name email phone', model: 'User' },
@@ -414,6 +504,9 @@ router.put('/:id/assign-driver', authMiddleware, async (req, res) => {
 
   } catch (error) {
     console.error('❌ Error assigning driver:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to assign driver',
@@ -454,9 +547,13 @@ router.delete('/:id', authMiddleware, async (req, res) => {
 });
 
 // GET /api/orders/customer/:customerId - Get orders by customer
+// Customers viewing their own orders also get each delivery PIN
 router.get('/customer/:customerId', authMiddleware, async (req, res) => {
   try {
+    const ownOrders = Boolean(req.user) && String(req.user._id) === String(req.params.customerId);
+
     let orders = await Order.find({ user: req.params.customerId })
+      .select(ownOrders ? '+deliveryPin' : '')
       .populate({
         path: 'user',
         select: 'name email phone',
@@ -0,0 +1,181 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const authMiddleware = require('../middleware/authMiddleware');
+const User = require('../models/User');
+const LedgerEntry = require('../models/LedgerEntry');
+const PayoutBatch = require('../models/PayoutBatch');
+const { actorFromRequest } = require('../services/orderStatus');
+const {
+  RATE_CARD,
+  runPayoutBatch,
+  buildStatement,
+  statementToCsv
+} = require('../services/earnings');
+
+// @route   GET /api/payouts/rate-card
+// @desc    Get the rate card used to compute driver earnings
+// @access  Private
+router.get('/rate-card', authMiddleware, (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: RATE_CARD
+  });
+});
+
+// @route   GET /api/payouts/pending
+// @desc    Get pending (unpaid) earnings per driver
+// @access  Private
+router.get('/pending', authMiddleware, async (req, res) => {
+  try {
+    const pending = await LedgerEntry.aggregate([
+      { $match: { type: 'credit', status: 'pending' } },
+      { $group: { _id: '$driver', amount: { $sum: '$amount' }, credits: { $sum: 1 } } },
+      { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'driver' } },
+      { $unwind: '$driver' },
+      {
+        $project: {
+          _id: 0,
+          driver: { _id: '$driver._id', name: '$driver.name', phone: '$driver.phone' },
+          amount: { $round: ['$amount', 2] },
+          credits: 1
+        }
+      },
+      { $sort: { amount: -1 } }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: pending.length,
+      data: pending
+    });
+  } catch (error) {
+    console.error('Error fetching pending earnings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching pending earnings',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/payouts/batches
+// @desc    Get payout batches, newest first
+// @access  Private
+router.get('/batches', authMiddleware, async (req, res) => {
+  try {
+    const batches = await PayoutBatch.find()
+      .populate('payouts.driver', 'name phone')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(req.query.limit) || 50)
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: batches.length,
+      data: batches
+    });
+  } catch (error) {
+    console.error('Error fetching payout batches:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching payout batches',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/payouts/batches
+// @desc    Run a payout batch: moves pending earnings up to periodEnd to paid
+// @access  Private
+router.post('/batches', authMiddleware, async (req, res) => {
+  try {
+    const { periodEnd, driverIds, notes } = req.body;
+
+    const batch = await runPayoutBatch({
+      periodEnd: periodEnd || new Date(),
+      driverIds,
+      actor: actorFromRequest(req),
+      notes
+    });
+    await batch.populate('payouts.driver', 'name phone');
+
+    res.status(201).json({
+      success: true,
+      message: `Paid R${batch.total.toFixed(2)} to ${batch.payouts.length} drivers`,
+      data: batch
+    });
+  } catch (error) {
+    console.error('Error running payout batch:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error running payout batch',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/payouts/statements/:driverId?from=&to=&format=csv
+// @desc    Export a driver's earnings statement for a period (JSON or CSV)
+// @access  Private
+router.get('/statements/:driverId', authMiddleware, async (req, res) => {
+  try {
+    const { from, to, format } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.driverId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid driver ID'
+      });
+    }
+
+    const driver = await User.findById(req.params.driverId).select('name email phone userType').lean();
+    if (!driver || driver.userType !== 'driver') {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver not found'
+      });
+    }
+
+    // Default to the current calendar month
+    const now = new Date();
+    const periodStart = from ? new Date(from) : new Date(now.getFullYear(), now.getMonth(), 1);
+    const periodEnd = to ? new Date(to) : now;
+
+    if (Number.isNaN(periodStart.getTime()) || Number.isNaN(periodEnd.getTime()) || periodStart > periodEnd) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid statement period'
+      });
+    }
+
+    const statement = await buildStatement(driver._id, periodStart, periodEnd);
+
+    if (format === 'csv') {
+      const filename = `statement-${driver.name.replace(/\s+/g, '-').toLowerCase()}-${periodStart.toISOString().slice(0, 10)}-${periodEnd.toISOString().slice(0, 10)}.csv`;
+      res.set('Content-Type', 'text/csv');
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.send(statementToCsv(statement));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...statement,
+        driver
+      }
+    });
+  } catch (error) {
+    console.error('Error building driver statement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building driver statement',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -4,11 +4,43 @@ const Restaurant = require('../models/Restaurant');
 const User = require('../models/User');
 const { 
   authMiddleware,
+  adminMiddleware,
   optionalAuth
 } = require('../middleware/auth');
 const multer = require('multer');
 const cloudinary = require('cloudinary').v2;
 const { Readable } = require('stream');
+const { EARTH_RADIUS_KM, isValidCoordinate } = require('../utils/geo');
+const {
+  openingInfo,
+  syncRestaurantStatus,
+  pauseRestaurant,
+  resumeRestaurant,
+  parseHoursInput
+} = require('../services/openingHours');
+const {
+  countOpenOrdersByRestaurant,
+  describeBusyState,
+  getBusyState,
+  setBusyMode
+} = require('../services/busyMode');
+const {
+  isAdmin,
+  ownsRestaurant,
+  assertCanManageRestaurant,
+  findManagedRestaurant
+} = require('../services/restaurantAccess');
+const {
+  ONBOARDING_STATUSES,
+  buildChecklist,
+  transitionOnboarding,
+  verifyContact,
+  describeOnboarding
+} = require('../services/restaurantOnboarding');
+const { actorFromRequest } = require('../services/orderStatus');
+
+// Search radius for lat/lng queries when none is given
+const DEFAULT_SEARCH_RADIUS_KM = parseFloat(process.env.RESTAURANT_SEARCH_RADIUS_KM) || 10;
 
 // Configure multer
 const storage = multer.memoryStorage();
@@ -104,17 +136,18 @@ router.get('/debug/all', async (req, res) => {
   }
 });
 
-// 🔥 ACTIVATE ALL RESTAURANTS
+// 🔥 ACTIVATE ALL APPROVED RESTAURANTS
+// Restaurants still in onboarding only go live through approval
 router.patch('/activate-all', async (req, res) => {
   try {
-    console.log('🔄 Activating all restaurants...');
+    console.log('🔄 Activating all approved restaurants...');
 
     const result = await Restaurant.updateMany(
-      {},
+      { 'onboarding.status': 'approved' },
       { $set: { isActive: true, status: 'open' } }
     );
 
-    const restaurants = await Restaurant.find({}, 'name isActive status');
+    const restaurants = await Restaurant.find({ 'onboarding.status': 'approved' }, 'name isActive status');
 
     console.log(`✅ Activated ${result.modifiedCount} restaurants`);
     console.log('📋 All restaurants:');
@@ -124,7 +157,7 @@ router.patch('/activate-all', async (req, res) => {
 
     res.json({
       success: true,
-      message: `All ${restaurants.length} restaurants activated!`,
+      message: `All ${restaurants.length} approved restaurants activated!`,
       data: {
         updated: result.modifiedCount,
         total: restaurants.length,
@@ -146,16 +179,91 @@ router.patch('/activate-all', async (req, res) => {
   }
 });
 
+// ✅ ADMIN ONLY - Onboarding queue (?status=submitted,in_review; default: everything not yet approved)
+router.get('/onboarding', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    let statuses = ['draft', 'submitted', 'in_review', 'rejected'];
+    if (req.query.status) {
+      statuses = String(req.query.status).split(',').map(s => s.trim()).filter(Boolean);
+      const invalid = statuses.filter(s => !ONBOARDING_STATUSES.includes(s));
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid onboarding status: ${invalid.join(', ')}`
+        });
+      }
+    }
+
+    const restaurants = await Restaurant.find({ 'onboarding.status': { $in: statuses } })
+      .select('name cuisine vendor image coverImage contact openingHours onboarding createdAt')
+      .populate('vendor', 'name email')
+      .sort({ 'onboarding.submittedAt': 1, createdAt: 1 })
+      .lean();
+
+    const data = await Promise.all(restaurants.map(async (restaurant) => {
+      const { history, ...onboarding } = restaurant.onboarding || {};
+      return {
+        _id: restaurant._id,
+        name: restaurant.name,
+        cuisine: restaurant.cuisine,
+        vendor: restaurant.vendor,
+        createdAt: restaurant.createdAt,
+        onboarding,
+        checklist: await buildChecklist(restaurant)
+      };
+    }));
+
+    res.json({
+      success: true,
+      count: data.length,
+      data
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching onboarding queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch onboarding queue',
+      error: error.message
+    });
+  }
+});
+
 // ✅ PUBLIC ROUTE - Get all restaurants
+// Pass lat, lng (and optionally radius in km) to get restaurants near a
+// point, nearest first, with distanceKm on each result.
+// Only restaurants that have been approved through onboarding are listed.
 router.get('/', optionalAuth, async (req, res) => {
   try {
     // 🔥 Increased default limit from 10 to 100
-    const { page = 1, limit = 100, search, status, isActive } = req.query;
+    const { page = 1, limit = 100, search, status, isActive, lat, lng, radius } = req.query;
     
     console.log('📋 Fetching restaurants...');
-    console.log('📦 Query params:', { page, limit, search, status, isActive });
+    console.log('📦 Query params:', { page, limit, search, status, isActive, lat, lng, radius });
+
+    let near = null;
+    if (lat !== undefined || lng !== undefined) {
+      const latitude = parseFloat(lat);
+      const longitude = parseFloat(lng);
+      const radiusKm = radius !== undefined ? parseFloat(radius) : DEFAULT_SEARCH_RADIUS_KM;
+
+      if (!isValidCoordinate(latitude, longitude)) {
+        return res.status(400).json({
+          success: false,
+          message: 'lat and lng must both be valid coordinates'
+        });
+      }
+      if (Number.isNaN(radiusKm) || radiusKm <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'radius must be a positive number of kilometres'
+        });
+      }
+
+      near = { latitude, longitude, radiusKm };
+    }
     
-    const query = {};
+    const query = { 'onboarding.status': 'approved' };
     
     if (search) {
       query.$or = [
@@ -175,19 +283,62 @@ router.get('/', optionalAuth, async (req, res) => {
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
     
-    const restaurants = await Restaurant.find(query)
-      .populate('vendor', 'name email')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+    let restaurants;
+    let total;
+
+    if (near) {
+      const point = { type: 'Point', coordinates: [near.longitude, near.latitude] };
+
+      // $geoNear sorts by distance; the stored distance is in metres
+      const results = await Restaurant.aggregate([
+        {
+          $geoNear: {
+            near: point,
+            distanceField: 'distanceMeters',
+            maxDistance: near.radiusKm * 1000,
+            spherical: true,
+            query
+          }
+        },
+        { $skip: skip },
+        { $limit: parseInt(limit) }
+      ]);
+
+      restaurants = results.map(result => {
+        const restaurant = Restaurant.hydrate(result);
+        restaurant.distanceKm = Math.round(result.distanceMeters / 10) / 100;
+        return restaurant;
+      });
+      await Restaurant.populate(restaurants, { path: 'vendor', select: 'name email' });
 
-    const total = await Restaurant.countDocuments(query);
+      total = await Restaurant.countDocuments({
+        ...query,
+        location: { $geoWithin: { $centerSphere: [point.coordinates, near.radiusKm / EARTH_RADIUS_KM] } }
+      });
+    } else {
+      restaurants = await Restaurant.find(query)
+        .populate('vendor', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      total = await Restaurant.countDocuments(query);
+    }
 
     console.log(`✅ Found ${restaurants.length} restaurants (total: ${total})`);
     console.log('📋 Restaurant names:', restaurants.map(r => r.name));
 
+    const openOrders = await countOpenOrdersByRestaurant(restaurants.map(r => r._id));
+
     const restaurantsWithCacheBuster = restaurants.map(r => {
       const restaurant = r.toObject();
+      if (r.distanceKm !== undefined) {
+        restaurant.distanceKm = r.distanceKm;
+      }
+      Object.assign(restaurant, openingInfo(restaurant));
+      const busy = describeBusyState(restaurant, openOrders.get(String(restaurant._id)) || 0);
+      restaurant.isBusy = busy.busy;
+      restaurant.delayNotice = busy.delayNotice;
       if (restaurant.image) {
         restaurant.image = `${restaurant.image}?t=${Date.now()}`;
       }
@@ -219,12 +370,17 @@ router.get('/', optionalAuth, async (req, res) => {
 });
 
 // ✅ PUBLIC ROUTE - Get single restaurant
+// Restaurants still in onboarding are only visible to admins and their vendor
 router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const restaurant = await Restaurant.findById(req.params.id)
       .populate('vendor', 'name email');
     
-    if (!restaurant) {
+    const visible = restaurant && (
+      restaurant.onboarding?.status === 'approved' ||
+      (req.user && (isAdmin(req.user) || ownsRestaurant(req.user, restaurant)))
+    );
+    if (!visible) {
       return res.status(404).json({
         success: false,
         message: 'Restaurant not found'
@@ -232,6 +388,10 @@ router.get('/:id', optionalAuth, async (req, res) => {
     }
 
     const restaurantObj = restaurant.toObject();
+    Object.assign(restaurantObj, openingInfo(restaurantObj));
+    const busy = await getBusyState(restaurantObj);
+    restaurantObj.isBusy = busy.busy;
+    restaurantObj.delayNotice = busy.delayNotice;
     if (restaurantObj.image) {
       restaurantObj.image = `${restaurantObj.image}?t=${Date.now()}`;
     }
@@ -345,18 +505,27 @@ router.post('/', authMiddleware, upload.fields([
       },
       deliveryFee: parseFloat(deliveryFee) || 0,
       minimumOrder: parseFloat(minimumOrder) || 0,
-      isActive: true,
-      status: 'open'
+      // New restaurants stay offline until approved through onboarding
+      isActive: false,
+      status: 'closed',
+      onboarding: {
+        status: 'draft',
+        history: [{
+          status: 'draft',
+          timestamp: new Date(),
+          changedBy: actorFromRequest(req)
+        }]
+      }
     });
 
     await restaurant.save();
     await restaurant.populate('vendor', 'name email');
     
-    console.log('✅ Restaurant created successfully:', restaurant.name);
+    console.log('✅ Restaurant created as draft:', restaurant.name);
 
     res.status(201).json({
       success: true,
-      message: 'Restaurant created successfully',
+      message: 'Restaurant created as a draft. It goes live once onboarding is approved.',
       data: restaurant
     });
 
@@ -371,7 +540,7 @@ router.post('/', authMiddleware, upload.fields([
 });
 
 // ✅ ADMIN ONLY - Update restaurant
-router.put('/:id', authMiddleware, upload.fields([
+router.put('/:id', authMiddleware, adminMiddleware, upload.fields([
   { name: 'profileImage', maxCount: 1 },
   { name: 'coverImage', maxCount: 1 }
 ]), async (req, res) => {
@@ -392,7 +561,9 @@ router.put('/:id', authMiddleware, upload.fields([
       latitude,
       longitude,
       deliveryFee,
-      minimumOrder
+      minimumOrder,
+      requireProofOfDelivery,
+      requireDeliveryPin
     } = req.body;
 
     const restaurant = await Restaurant.findById(req.params.id);
@@ -413,6 +584,14 @@ router.put('/:id', authMiddleware, upload.fields([
     if (deliveryFee !== undefined) restaurant.deliveryFee = parseFloat(deliveryFee);
     if (minimumOrder !== undefined) restaurant.minimumOrder = parseFloat(minimumOrder);
 
+    // Booleans arrive as strings from FormData
+    if (requireProofOfDelivery !== undefined) {
+      restaurant.proofOfDelivery.required = requireProofOfDelivery === 'true' || requireProofOfDelivery === true;
+    }
+    if (requireDeliveryPin !== undefined) {
+      restaurant.proofOfDelivery.requirePin = requireDeliveryPin === 'true' || requireDeliveryPin === true;
+    }
+
     if (phone || email) {
       restaurant.contact = {
         phone: phone || restaurant.contact?.phone || '',
@@ -519,6 +698,263 @@ router.patch('/:id/toggle-status', authMiddleware, async (req, res) => {
   }
 });
 
+// ✅ ADMIN ONLY - Set opening hours, timezone and date overrides
+router.put('/:id/hours', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const restaurant = await Restaurant.findById(req.params.id);
+
+    if (!restaurant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Restaurant not found'
+      });
+    }
+
+    restaurant.set(parseHoursInput(req.body));
+    await restaurant.save();
+
+    // Apply the new hours straight away rather than at the next sweep
+    const status = await syncRestaurantStatus(restaurant.toObject());
+    if (status) restaurant.status = status;
+
+    console.log('✅ Opening hours updated:', restaurant.name);
+
+    res.json({
+      success: true,
+      message: 'Opening hours updated',
+      data: {
+        openingHours: restaurant.openingHours,
+        timezone: restaurant.timezone,
+        hoursOverrides: restaurant.hoursOverrides,
+        status: restaurant.status,
+        ...openingInfo(restaurant)
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating opening hours:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update opening hours',
+      error: error.message
+    });
+  }
+});
+
+// ✅ ADMIN ONLY - Pause a restaurant until a time ({ until } or { minutes }, reason)
+router.post('/:id/pause', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { until, minutes, reason } = req.body;
+    const restaurant = await pauseRestaurant(req.params.id, { until, minutes, reason });
+
+    res.json({
+      success: true,
+      message: `Restaurant paused until ${restaurant.pausedUntil.toISOString()}`,
+      data: {
+        status: restaurant.status,
+        pausedUntil: restaurant.pausedUntil,
+        pauseReason: restaurant.pauseReason,
+        ...openingInfo(restaurant)
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error pausing restaurant:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to pause restaurant',
+      error: error.message
+    });
+  }
+});
+
+// ✅ ADMIN ONLY - End a pause early
+router.delete('/:id/pause', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const restaurant = await resumeRestaurant(req.params.id);
+
+    res.json({
+      success: true,
+      message: `Restaurant resumed (${restaurant.status})`,
+      data: {
+        status: restaurant.status,
+        pausedUntil: null,
+        ...openingInfo(restaurant)
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error resuming restaurant:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resume restaurant',
+      error: error.message
+    });
+  }
+});
+
+// ✅ VENDOR/ADMIN - Onboarding status, checklist and history
+router.get('/:id/onboarding', authMiddleware, async (req, res) => {
+  try {
+    const restaurant = await findManagedRestaurant(req.user, req.params.id);
+
+    res.json({
+      success: true,
+      data: await describeOnboarding(restaurant)
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching onboarding:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch onboarding',
+      error: error.message
+    });
+  }
+});
+
+// ✅ VENDOR/ADMIN - Submit for review once the checklist is complete
+router.post('/:id/onboarding/submit', authMiddleware, async (req, res) => {
+  try {
+    await findManagedRestaurant(req.user, req.params.id);
+    const restaurant = await transitionOnboarding(req.params.id, 'submitted', {
+      actor: actorFromRequest(req)
+    });
+
+    res.json({
+      success: true,
+      message: 'Restaurant submitted for review',
+      data: await describeOnboarding(restaurant)
+    });
+
+  } catch (error) {
+    console.error('❌ Error submitting restaurant:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit restaurant',
+      error: error.message
+    });
+  }
+});
+
+// ✅ ADMIN ONLY - Mark the contact details as verified
+router.post('/:id/onboarding/verify-contact', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const restaurant = await verifyContact(req.params.id, actorFromRequest(req));
+
+    res.json({
+      success: true,
+      message: 'Contact details verified',
+      data: await describeOnboarding(restaurant)
+    });
+
+  } catch (error) {
+    console.error('❌ Error verifying contact details:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify contact details',
+      error: error.message
+    });
+  }
+});
+
+// ✅ ADMIN ONLY - Review decisions: start review, approve or reject ({ comment })
+const ONBOARDING_ACTIONS = {
+  review: { status: 'in_review', message: 'Review started' },
+  approve: { status: 'approved', message: 'Restaurant approved and live' },
+  reject: { status: 'rejected', message: 'Restaurant rejected' }
+};
+
+router.post('/:id/onboarding/:action(review|approve|reject)', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const action = ONBOARDING_ACTIONS[req.params.action];
+    const restaurant = await transitionOnboarding(req.params.id, action.status, {
+      actor: actorFromRequest(req),
+      comment: req.body.comment
+    });
+
+    res.json({
+      success: true,
+      message: action.message,
+      data: await describeOnboarding(restaurant)
+    });
+
+  } catch (error) {
+    console.error(`❌ Error on onboarding ${req.params.action}:`, error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: `Failed to ${req.params.action} restaurant`,
+      error: error.message
+    });
+  }
+});
+
+// ✅ VENDOR/ADMIN - Switch busy mode on or off ({ busy, minutes, settings })
+router.patch('/:id/busy', authMiddleware, async (req, res) => {
+  try {
+    const restaurant = await Restaurant.findById(req.params.id);
+
+    if (!restaurant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Restaurant not found'
+      });
+    }
+
+    assertCanManageRestaurant(req.user, restaurant);
+
+    const { busy, minutes, settings } = req.body;
+    await setBusyMode(restaurant, {
+      busy: busy === true || busy === 'true',
+      minutes,
+      settings
+    });
+
+    res.json({
+      success: true,
+      message: restaurant.status === 'busy' ? 'Busy mode on' : 'Busy mode off',
+      data: {
+        status: restaurant.status,
+        busyUntil: restaurant.busyUntil,
+        busySettings: restaurant.busySettings,
+        ...(await getBusyState(restaurant))
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating busy mode:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update busy mode',
+      error: error.message
+    });
+  }
+});
+
 // ✅ ADMIN ONLY - Delete restaurant
 router.delete('/:id', authMiddleware, async (req, res) => {
   try {
@@ -0,0 +1,292 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const authMiddleware = require('../middleware/authMiddleware');
+const { userAuthMiddleware, customerMiddleware } = require('../middleware/auth');
+const Review = require('../models/Review');
+const Restaurant = require('../models/Restaurant');
+const { actorFromRequest } = require('../services/orderStatus');
+const {
+  REVIEW_WINDOW_DAYS,
+  createReview,
+  recomputeRatings,
+  setReviewHidden
+} = require('../services/reviews');
+
+const parsePaging = (query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// ========================================
+// CUSTOMER ROUTES
+// ========================================
+
+// @route   POST /api/reviews
+// @desc    Review a delivered order: { orderId, restaurant: { rating, comment },
+//          driver: { rating, comment }, items: [{ menuItem, rating, comment }] }
+// @access  Customer
+router.post('/', userAuthMiddleware, customerMiddleware, async (req, res) => {
+  try {
+    const review = await createReview(req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Thanks for your review',
+      data: review
+    });
+  } catch (error) {
+    console.error('Error creating review:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error creating review',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/reviews/mine
+// @desc    The customer's own reviews, including any hidden by moderators
+// @access  Customer
+router.get('/mine', userAuthMiddleware, customerMiddleware, async (req, res) => {
+  try {
+    const reviews = await Review.find({ customer: req.user._id })
+      .populate('restaurant', 'name image')
+      .populate('order', 'orderNumber createdAt')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: reviews.length,
+      reviewWindowDays: REVIEW_WINDOW_DAYS,
+      data: reviews
+    });
+  } catch (error) {
+    console.error('Error fetching customer reviews:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reviews',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// PUBLIC ROUTES
+// ========================================
+
+// @route   GET /api/reviews/restaurant/:restaurantId?page=&limit=
+// @desc    Visible reviews of a restaurant, newest first, with its rating
+// @access  Public
+router.get('/restaurant/:restaurantId', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.restaurantId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid restaurant ID'
+      });
+    }
+
+    const restaurant = await Restaurant.findById(req.params.restaurantId)
+      .select('name rating totalReviews')
+      .lean();
+    if (!restaurant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Restaurant not found'
+      });
+    }
+
+    const { page, limit, skip } = parsePaging(req.query);
+    const filter = { restaurant: restaurant._id, isHidden: false };
+
+    // Driver feedback is for operations, not for the public page
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .select('customer restaurantRating items.menuItem items.name items.rating items.comment createdAt')
+        .populate('customer', 'name')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Review.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: reviews.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      summary: {
+        restaurant: restaurant.name,
+        rating: restaurant.rating,
+        totalReviews: restaurant.totalReviews
+      },
+      data: reviews
+    });
+  } catch (error) {
+    console.error('Error fetching restaurant reviews:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reviews',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// ADMIN ROUTES
+// ========================================
+
+// @route   POST /api/reviews/recompute
+// @desc    Rebuild ratings from visible reviews ({ restaurantId } for one restaurant)
+// @access  Private
+router.post('/recompute', authMiddleware, async (req, res) => {
+  try {
+    const { restaurantId } = req.body;
+    if (restaurantId && !mongoose.Types.ObjectId.isValid(restaurantId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid restaurant ID'
+      });
+    }
+
+    const result = await recomputeRatings({ restaurantId });
+
+    res.status(200).json({
+      success: true,
+      message: 'Ratings recomputed',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error recomputing ratings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error recomputing ratings',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/reviews?hidden=&restaurantId=&driverId=&maxRating=&page=&limit=
+// @desc    Reviews for moderation, newest first
+// @access  Private
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const { hidden, restaurantId, driverId, maxRating } = req.query;
+    const filter = {};
+
+    if (hidden !== undefined) filter.isHidden = hidden === 'true';
+    if (restaurantId) filter.restaurant = restaurantId;
+    if (driverId) filter.driver = driverId;
+    if (maxRating) {
+      // Low scores anywhere in the review: restaurant, driver or a dish
+      const rating = parseInt(maxRating, 10);
+      if (Number.isNaN(rating)) {
+        return res.status(400).json({
+          success: false,
+          message: 'maxRating must be a number from 1 to 5'
+        });
+      }
+      filter.$or = [
+        { 'restaurantRating.rating': { $lte: rating } },
+        { 'driverRating.rating': { $lte: rating } },
+        { 'items.rating': { $lte: rating } }
+      ];
+    }
+
+    const { page, limit, skip } = parsePaging(req.query);
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .populate('customer', 'name email')
+        .populate('restaurant', 'name')
+        .populate('driver', 'name')
+        .populate('order', 'orderNumber')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Review.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: reviews.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: reviews
+    });
+  } catch (error) {
+    console.error('Error fetching reviews:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reviews',
+      error: error.message
+    });
+  }
+});
+
+// @route   PATCH /api/reviews/:id/hide
+// @desc    Hide an abusive review ({ reason }) and recompute its ratings
+// @access  Private
+router.patch('/:id/hide', authMiddleware, async (req, res) => {
+  try {
+    const review = await setReviewHidden(req.params.id, true, {
+      reason: req.body.reason,
+      actor: actorFromRequest(req)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Review hidden',
+      data: review
+    });
+  } catch (error) {
+    console.error('Error hiding review:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error hiding review',
+      error: error.message
+    });
+  }
+});
+
+// @route   PATCH /api/reviews/:id/unhide
+// @desc    Restore a hidden review and recompute its ratings
+// @access  Private
+router.patch('/:id/unhide', authMiddleware, async (req, res) => {
+  try {
+    const review = await setReviewHidden(req.params.id, false, {
+      actor: actorFromRequest(req)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Review restored',
+      data: review
+    });
+  } catch (error) {
+    console.error('Error restoring review:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring review',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,191 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const authMiddleware = require('../middleware/authMiddleware');
+const { userAuthMiddleware, driverMiddleware } = require('../middleware/auth');
+const Trip = require('../models/Trip');
+const { actorFromRequest } = require('../services/orderStatus');
+const {
+  BATCH_RULES,
+  suggestBatches,
+  createTrip,
+  completeStop,
+  populateTrip
+} = require('../services/batching');
+
+// ========================================
+// DRIVER ROUTES
+// ========================================
+
+// @route   GET /api/trips/mine
+// @desc    Get the logged-in driver's trip in progress, with its stop list
+// @access  Driver
+router.get('/mine', userAuthMiddleware, driverMiddleware, async (req, res) => {
+  try {
+    const trip = await populateTrip(Trip.findOne({ driver: req.user._id, status: 'active' })).lean();
+
+    res.status(200).json({
+      success: true,
+      data: trip
+    });
+  } catch (error) {
+    console.error('Error fetching driver trip:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching trip',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/trips/:id/stops/:stopId/complete
+// @desc    Mark a pickup or dropoff stop as done; updates that order's status
+// @access  Driver
+router.post('/:id/stops/:stopId/complete', userAuthMiddleware, driverMiddleware, async (req, res) => {
+  try {
+    const trip = await completeStop(req.user, req.params.id, req.params.stopId);
+
+    res.status(200).json({
+      success: true,
+      message: trip.status === 'completed' ? 'Trip completed' : 'Stop completed',
+      data: trip
+    });
+  } catch (error) {
+    console.error('Error completing trip stop:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error completing stop',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// ADMIN ROUTES
+// ========================================
+
+// @route   GET /api/trips/suggestions
+// @desc    Suggest batches of confirmed orders that can share one trip
+// @access  Private
+router.get('/suggestions', authMiddleware, async (req, res) => {
+  try {
+    const suggestions = await suggestBatches();
+
+    res.status(200).json({
+      success: true,
+      count: suggestions.length,
+      rules: BATCH_RULES,
+      data: suggestions
+    });
+  } catch (error) {
+    console.error('Error suggesting batches:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error suggesting batches',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/trips
+// @desc    Get trips (filter by status, driver)
+// @access  Private
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const { status, driver } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+    if (driver) filter.driver = driver;
+
+    const trips = await populateTrip(Trip.find(filter))
+      .sort({ createdAt: -1 })
+      .limit(parseInt(req.query.limit) || 50)
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: trips.length,
+      data: trips
+    });
+  } catch (error) {
+    console.error('Error fetching trips:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching trips',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/trips
+// @desc    Batch confirmed orders onto one driver ({ driverId, orderIds })
+// @access  Private
+router.post('/', authMiddleware, async (req, res) => {
+  try {
+    const { driverId, orderIds } = req.body;
+
+    const { trip, skipped } = await createTrip({
+      driverId,
+      orderIds,
+      actor: actorFromRequest(req)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: skipped.length > 0
+        ? `Trip created with ${trip.orders.length} orders; ${skipped.length} could not be assigned`
+        : `Trip created with ${trip.orders.length} orders`,
+      data: await populateTrip(Trip.findById(trip._id)).lean(),
+      skipped
+    });
+  } catch (error) {
+    console.error('Error creating trip:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error creating trip',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/trips/:id
+// @desc    Get a trip with its stops and per-stop ETAs
+// @access  Private
+router.get('/:id', authMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid trip ID'
+      });
+    }
+
+    const trip = await populateTrip(Trip.findById(req.params.id)).lean();
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: trip
+    });
+  } catch (error) {
+    console.error('Error fetching trip:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching trip',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
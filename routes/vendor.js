@@ -0,0 +1,1046 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { userAuthMiddleware, vendorMiddleware } = require('../middleware/auth');
+const Restaurant = require('../models/Restaurant');
+const MenuItem = require('../models/MenuItem');
+const Bundle = require('../models/Bundle');
+const MenuCategory = require('../models/MenuCategory');
+const Order = require('../models/Order');
+const ApiError = require('../utils/ApiError');
+const { upload } = require('../utils/upload');
+const { isValidCoordinate } = require('../utils/geo');
+const { findManagedRestaurant } = require('../services/restaurantAccess');
+const { transitionOrder, actorFromRequest, isValidStatus } = require('../services/orderStatus');
+const {
+  openingInfo,
+  syncRestaurantStatus,
+  pauseRestaurant,
+  resumeRestaurant,
+  parseHoursInput
+} = require('../services/openingHours');
+const { countOpenOrdersByRestaurant, describeBusyState } = require('../services/busyMode');
+const { transitionOnboarding, describeOnboarding } = require('../services/restaurantOnboarding');
+const {
+  createMenuItem,
+  updateMenuItem,
+  toggleMenuItemAvailability,
+  setOptionGroups,
+  toggleOptionAvailability,
+  deleteMenuItem
+} = require('../services/menuItems');
+const {
+  listMenuBundles,
+  createBundle,
+  updateBundle,
+  toggleBundleAvailability,
+  deleteBundle
+} = require('../services/bundles');
+const {
+  listMenuCategories,
+  categoryFilter,
+  createMenuCategory,
+  updateMenuCategory,
+  deleteMenuCategory
+} = require('../services/menuCategories');
+
+// Every route here is for the logged-in vendor, and only for their own
+// restaurants: each handler loads its restaurant through findManagedRestaurant
+router.use(userAuthMiddleware, vendorMiddleware);
+
+// The delivery PIN is the customer's proof of delivery, so vendors never see it
+const ORDER_FIELDS = '-deliveryPin';
+
+const populateOrder = (query) => {
+  return query
+    .populate({ path: 'user', select: 'name phone', model: 'User' })
+    .populate({ path: 'driver', select: 'name phone', model: 'User' })
+    .populate('restaurant', 'name')
+    .populate('items.menuItem', 'name image category');
+};
+
+const withOpeningState = (restaurant, openOrders) => {
+  const busy = describeBusyState(restaurant, openOrders);
+  return {
+    ...restaurant,
+    ...openingInfo(restaurant),
+    isBusy: busy.busy,
+    delayNotice: busy.delayNotice,
+    openOrders
+  };
+};
+
+// A menu item together with the vendor's restaurant it belongs to
+const findVendorMenuItem = async (user, menuItemId) => {
+  if (!mongoose.Types.ObjectId.isValid(menuItemId)) {
+    throw new ApiError(400, 'Invalid menu item ID');
+  }
+
+  const menuItem = await MenuItem.findById(menuItemId);
+  if (!menuItem) {
+    throw new ApiError(404, 'Menu item not found');
+  }
+
+  await findManagedRestaurant(user, menuItem.restaurant);
+  return menuItem;
+};
+
+const findVendorCategory = async (user, categoryId) => {
+  if (!mongoose.Types.ObjectId.isValid(categoryId)) {
+    throw new ApiError(400, 'Invalid category ID');
+  }
+
+  const category = await MenuCategory.findById(categoryId);
+  if (!category) {
+    throw new ApiError(404, 'Menu category not found');
+  }
+
+  await findManagedRestaurant(user, category.restaurant);
+  return category;
+};
+
+const findVendorBundle = async (user, bundleId) => {
+  if (!mongoose.Types.ObjectId.isValid(bundleId)) {
+    throw new ApiError(400, 'Invalid bundle ID');
+  }
+
+  const bundle = await Bundle.findById(bundleId);
+  if (!bundle) {
+    throw new ApiError(404, 'Bundle not found');
+  }
+
+  await findManagedRestaurant(user, bundle.restaurant);
+  return bundle;
+};
+
+const findVendorOrder = async (user, orderId) => {
+  if (!mongoose.Types.ObjectId.isValid(orderId)) {
+    throw new ApiError(400, 'Invalid order ID');
+  }
+
+  const order = await Order.findById(orderId).select('restaurant status').lean();
+  if (!order) {
+    throw new ApiError(404, 'Order not found');
+  }
+
+  await findManagedRestaurant(user, order.restaurant);
+  return order;
+};
+
+// ========================================
+// RESTAURANTS
+// ========================================
+
+// @route   GET /api/vendor/restaurants
+// @desc    Get the vendor's restaurants with their open/busy state
+// @access  Vendor
+router.get('/restaurants', async (req, res) => {
+  try {
+    const restaurants = await Restaurant.find({ vendor: req.user._id }).sort({ name: 1 }).lean();
+    const openOrders = await countOpenOrdersByRestaurant(restaurants.map(r => r._id));
+
+    res.status(200).json({
+      success: true,
+      count: restaurants.length,
+      data: restaurants.map(r => withOpeningState(r, openOrders.get(String(r._id)) || 0))
+    });
+  } catch (error) {
+    console.error('Error fetching vendor restaurants:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching restaurants',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/vendor/restaurants/:restaurantId
+// @desc    Get one of the vendor's restaurants
+// @access  Vendor
+router.get('/restaurants/:restaurantId', async (req, res) => {
+  try {
+    const restaurant = await findManagedRestaurant(req.user, req.params.restaurantId);
+    const openOrders = await countOpenOrdersByRestaurant([restaurant._id]);
+
+    res.status(200).json({
+      success: true,
+      data: withOpeningState(restaurant.toObject(), openOrders.get(String(restaurant._id)) || 0)
+    });
+  } catch (error) {
+    console.error('Error fetching vendor restaurant:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching restaurant',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/vendor/restaurants/:restaurantId
+// @desc    Update the restaurant's details. Fees, activation and delivery
+//          proof settings stay with the admin restaurant routes.
+// @access  Vendor
+router.put('/restaurants/:restaurantId', async (req, res) => {
+  try {
+    const restaurant = await findManagedRestaurant(req.user, req.params.restaurantId);
+
+    const {
+      name,
+      description,
+      cuisine,
+      phone,
+      email,
+      street,
+      city,
+      state,
+      zipCode,
+      latitude,
+      longitude,
+      minimumOrder
+    } = req.body;
+
+    if (name !== undefined && !String(name).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Restaurant name cannot be empty'
+      });
+    }
+
+    if (name) restaurant.name = String(name).trim();
+    if (description !== undefined) restaurant.description = description;
+    if (cuisine) restaurant.cuisine = cuisine;
+
+    if (minimumOrder !== undefined) {
+      const value = parseFloat(minimumOrder);
+      if (Number.isNaN(value) || value < 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'minimumOrder must be a number of at least 0'
+        });
+      }
+      restaurant.minimumOrder = value;
+    }
+
+    if (phone) restaurant.set('contact.phone', phone);
+    if (email) restaurant.set('contact.email', email);
+
+    // Changed contact details have to be verified again
+    if (restaurant.isModified('contact.phone') || restaurant.isModified('contact.email')) {
+      restaurant.set('onboarding.contactVerifiedAt', null);
+    }
+
+    if (street !== undefined) restaurant.set('address.street', street);
+    if (city !== undefined) restaurant.set('address.city', city);
+    if (state !== undefined) restaurant.set('address.state', state);
+    if (zipCode !== undefined) restaurant.set('address.zipCode', zipCode);
+
+    if (latitude !== undefined || longitude !== undefined) {
+      const lat = parseFloat(latitude ?? restaurant.address?.coordinates?.latitude);
+      const lng = parseFloat(longitude ?? restaurant.address?.coordinates?.longitude);
+      if (!isValidCoordinate(lat, lng)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Valid latitude and longitude are required'
+        });
+      }
+      restaurant.set('address.coordinates', { latitude: lat, longitude: lng });
+    }
+
+    await restaurant.save();
+    console.log('✅ Vendor updated restaurant:', restaurant.name);
+
+    res.status(200).json({
+      success: true,
+      message: 'Restaurant updated',
+      data: restaurant
+    });
+  } catch (error) {
+    console.error('Error updating vendor restaurant:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error updating restaurant',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/vendor/restaurants/:restaurantId/hours
+// @desc    Set opening hours, timezone and date overrides
+// @access  Vendor
+router.put('/restaurants/:restaurantId/hours', async (req, res) => {
+  try {
+    const restaurant = await findManagedRestaurant(req.user, req.params.restaurantId);
+
+    restaurant.set(parseHoursInput(req.body));
+    await restaurant.save();
+
+    // Apply the new hours straight away rather than at the next sweep
+    const status = await syncRestaurantStatus(restaurant.toObject());
+    if (status) restaurant.status = status;
+
+    res.status(200).json({
+      success: true,
+      message: 'Opening hours updated',
+      data: {
+        openingHours: restaurant.openingHours,
+        timezone: restaurant.timezone,
+        hoursOverrides: restaurant.hoursOverrides,
+        status: restaurant.status,
+        ...openingInfo(restaurant)
+      }
+    });
+  } catch (error) {
+    console.error('Error updating vendor opening hours:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error updating opening hours',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/vendor/restaurants/:restaurantId/pause
+// @desc    Stop taking orders until a time ({ until } or { minutes }, reason)
+// @access  Vendor
+router.post('/restaurants/:restaurantId/pause', async (req, res) => {
+  try {
+    await findManagedRestaurant(req.user, req.params.restaurantId);
+
+    const { until, minutes, reason } = req.body;
+    const restaurant = await pauseRestaurant(req.params.restaurantId, { until, minutes, reason });
+
+    res.status(200).json({
+      success: true,
+      message: `Restaurant paused until ${restaurant.pausedUntil.toISOString()}`,
+      data: {
+        status: restaurant.status,
+        pausedUntil: restaurant.pausedUntil,
+        pauseReason: restaurant.pauseReason,
+        ...openingInfo(restaurant)
+      }
+    });
+  } catch (error) {
+    console.error('Error pausing vendor restaurant:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error pausing restaurant',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/vendor/restaurants/:restaurantId/pause
+// @desc    End a pause early
+// @access  Vendor
+router.delete('/restaurants/:restaurantId/pause', async (req, res) => {
+  try {
+    await findManagedRestaurant(req.user, req.params.restaurantId);
+    const restaurant = await resumeRestaurant(req.params.restaurantId);
+
+    res.status(200).json({
+      success: true,
+      message: `Restaurant resumed (${restaurant.status})`,
+      data: {
+        status: restaurant.status,
+        pausedUntil: null,
+        ...openingInfo(restaurant)
+      }
+    });
+  } catch (error) {
+    console.error('Error resuming vendor restaurant:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error resuming restaurant',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/vendor/restaurants/:restaurantId/onboarding
+// @desc    Onboarding status, checklist and review history
+// @access  Vendor
+router.get('/restaurants/:restaurantId/onboarding', async (req, res) => {
+  try {
+    const restaurant = await findManagedRestaurant(req.user, req.params.restaurantId);
+
+    res.status(200).json({
+      success: true,
+      data: await describeOnboarding(restaurant)
+    });
+  } catch (error) {
+    console.error('Error fetching vendor onboarding:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching onboarding',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/vendor/restaurants/:restaurantId/onboarding/submit
+// @desc    Submit the restaurant for admin review once its checklist is complete
+// @access  Vendor
+router.post('/restaurants/:restaurantId/onboarding/submit', async (req, res) => {
+  try {
+    await findManagedRestaurant(req.user, req.params.restaurantId);
+    const restaurant = await transitionOnboarding(req.params.restaurantId, 'submitted', {
+      actor: actorFromRequest(req)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Restaurant submitted for review',
+      data: await describeOnboarding(restaurant)
+    });
+  } catch (error) {
+    console.error('Error submitting vendor restaurant:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error submitting restaurant',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// MENU
+// ========================================
+
+// @route   GET /api/vendor/restaurants/:restaurantId/menu?category=&available=
+// @desc    Get the restaurant's menu items, also grouped by category
+// @access  Vendor
+router.get('/restaurants/:restaurantId/menu', async (req, res) => {
+  try {
+    const restaurant = await findManagedRestaurant(req.user, req.params.restaurantId);
+
+    const query = { restaurant: restaurant._id };
+    if (req.query.category) {
+      Object.assign(query, categoryFilter(req.query.category));
+    }
+    if (req.query.available !== undefined) {
+      query.isAvailable = req.query.available === 'true';
+    }
+
+    const menuItems = await MenuItem.find(query).sort({ category: 1, name: 1 }).lean();
+    const categories = await MenuCategory.groupMenuItems(restaurant._id, menuItems);
+
+    res.status(200).json({
+      success: true,
+      count: menuItems.length,
+      data: menuItems,
+      categories
+    });
+  } catch (error) {
+    console.error('Error fetching vendor menu:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching menu',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/vendor/restaurants/:restaurantId/menu
+// @desc    Add a menu item (multipart, optional "image" file)
+// @access  Vendor
+router.post('/restaurants/:restaurantId/menu', upload.single('image'), async (req, res) => {
+  try {
+    const restaurant = await findManagedRestaurant(req.user, req.params.restaurantId);
+    const menuItem = await createMenuItem(restaurant, req.body, req.file);
+
+    res.status(201).json({
+      success: true,
+      message: 'Menu item created',
+      data: menuItem
+    });
+  } catch (error) {
+    console.error('Error creating vendor menu item:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error creating menu item',
+      error: error.message
+    });
+  }
+});
+
+// @route   PATCH /api/vendor/menu/:id/toggle-availability
+// @desc    Mark a menu item available or sold out
+// @access  Vendor
+router.patch('/menu/:id/toggle-availability', async (req, res) => {
+  try {
+    const menuItem = await findVendorMenuItem(req.user, req.params.id);
+    await toggleMenuItemAvailability(menuItem);
+
+    res.status(200).json({
+      success: true,
+      message: `Menu item ${menuItem.isAvailable ? 'made available' : 'marked unavailable'}`,
+      data: menuItem
+    });
+  } catch (error) {
+    console.error('Error toggling vendor menu item:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error toggling availability',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/vendor/menu/:id/option-groups
+// @desc    Replace a menu item's option groups ({ optionGroups })
+// @access  Vendor
+router.put('/menu/:id/option-groups', async (req, res) => {
+  try {
+    const menuItem = await findVendorMenuItem(req.user, req.params.id);
+    await setOptionGroups(menuItem, req.body.optionGroups);
+
+    res.status(200).json({
+      success: true,
+      message: 'Menu item options updated',
+      data: menuItem
+    });
+  } catch (error) {
+    console.error('Error updating vendor menu item options:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error updating menu item options',
+      error: error.message
+    });
+  }
+});
+
+// @route   PATCH /api/vendor/menu/:id/options/:optionId/toggle-availability
+// @desc    Mark one option available or sold out
+// @access  Vendor
+router.patch('/menu/:id/options/:optionId/toggle-availability', async (req, res) => {
+  try {
+    const menuItem = await findVendorMenuItem(req.user, req.params.id);
+    const option = await toggleOptionAvailability(menuItem, req.params.optionId);
+
+    res.status(200).json({
+      success: true,
+      message: `Option ${option.isAvailable ? 'made available' : 'marked unavailable'}`,
+      data: menuItem
+    });
+  } catch (error) {
+    console.error('Error toggling vendor menu option:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error toggling option availability',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/vendor/menu/:id
+// @desc    Update a menu item (multipart, optional new "image" file)
+// @access  Vendor
+router.put('/menu/:id', upload.single('image'), async (req, res) => {
+  try {
+    const menuItem = await findVendorMenuItem(req.user, req.params.id);
+    await updateMenuItem(menuItem, req.body, req.file);
+
+    res.status(200).json({
+      success: true,
+      message: 'Menu item updated',
+      data: menuItem
+    });
+  } catch (error) {
+    console.error('Error updating vendor menu item:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error updating menu item',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/vendor/menu/:id
+// @desc    Delete a menu item
+// @access  Vendor
+router.delete('/menu/:id', async (req, res) => {
+  try {
+    const menuItem = await findVendorMenuItem(req.user, req.params.id);
+    await deleteMenuItem(menuItem);
+
+    res.status(200).json({
+      success: true,
+      message: 'Menu item deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting vendor menu item:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting menu item',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// MENU CATEGORIES
+// ========================================
+
+// @route   GET /api/vendor/restaurants/:restaurantId/categories
+// @desc    Get the restaurant's menu categories with item counts
+// @access  Vendor
+router.get('/restaurants/:restaurantId/categories', async (req, res) => {
+  try {
+    const restaurant = await findManagedRestaurant(req.user, req.params.restaurantId);
+    const categories = await listMenuCategories(restaurant._id);
+
+    res.status(200).json({
+      success: true,
+      count: categories.length,
+      data: categories
+    });
+  } catch (error) {
+    console.error('Error fetching vendor menu categories:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching menu categories',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/vendor/restaurants/:restaurantId/categories
+// @desc    Add a menu category ({ name, description, displayOrder }, optional "image" file)
+// @access  Vendor
+router.post('/restaurants/:restaurantId/categories', upload.single('image'), async (req, res) => {
+  try {
+    const restaurant = await findManagedRestaurant(req.user, req.params.restaurantId);
+    const category = await createMenuCategory(restaurant, req.body, req.file);
+
+    res.status(201).json({
+      success: true,
+      message: 'Menu category created',
+      data: category
+    });
+  } catch (error) {
+    console.error('Error creating vendor menu category:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error creating menu category',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/vendor/categories/:id
+// @desc    Update a menu category (multipart, optional new "image" file)
+// @access  Vendor
+router.put('/categories/:id', upload.single('image'), async (req, res) => {
+  try {
+    const category = await findVendorCategory(req.user, req.params.id);
+    await updateMenuCategory(category, req.body, req.file);
+
+    res.status(200).json({
+      success: true,
+      message: 'Menu category updated',
+      data: category
+    });
+  } catch (error) {
+    console.error('Error updating vendor menu category:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error updating menu category',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/vendor/categories/:id
+// @desc    Delete a menu category that no items or bundles use
+// @access  Vendor
+router.delete('/categories/:id', async (req, res) => {
+  try {
+    const category = await findVendorCategory(req.user, req.params.id);
+    await deleteMenuCategory(category);
+
+    res.status(200).json({
+      success: true,
+      message: 'Menu category deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting vendor menu category:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting menu category',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// BUNDLES
+// ========================================
+
+// @route   GET /api/vendor/restaurants/:restaurantId/bundles
+// @desc    Get the restaurant's combo meals, including unavailable ones
+// @access  Vendor
+router.get('/restaurants/:restaurantId/bundles', async (req, res) => {
+  try {
+    const restaurant = await findManagedRestaurant(req.user, req.params.restaurantId);
+    const bundles = await listMenuBundles(restaurant._id, { includeUnavailable: true });
+
+    res.status(200).json({
+      success: true,
+      count: bundles.length,
+      data: bundles
+    });
+  } catch (error) {
+    console.error('Error fetching vendor bundles:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching bundles',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/vendor/restaurants/:restaurantId/bundles
+// @desc    Add a combo meal ({ name, description, price, displayOrder,
+//          slots: [{ name, quantity, menuItem | choices | category (category ID) }] })
+// @access  Vendor
+router.post('/restaurants/:restaurantId/bundles', async (req, res) => {
+  try {
+    const restaurant = await findManagedRestaurant(req.user, req.params.restaurantId);
+    const bundle = await createBundle(restaurant, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Bundle created',
+      data: bundle
+    });
+  } catch (error) {
+    console.error('Error creating vendor bundle:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error creating bundle',
+      error: error.message
+    });
+  }
+});
+
+// @route   PATCH /api/vendor/bundles/:id/toggle-availability
+// @desc    Take a combo meal off or back on the menu
+// @access  Vendor
+router.patch('/bundles/:id/toggle-availability', async (req, res) => {
+  try {
+    const bundle = await findVendorBundle(req.user, req.params.id);
+    await toggleBundleAvailability(bundle);
+
+    res.status(200).json({
+      success: true,
+      message: `Bundle ${bundle.isAvailable ? 'made available' : 'marked unavailable'}`,
+      data: bundle
+    });
+  } catch (error) {
+    console.error('Error toggling vendor bundle:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error toggling availability',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/vendor/bundles/:id
+// @desc    Update a combo meal (only the fields sent)
+// @access  Vendor
+router.put('/bundles/:id', async (req, res) => {
+  try {
+    const bundle = await findVendorBundle(req.user, req.params.id);
+    await updateBundle(bundle, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Bundle updated',
+      data: bundle
+    });
+  } catch (error) {
+    console.error('Error updating vendor bundle:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error updating bundle',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/vendor/bundles/:id
+// @desc    Delete a combo meal
+// @access  Vendor
+router.delete('/bundles/:id', async (req, res) => {
+  try {
+    const bundle = await findVendorBundle(req.user, req.params.id);
+    await deleteBundle(bundle);
+
+    res.status(200).json({
+      success: true,
+      message: 'Bundle deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting vendor bundle:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting bundle',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// ORDERS
+// ========================================
+
+// @route   GET /api/vendor/orders?status=pending,confirmed&restaurantId=&page=&limit=
+// @desc    Orders for the vendor's restaurants, newest first
+// @access  Vendor
+router.get('/orders', async (req, res) => {
+  try {
+    const { status, restaurantId } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    let restaurantIds;
+    if (restaurantId) {
+      restaurantIds = [(await findManagedRestaurant(req.user, restaurantId))._id];
+    } else {
+      const restaurants = await Restaurant.find({ vendor: req.user._id }).select('_id').lean();
+      restaurantIds = restaurants.map(r => r._id);
+    }
+
+    const query = { restaurant: { $in: restaurantIds } };
+
+    if (status) {
+      const statuses = String(status).split(',').map(s => s.trim()).filter(Boolean);
+      const invalid = statuses.filter(s => !isValidStatus(s));
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid status: ${invalid.join(', ')}`
+        });
+      }
+      query.status = { $in: statuses };
+    }
+
+    const [orders, total] = await Promise.all([
+      populateOrder(Order.find(query).select(ORDER_FIELDS))
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Order.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: orders.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: orders
+    });
+  } catch (error) {
+    console.error('Error fetching vendor orders:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching orders',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/vendor/orders/:id
+// @desc    Get one of the vendor's orders
+// @access  Vendor
+router.get('/orders/:id', async (req, res) => {
+  try {
+    await findVendorOrder(req.user, req.params.id);
+    const order = await populateOrder(Order.findById(req.params.id).select(ORDER_FIELDS)).lean();
+
+    res.status(200).json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    console.error('Error fetching vendor order:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching order',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/vendor/orders/:id/accept
+// @desc    Accept a pending order (pending -> confirmed)
+// @access  Vendor
+router.post('/orders/:id/accept', async (req, res) => {
+  try {
+    const current = await findVendorOrder(req.user, req.params.id);
+    if (current.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: `Only pending orders can be accepted (order is ${current.status})`
+      });
+    }
+
+    const order = await transitionOrder(req.params.id, 'confirmed', {
+      actor: actorFromRequest(req),
+      note: req.body.note || 'Accepted by restaurant'
+    });
+
+    console.log(`✅ Vendor accepted order ${order.orderNumber}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Order accepted',
+      data: {
+        _id: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        estimatedDeliveryTime: order.estimatedDeliveryTime
+      }
+    });
+  } catch (error) {
+    console.error('Error accepting vendor order:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error accepting order',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/vendor/orders/:id/reject
+// @desc    Reject a pending order with a reason (pending -> cancelled)
+// @access  Vendor
+router.post('/orders/:id/reject', async (req, res) => {
+  try {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to reject an order'
+      });
+    }
+
+    const current = await findVendorOrder(req.user, req.params.id);
+    if (current.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: `Only pending orders can be rejected (order is ${current.status})`
+      });
+    }
+
+    const order = await transitionOrder(req.params.id, 'cancelled', {
+      actor: actorFromRequest(req),
+      note: `Rejected by restaurant: ${reason}`
+    });
+
+    console.log(`🚫 Vendor rejected order ${order.orderNumber}: ${reason}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Order rejected',
+      data: {
+        _id: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status
+      }
+    });
+  } catch (error) {
+    console.error('Error rejecting vendor order:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error rejecting order',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -28,6 +28,17 @@ const driverRoutes = require('./routes/drivers');
 const customersRoutes = require('./routes/customers');
 const restaurantRoutes = require('./routes/restaurants');
 const menuRoutes = require('./routes/menu');
+const dispatchRoutes = require('./routes/dispatch');
+const eventsRoutes = require('./routes/events');
+const payoutRoutes = require('./routes/payouts');
+const tripRoutes = require('./routes/trips');
+const deliveryZoneRoutes = require('./routes/deliveryZones');
+const vendorRoutes = require('./routes/vendor');
+const reviewRoutes = require('./routes/reviews');
+const { startDispatchSweeper } = require('./services/dispatch');
+const { startHeartbeat } = require('./services/realtime');
+const { startOpeningHoursScheduler } = require('./services/openingHours');
+const { startBusyModeSweeper } = require('./services/busyMode');
 
 const app = express();
 
@@ -100,6 +111,9 @@ mongoose.connect(MONGO_URI)
   .then(() => {
     console.log('✅ MongoDB Connected Successfully');
     console.log('📊 Database:', mongoose.connection.name);
+    startDispatchSweeper();
+    startOpeningHoursScheduler();
+    startBusyModeSweeper();
   })
   .catch((err) => {
     console.error('❌ MongoDB Connection Error:', err);
@@ -114,6 +128,13 @@ app.use('/api/drivers', driverRoutes);
 app.use('/api/customers', customersRoutes);
 app.use('/api/restaurants', restaurantRoutes);
 app.use('/api/menu', menuRoutes);
+app.use('/api/dispatch', dispatchRoutes);
+app.use('/api/events', eventsRoutes);
+app.use('/api/payouts', payoutRoutes);
+app.use('/api/trips', tripRoutes);
+app.use('/api/delivery-zones', deliveryZoneRoutes);
+app.use('/api/vendor', vendorRoutes);
+app.use('/api/reviews', reviewRoutes);
 
 console.log('✅ Routes registered:');
 console.log('   - /api/auth');
@@ -123,6 +144,13 @@ console.log('   - /api/drivers');
 console.log('   - /api/customers');
 console.log('   - /api/restaurants');
 console.log('   - /api/menu');
+console.log('   - /api/dispatch');
+console.log('   - /api/events (Server-Sent Events)');
+console.log('   - /api/payouts');
+console.log('   - /api/trips');
+console.log('   - /api/delivery-zones');
+console.log('   - /api/vendor');
+console.log('   - /api/reviews');
 
 // Health check
 app.get('/', (req, res) => {
@@ -138,7 +166,14 @@ app.get('/', (req, res) => {
       drivers: '/api/drivers',
       customers: '/api/customers',
       restaurants: '/api/restaurants',
-      menu: '/api/menu'
+      menu: '/api/menu',
+      dispatch: '/api/dispatch',
+      events: '/api/events',
+      payouts: '/api/payouts',
+      trips: '/api/trips',
+      deliveryZones: '/api/delivery-zones',
+      vendor: '/api/vendor',
+      reviews: '/api/reviews'
     },
     cors: {
       allowedOrigins: allowedOrigins,
@@ -170,6 +205,7 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 5000;
 
 app.listen(PORT, () => {
+  startHeartbeat();
   console.log('\n🚀 Server running on port ' + PORT);
   console.log('📍 API: http://localhost:' + PORT);
   console.log('🌍 Environment: ' + (process.env.NODE_ENV || 'development') + '\n');
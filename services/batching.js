@@ -0,0 +1,485 @@
+// services/batching.js
+// Multi-order trips. Confirmed orders from the same or nearby restaurants
+// are batched onto one driver with an ordered stop list. A batch is only
+// accepted if no order is delayed by more than the allowed detour compared
+// with being delivered on its own. Order statuses still move one order at a
+// time through transitionOrder(); the trip's stops follow them.
+
+const mongoose = require('mongoose');
+const Delivery = require('../models/Delivery');
+const Order = require('../models/Order');
+const Trip = require('../models/Trip');
+const User = require('../models/User');
+const ApiError = require('../utils/ApiError');
+const { haversineKm } = require('../utils/geo');
+const { onTransition, transitionOrder } = require('./orderStatus');
+const { ensureDriverProfile } = require('./driverProfile');
+const { assertDocumentsVerified } = require('./driverDocuments');
+const { latestDriverLocation } = require('./dispatch');
+const { publish } = require('./realtime');
+
+const MAX_BATCH_ORDERS = parseInt(process.env.BATCH_MAX_ORDERS, 10) || 3;
+// How much later any order may arrive because it shares the trip
+const MAX_DETOUR_MINUTES = parseFloat(process.env.BATCH_MAX_DETOUR_MINUTES) || 10;
+// Restaurants this close together count as one pickup area
+const PICKUP_RADIUS_KM = parseFloat(process.env.BATCH_PICKUP_RADIUS_KM) || 2;
+const AVERAGE_SPEED_KMH = parseFloat(process.env.BATCH_AVERAGE_SPEED_KMH) || 25;
+// Time spent at each stop (parking, handover)
+const STOP_MINUTES = parseFloat(process.env.BATCH_STOP_MINUTES) || 3;
+
+const BATCH_RULES = {
+  maxOrders: MAX_BATCH_ORDERS,
+  maxDetourMinutes: MAX_DETOUR_MINUTES,
+  pickupRadiusKm: PICKUP_RADIUS_KM,
+  averageSpeedKmh: AVERAGE_SPEED_KMH,
+  stopMinutes: STOP_MINUTES
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const travelMinutes = (from, to) => {
+  const distance = haversineKm(from, to);
+  return distance === null ? 0 : (distance / AVERAGE_SPEED_KMH) * 60;
+};
+
+const formatDeliveryAddress = (address = {}) => {
+  return [address.street, address.city, address.state, address.zipCode]
+    .filter(Boolean)
+    .join(', ');
+};
+
+// Pickup and dropoff for an order with its restaurant populated
+const buildLeg = (order) => {
+  const restaurant = order.restaurant;
+  const coordinates = restaurant?.address?.coordinates || {};
+  const dropoff = order.deliveryAddress || {};
+
+  if (coordinates.latitude == null || dropoff.latitude == null) {
+    return null;
+  }
+
+  return {
+    order,
+    restaurantId: restaurant._id,
+    pickup: {
+      latitude: coordinates.latitude,
+      longitude: coordinates.longitude,
+      address: restaurant.fullAddress || restaurant.name
+    },
+    dropoff: {
+      latitude: dropoff.latitude,
+      longitude: dropoff.longitude,
+      address: formatDeliveryAddress(dropoff)
+    }
+  };
+};
+
+/**
+ * Order the stops for a set of legs: always drive to the nearest stop that
+ * can be visited next (a dropoff only once its pickup is done).
+ *
+ * @param {Object|null} start - driver position, or null to start at the first pickup
+ * @param {Array} legs - from buildLeg()
+ * @param {Date} startAt - when the trip starts
+ * @returns {Object} { stops, distanceKm, durationMinutes, detours: [{ order, orderNumber, detourMinutes }] }
+ */
+const planTrip = (start, legs, startAt = new Date()) => {
+  const origin = start && start.latitude != null ? start : legs[0].pickup;
+  const pickedUp = new Set();
+  const remaining = [];
+  for (const leg of legs) {
+    remaining.push({ type: 'pickup', leg, location: leg.pickup });
+    remaining.push({ type: 'dropoff', leg, location: leg.dropoff });
+  }
+
+  const stops = [];
+  const arrivalMinutes = new Map();
+  let current = origin;
+  let minutes = 0;
+  let distanceKm = 0;
+
+  while (remaining.length > 0) {
+    let bestIndex = -1;
+    let bestDistance = Infinity;
+
+    remaining.forEach((stop, index) => {
+      const orderId = String(stop.leg.order._id);
+      if (stop.type === 'dropoff' && !pickedUp.has(orderId)) return;
+      const distance = haversineKm(current, stop.location) ?? Infinity;
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        bestIndex = index;
+      }
+    });
+
+    const [stop] = remaining.splice(bestIndex, 1);
+    const orderId = String(stop.leg.order._id);
+
+    minutes += travelMinutes(current, stop.location);
+    distanceKm += Number.isFinite(bestDistance) ? bestDistance : 0;
+
+    stops.push({
+      sequence: stops.length + 1,
+      type: stop.type,
+      order: stop.leg.order._id,
+      restaurant: stop.leg.restaurantId,
+      location: stop.location,
+      eta: new Date(startAt.getTime() + minutes * 60 * 1000),
+      status: 'pending'
+    });
+
+    if (stop.type === 'pickup') {
+      pickedUp.add(orderId);
+    } else {
+      arrivalMinutes.set(orderId, minutes);
+    }
+
+    minutes += STOP_MINUTES;
+    current = stop.location;
+  }
+
+  // Compare each dropoff with driving that order on its own
+  const detours = legs.map(leg => {
+    const direct = travelMinutes(origin, leg.pickup) + STOP_MINUTES + travelMinutes(leg.pickup, leg.dropoff);
+    const batched = arrivalMinutes.get(String(leg.order._id));
+    return {
+      order: leg.order._id,
+      orderNumber: leg.order.orderNumber,
+      detourMinutes: round(Math.max(0, batched - direct))
+    };
+  });
+
+  return {
+    stops,
+    distanceKm: round(distanceKm),
+    durationMinutes: round(minutes),
+    detours
+  };
+};
+
+const exceedsDetour = (plan) => plan.detours.some(detour => detour.detourMinutes > MAX_DETOUR_MINUTES);
+
+const loadLegs = async (filter) => {
+  const orders = await Order.find(filter)
+    .populate('restaurant', 'name address')
+    .sort({ createdAt: 1 });
+  return orders.map(order => ({ order, leg: buildLeg(order) }));
+};
+
+/**
+ * Suggest batches among confirmed orders that have no driver yet. The
+ * oldest order seeds each batch; nearby orders are added while every order
+ * stays within the detour limit.
+ *
+ * @returns {Promise<Array>} [{ orders, stops, distanceKm, durationMinutes, detours }]
+ */
+const suggestBatches = async () => {
+  const candidates = (await loadLegs({ status: 'confirmed', driver: null }))
+    .filter(candidate => candidate.leg)
+    .map(candidate => candidate.leg);
+
+  const used = new Set();
+  const suggestions = [];
+
+  for (const seed of candidates) {
+    const seedId = String(seed.order._id);
+    if (used.has(seedId)) continue;
+
+    const nearby = candidates
+      .filter(leg => !used.has(String(leg.order._id)) && String(leg.order._id) !== seedId)
+      .map(leg => ({ leg, pickupDistance: haversineKm(seed.pickup, leg.pickup) }))
+      .filter(entry => entry.pickupDistance !== null && entry.pickupDistance <= PICKUP_RADIUS_KM)
+      .sort((a, b) => a.pickupDistance - b.pickupDistance ||
+        haversineKm(seed.dropoff, a.leg.dropoff) - haversineKm(seed.dropoff, b.leg.dropoff));
+
+    let batch = [seed];
+    let plan = null;
+
+    for (const { leg } of nearby) {
+      if (batch.length >= MAX_BATCH_ORDERS) break;
+      const trial = planTrip(null, [...batch, leg]);
+      if (!exceedsDetour(trial)) {
+        batch = [...batch, leg];
+        plan = trial;
+      }
+    }
+
+    if (batch.length < 2) continue;
+
+    batch.forEach(leg => used.add(String(leg.order._id)));
+    suggestions.push({
+      orders: batch.map(leg => ({
+        _id: leg.order._id,
+        orderNumber: leg.order.orderNumber,
+        restaurant: { _id: leg.restaurantId, name: leg.order.restaurant.name },
+        deliveryAddress: leg.dropoff.address
+      })),
+      stops: plan.stops,
+      distanceKm: plan.distanceKm,
+      durationMinutes: plan.durationMinutes,
+      detours: plan.detours
+    });
+  }
+
+  return suggestions;
+};
+
+const publishTrip = (trip) => {
+  publish('trip.updated', {
+    tripId: trip._id,
+    status: trip.status,
+    stops: trip.stops
+  }, { drivers: [trip.driver] });
+};
+
+/**
+ * Batch confirmed orders onto one driver.
+ *
+ * @param {Object} params
+ * @param {String} params.driverId - driver user id
+ * @param {Array<String>} params.orderIds
+ * @param {Object} params.actor - { id, userType, name }
+ * @returns {Promise<Object>} { trip, skipped: [{ order, message }] }
+ * @throws {ApiError} 400 bad input, 404 driver/orders not found, 409 not batchable
+ */
+const createTrip = async ({ driverId, orderIds, actor }) => {
+  const ids = [...new Set((Array.isArray(orderIds) ? orderIds : []).map(String))];
+
+  if (ids.length < 2 || ids.length > MAX_BATCH_ORDERS) {
+    throw new ApiError(400, `A trip needs between 2 and ${MAX_BATCH_ORDERS} orders`);
+  }
+  if (!mongoose.Types.ObjectId.isValid(driverId) || ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    throw new ApiError(400, 'Invalid driver or order ID');
+  }
+
+  const driver = await User.findById(driverId);
+  if (!driver || driver.userType !== 'driver' || !driver.isActive) {
+    throw new ApiError(404, 'Driver not found');
+  }
+
+  const profile = await ensureDriverProfile(driver);
+  assertDocumentsVerified(profile);
+
+  const openTrip = await Trip.findOne({ driver: driver._id, status: 'active' });
+  if (openTrip) {
+    throw new ApiError(409, 'Driver already has a trip in progress', { tripId: openTrip._id });
+  }
+
+  const loaded = await loadLegs({ _id: { $in: ids } });
+  if (loaded.length !== ids.length) {
+    throw new ApiError(404, 'One or more orders not found');
+  }
+
+  const notReady = loaded.filter(({ order }) => order.status !== 'confirmed');
+  if (notReady.length > 0) {
+    throw new ApiError(409, 'Only confirmed orders without a driver can be batched', {
+      orders: notReady.map(({ order }) => ({ _id: order._id, orderNumber: order.orderNumber, status: order.status }))
+    });
+  }
+
+  const missingCoordinates = loaded.filter(({ leg }) => !leg);
+  if (missingCoordinates.length > 0) {
+    throw new ApiError(400, 'Every order needs restaurant and delivery coordinates to be batched', {
+      orders: missingCoordinates.map(({ order }) => order.orderNumber)
+    });
+  }
+
+  const legs = loaded.map(({ leg }) => leg);
+  const start = latestDriverLocation(driver, profile);
+  const plan = planTrip(start, legs);
+
+  if (exceedsDetour(plan)) {
+    throw new ApiError(409, `Batching would delay an order by more than ${MAX_DETOUR_MINUTES} minutes`, {
+      detours: plan.detours
+    });
+  }
+
+  const trip = await Trip.create({
+    driver: driver._id,
+    orders: legs.map(leg => leg.order._id),
+    stops: plan.stops,
+    distanceKm: plan.distanceKm,
+    createdBy: actor
+  });
+
+  const assigned = [];
+  const skipped = [];
+
+  for (const leg of legs) {
+    try {
+      await transitionOrder(leg.order._id, 'assigned', {
+        actor,
+        set: { driver: driver._id },
+        note: `Batched into trip with ${legs.length} orders`
+      });
+      assigned.push(leg);
+    } catch (error) {
+      // Another admin or dispatch got to this order first
+      skipped.push({ order: leg.order._id, orderNumber: leg.order.orderNumber, message: error.message });
+    }
+  }
+
+  if (assigned.length === 0) {
+    trip.status = 'cancelled';
+    await trip.save();
+    throw new ApiError(409, 'None of the orders could be assigned', { skipped });
+  }
+
+  if (skipped.length > 0) {
+    const replanned = planTrip(start, assigned);
+    trip.orders = assigned.map(leg => leg.order._id);
+    trip.stops = replanned.stops;
+    trip.distanceKm = replanned.distanceKm;
+    await trip.save();
+  }
+
+  await Delivery.updateMany(
+    { order: { $in: trip.orders } },
+    { $set: { trip: trip._id } }
+  );
+
+  console.log(`🧺 Trip ${trip._id}: ${trip.orders.length} orders batched for driver ${driver._id}`);
+  publishTrip(trip);
+
+  return { trip, skipped };
+};
+
+/**
+ * Driver marks a stop done. A pickup moves the order to picked_up; a
+ * dropoff moves it to delivered (proof of delivery rules apply).
+ *
+ * @param {Document} driver - driver User
+ * @param {String} tripId
+ * @param {String} stopId
+ * @returns {Promise<Document>} the updated trip
+ */
+const completeStop = async (driver, tripId, stopId) => {
+  if (!mongoose.Types.ObjectId.isValid(tripId) || !mongoose.Types.ObjectId.isValid(stopId)) {
+    throw new ApiError(400, 'Invalid trip or stop ID');
+  }
+
+  const trip = await Trip.findOne({ _id: tripId, driver: driver._id });
+  if (!trip) {
+    throw new ApiError(404, 'Trip not found');
+  }
+  if (trip.status !== 'active') {
+    throw new ApiError(409, `Trip is ${trip.status}`);
+  }
+
+  const stop = trip.stops.id(stopId);
+  if (!stop) {
+    throw new ApiError(404, 'Stop not found');
+  }
+  if (stop.status !== 'pending') {
+    throw new ApiError(409, `Stop is already ${stop.status}`);
+  }
+
+  const actor = { id: driver._id, userType: 'driver', name: driver.name };
+
+  if (stop.type === 'pickup') {
+    await transitionOrder(stop.order, 'picked_up', { actor, note: 'Picked up on trip' });
+  } else {
+    const order = await Order.findById(stop.order).select('status');
+    if (order && order.status === 'picked_up') {
+      await transitionOrder(stop.order, 'in_transit', { actor });
+    }
+    await transitionOrder(stop.order, 'delivered', { actor, note: 'Delivered on trip' });
+  }
+
+  return Trip.findById(trip._id);
+};
+
+/**
+ * Populate what the trip screens show: the driver, each order's customer
+ * and each pickup restaurant's phone number.
+ *
+ * @param {Query} query - a Trip query
+ * @returns {Query}
+ */
+const populateTrip = (query) => {
+  return query
+    .populate('driver', 'name phone')
+    .populate({
+      path: 'orders',
+      select: 'orderNumber shortCode status user deliveryAddress totalAmount',
+      populate: { path: 'user', select: 'name phone' }
+    })
+    .populate('stops.restaurant', 'name contact.phone');
+};
+
+// Re-estimate the pending stops from where the driver is now
+const refreshEtas = (trip, from, at) => {
+  let current = from;
+  let minutes = 0;
+  for (const stop of trip.stops) {
+    if (stop.status !== 'pending') continue;
+    if (current) minutes += travelMinutes(current, stop.location);
+    stop.eta = new Date(at.getTime() + minutes * 60 * 1000);
+    minutes += STOP_MINUTES;
+    current = stop.location;
+  }
+};
+
+// Keep trip stops in step with the status of their orders
+onTransition(async (order, { to, actor }) => {
+  if (!['assigned', 'picked_up', 'delivered', 'cancelled'].includes(to)) return;
+
+  const trip = await Trip.findOne({ orders: order._id, status: 'active' });
+  if (!trip) return;
+
+  const orderId = String(order._id);
+  const driverId = String(order.driver?._id || order.driver || '');
+  const now = new Date();
+  let lastVisited = null;
+  let changed = false;
+
+  for (const stop of trip.stops) {
+    if (String(stop.order) !== orderId || stop.status !== 'pending') continue;
+
+    if (to === 'delivered' || (to === 'picked_up' && stop.type === 'pickup')) {
+      stop.status = 'completed';
+      stop.completedAt = now;
+      lastVisited = stop.location;
+      changed = true;
+    } else if (to === 'cancelled' || (to === 'assigned' && driverId !== String(trip.driver))) {
+      // Cancelled, or handed to another driver outside this trip
+      stop.status = 'skipped';
+      changed = true;
+    }
+  }
+
+  if (!changed) return;
+
+  const next = trip.stops.find(stop => stop.status === 'pending');
+  if (!next) {
+    const delivered = trip.stops.some(stop => stop.type === 'dropoff' && stop.status === 'completed');
+    trip.status = delivered ? 'completed' : 'cancelled';
+    trip.completedAt = now;
+    console.log(`🧺 Trip ${trip._id} ${trip.status}`);
+  } else if (lastVisited) {
+    refreshEtas(trip, lastVisited, now);
+  }
+
+  await trip.save();
+  publishTrip(trip);
+
+  // Heading to a dropoff next puts that order in transit
+  if (next && next.type === 'dropoff') {
+    const nextOrder = await Order.findById(next.order).select('status');
+    if (nextOrder && nextOrder.status === 'picked_up') {
+      await transitionOrder(next.order, 'in_transit', {
+        actor: actor?.userType === 'driver' ? actor : { id: trip.driver, userType: 'driver' },
+        note: 'Next stop on trip'
+      });
+    }
+  }
+});
+
+module.exports = {
+  BATCH_RULES,
+  planTrip,
+  suggestBatches,
+  createTrip,
+  completeStop,
+  populateTrip
+};
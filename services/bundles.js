@@ -0,0 +1,327 @@
+// services/bundles.js
+// Combo meals. A bundle is defined once with fixed and choice slots, and
+// when ordered it is expanded into one Order.items line per component so
+// stock and order counts keep working per MenuItem. The bundle price is
+// spread over the components in proportion to their normal prices.
+
+const mongoose = require('mongoose');
+const Bundle = require('../models/Bundle');
+const MenuItem = require('../models/MenuItem');
+const MenuCategory = require('../models/MenuCategory');
+const ApiError = require('../utils/ApiError');
+const { roundCurrency } = require('../utils/currency');
+const { resolveSelectedOptions } = require('./menuOptions');
+
+// Menu item fields shown for bundle slots
+const SLOT_ITEM_FIELDS = 'name price image category menuCategory isAvailable optionGroups';
+
+const slotType = (slot) => (slot.menuItem ? 'fixed' : 'choice');
+
+const parseSlots = async (restaurantId, input) => {
+  let slots = input;
+  if (typeof slots === 'string') {
+    try {
+      slots = JSON.parse(slots);
+    } catch (error) {
+      throw new ApiError(400, 'slots must be valid JSON');
+    }
+  }
+  if (!Array.isArray(slots) || slots.length === 0) {
+    throw new ApiError(400, 'A bundle needs at least one slot');
+  }
+
+  const parsed = slots.map((slot, index) => {
+    const label = `slots[${index}]`;
+    const name = typeof slot?.name === 'string' ? slot.name.trim() : '';
+    if (!name) {
+      throw new ApiError(400, `${label}.name is required`);
+    }
+
+    const quantity = slot.quantity === undefined ? 1 : Number(slot.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new ApiError(400, `${label}.quantity must be a whole number of at least 1`);
+    }
+
+    const menuItem = slot.menuItem || null;
+    const choices = Array.isArray(slot.choices) ? slot.choices.map(String) : [];
+    const category = slot.category || null;
+
+    if ([menuItem, choices.length > 0, category].filter(Boolean).length !== 1) {
+      throw new ApiError(400, `${label} needs exactly one of menuItem, choices or category`);
+    }
+    for (const id of [menuItem, ...choices].filter(Boolean)) {
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new ApiError(400, `${label} references an invalid menu item ID`);
+      }
+    }
+    if (category && !mongoose.isObjectIdOrHexString(category)) {
+      throw new ApiError(400, `${label}.category must be a menu category ID`);
+    }
+
+    return {
+      ...(slot._id && mongoose.Types.ObjectId.isValid(slot._id) ? { _id: slot._id } : {}),
+      name,
+      quantity,
+      menuItem,
+      choices,
+      category
+    };
+  });
+
+  const referenced = [...new Set(parsed.flatMap(slot => [slot.menuItem, ...slot.choices]).filter(Boolean).map(String))];
+  const found = await MenuItem.countDocuments({ _id: { $in: referenced }, restaurant: restaurantId });
+  if (found !== referenced.length) {
+    throw new ApiError(400, 'Every menu item in a bundle must be on the same restaurant\'s menu');
+  }
+
+  const categories = [...new Set(parsed.map(slot => slot.category).filter(Boolean).map(String))];
+  const foundCategories = await MenuCategory.countDocuments({ _id: { $in: categories }, restaurant: restaurantId });
+  if (foundCategories !== categories.length) {
+    throw new ApiError(400, 'Every category in a bundle must be on the same restaurant\'s menu');
+  }
+
+  return parsed;
+};
+
+/**
+ * Validate bundle fields from a create/update request.
+ *
+ * @param {String} restaurantId
+ * @param {Object} body - { name, description, price, slots, isAvailable, displayOrder }
+ * @param {Boolean} partial - true for updates (only fields sent are changed)
+ * @returns {Promise<Object>} fields to set on the Bundle
+ * @throws {ApiError} 400 describing the first problem found
+ */
+const parseBundleInput = async (restaurantId, body, partial = false) => {
+  const fields = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) {
+      throw new ApiError(400, 'Bundle name is required');
+    }
+    fields.name = name;
+  }
+
+  if (body.description !== undefined) {
+    fields.description = body.description;
+  }
+
+  if (body.price !== undefined || !partial) {
+    const price = Number(body.price);
+    if (body.price === undefined || body.price === '' || !Number.isFinite(price) || price < 0) {
+      throw new ApiError(400, 'Bundle price must be a number of at least 0');
+    }
+    fields.price = roundCurrency(price);
+  }
+
+  if (body.slots !== undefined || !partial) {
+    fields.slots = await parseSlots(restaurantId, body.slots);
+  }
+
+  if (body.isAvailable !== undefined) {
+    fields.isAvailable = body.isAvailable === true || body.isAvailable === 'true';
+  }
+  if (body.displayOrder !== undefined) {
+    fields.displayOrder = parseInt(body.displayOrder, 10) || 0;
+  }
+
+  return fields;
+};
+
+/**
+ * A restaurant's bundles for the menu, with each slot's item or choices.
+ *
+ * @param {String} restaurantId
+ * @param {Object} options
+ * @param {Boolean} options.includeUnavailable
+ * @returns {Promise<Array>}
+ */
+const listMenuBundles = async (restaurantId, { includeUnavailable = false } = {}) => {
+  const query = { restaurant: restaurantId };
+  if (!includeUnavailable) {
+    query.isAvailable = true;
+  }
+
+  const bundles = await Bundle.find(query)
+    .populate('slots.menuItem', SLOT_ITEM_FIELDS)
+    .populate('slots.choices', SLOT_ITEM_FIELDS)
+    .populate('slots.category', 'name')
+    .sort({ displayOrder: 1, name: 1 })
+    .lean();
+
+  const categories = [...new Set(bundles.flatMap(bundle => bundle.slots.map(slot => slot.category?._id)).filter(Boolean))];
+  const categoryItems = categories.length > 0
+    ? await MenuItem.find({ restaurant: restaurantId, menuCategory: { $in: categories }, isAvailable: true })
+      .select(SLOT_ITEM_FIELDS)
+      .sort({ name: 1 })
+      .lean()
+    : [];
+
+  return bundles.map(bundle => ({
+    ...bundle,
+    slots: bundle.slots.map(slot => ({
+      ...slot,
+      type: slotType(slot),
+      choices: slot.category
+        ? categoryItems.filter(item => String(item.menuCategory) === String(slot.category._id))
+        : slot.choices.filter(Boolean)
+    }))
+  }));
+};
+
+/**
+ * Menu item ids a requested bundle line needs loaded: its fixed items and
+ * the customer's choices.
+ *
+ * @param {Object} bundle
+ * @param {Object} requested - { bundle, quantity, selections: [{ slot, menuItem, options }] }
+ * @returns {Array<String>}
+ */
+const bundleMenuItemIds = (bundle, requested) => {
+  const selections = Array.isArray(requested.selections) ? requested.selections : [];
+  return [
+    ...bundle.slots.filter(slot => slot.menuItem).map(slot => String(slot.menuItem)),
+    ...selections.map(selection => selection?.menuItem).filter(id => id && mongoose.Types.ObjectId.isValid(id)).map(String)
+  ];
+};
+
+/**
+ * Expand one ordered bundle into its component Order.items lines.
+ *
+ * @param {Object} requested - { bundle, quantity, selections: [{ slot, menuItem, options }], specialInstructions }
+ * @param {Object} bundle
+ * @param {Map} menuItemsById - MenuItem documents by id (see bundleMenuItemIds)
+ * @param {String} key - groups this bundle's lines on the order
+ * @returns {Array} Order.items entries whose subtotals add up to the bundle price
+ *   (plus any option price deltas) times the quantity
+ * @throws {ApiError} 400 for a missing or invalid choice or an unavailable item
+ */
+const expandBundleLine = (requested, bundle, menuItemsById, key) => {
+  if (!bundle.isAvailable) {
+    throw new ApiError(400, `${bundle.name} is currently unavailable`);
+  }
+
+  const quantity = parseInt(requested.quantity, 10) || 1;
+  const selections = Array.isArray(requested.selections) ? requested.selections : [];
+
+  for (const selection of selections) {
+    if (!bundle.slots.some(slot => String(slot._id) === String(selection?.slot))) {
+      throw new ApiError(400, `${bundle.name} has no slot ${selection?.slot}`);
+    }
+  }
+
+  const components = bundle.slots.map(slot => {
+    const selection = selections.find(entry => String(entry.slot) === String(slot._id));
+    const menuItemId = slot.menuItem ? String(slot.menuItem) : String(selection?.menuItem || '');
+
+    if (!slot.menuItem) {
+      if (!selection?.menuItem) {
+        throw new ApiError(400, `Choose an item for "${slot.name}" in ${bundle.name}`);
+      }
+      const allowed = slot.category
+        ? String(menuItemsById.get(menuItemId)?.menuCategory) === String(slot.category)
+        : slot.choices.some(choice => String(choice) === menuItemId);
+      if (!allowed) {
+        throw new ApiError(400, `That item is not a choice for "${slot.name}" in ${bundle.name}`);
+      }
+    }
+
+    const menuItem = menuItemsById.get(menuItemId);
+    if (!menuItem || String(menuItem.restaurant) !== String(bundle.restaurant)) {
+      throw new ApiError(400, `An item in ${bundle.name} is no longer on the menu`);
+    }
+    if (!menuItem.isActuallyAvailable) {
+      throw new ApiError(400, `${menuItem.name} in ${bundle.name} is currently unavailable`);
+    }
+
+    return {
+      slot,
+      menuItem,
+      ...resolveSelectedOptions(menuItem, selection?.options)
+    };
+  });
+
+  // Share of the bundle price for one bundle, by normal price; the last
+  // component takes the rounding difference so the shares add up exactly
+  const regularTotal = components.reduce((sum, c) => sum + c.menuItem.price * c.slot.quantity, 0);
+  let allocated = 0;
+  const shares = components.map((component, index) => {
+    if (index === components.length - 1) {
+      return roundCurrency(bundle.price - allocated);
+    }
+    const weight = regularTotal > 0
+      ? (component.menuItem.price * component.slot.quantity) / regularTotal
+      : 1 / components.length;
+    const share = roundCurrency(bundle.price * weight);
+    allocated = roundCurrency(allocated + share);
+    return share;
+  });
+
+  return components.map((component, index) => {
+    const { slot, menuItem, options, optionsTotal } = component;
+    const perBundle = roundCurrency(shares[index] + optionsTotal * slot.quantity);
+    if (perBundle < 0) {
+      throw new ApiError(400, `The options chosen for ${menuItem.name} bring its price below zero`);
+    }
+
+    return {
+      menuItem: menuItem._id,
+      name: menuItem.name,
+      description: menuItem.description,
+      price: roundCurrency(perBundle / slot.quantity),
+      basePrice: menuItem.price,
+      options,
+      quantity: slot.quantity * quantity,
+      subtotal: roundCurrency(perBundle * quantity),
+      image: menuItem.image,
+      category: menuItem.category,
+      specialInstructions: requested.specialInstructions,
+      bundle: {
+        bundle: bundle._id,
+        name: bundle.name,
+        key,
+        slot: slot.name
+      }
+    };
+  });
+};
+
+const createBundle = async (restaurant, body) => {
+  const bundle = await Bundle.create({
+    restaurant: restaurant._id,
+    ...(await parseBundleInput(restaurant._id, body))
+  });
+  console.log(`✅ Bundle created: ${bundle.name}`);
+  return bundle;
+};
+
+const updateBundle = async (bundle, body) => {
+  bundle.set(await parseBundleInput(bundle.restaurant, body, true));
+  await bundle.save();
+  console.log(`✅ Bundle updated: ${bundle.name}`);
+  return bundle;
+};
+
+const toggleBundleAvailability = async (bundle) => {
+  bundle.isAvailable = !bundle.isAvailable;
+  await bundle.save();
+  console.log(`✅ Bundle "${bundle.name}" is now ${bundle.isAvailable ? 'AVAILABLE' : 'UNAVAILABLE'}`);
+  return bundle;
+};
+
+const deleteBundle = async (bundle) => {
+  await Bundle.findByIdAndDelete(bundle._id);
+  console.log('✅ Bundle deleted:', bundle.name);
+};
+
+module.exports = {
+  parseBundleInput,
+  listMenuBundles,
+  bundleMenuItemIds,
+  expandBundleLine,
+  createBundle,
+  updateBundle,
+  toggleBundleAvailability,
+  deleteBundle
+};
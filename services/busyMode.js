@@ -0,0 +1,173 @@
+// services/busyMode.js
+// Busy mode: a restaurant is busy when a vendor or admin switches it on
+// (status 'busy', optionally until a time) or automatically while its open
+// orders are over a threshold. Busy restaurants get longer prep-time ETAs, a
+// delay notice for customers and, if configured, a cap on new orders.
+
+const Order = require('../models/Order');
+const Restaurant = require('../models/Restaurant');
+const ApiError = require('../utils/ApiError');
+
+// Open orders above which a restaurant counts as busy without being switched on
+const OPEN_ORDER_THRESHOLD = parseInt(process.env.BUSY_OPEN_ORDER_THRESHOLD, 10) || 15;
+const EXTRA_PREP_MINUTES = parseInt(process.env.BUSY_EXTRA_PREP_MINUTES, 10) || 15;
+// Window for maxOrdersPerWindow
+const THROTTLE_WINDOW_MINUTES = parseInt(process.env.BUSY_THROTTLE_WINDOW_MINUTES, 10) || 15;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Orders the kitchen still has to prepare
+const OPEN_ORDER_STATUSES = ['pending', 'confirmed', 'assigned'];
+
+const countOpenOrders = (restaurantId) => {
+  return Order.countDocuments({ restaurant: restaurantId, status: { $in: OPEN_ORDER_STATUSES } });
+};
+
+// Open order counts for many restaurants at once (for list responses)
+const countOpenOrdersByRestaurant = async (restaurantIds) => {
+  const counts = await Order.aggregate([
+    { $match: { restaurant: { $in: restaurantIds }, status: { $in: OPEN_ORDER_STATUSES } } },
+    { $group: { _id: '$restaurant', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(entry => [String(entry._id), entry.count]));
+};
+
+const isManuallyBusy = (restaurant, now = new Date()) => {
+  return restaurant.status === 'busy' && (!restaurant.busyUntil || new Date(restaurant.busyUntil) > now);
+};
+
+/**
+ * Busy state for a restaurant given its open order count.
+ *
+ * @param {Object} restaurant
+ * @param {Number} openOrders
+ * @returns {Object} { busy, reason, openOrders, extraPrepMinutes, busyUntil, delayNotice }
+ */
+const describeBusyState = (restaurant, openOrders, now = new Date()) => {
+  const settings = restaurant.busySettings || {};
+  const threshold = settings.openOrderThreshold ?? OPEN_ORDER_THRESHOLD;
+  const manual = isManuallyBusy(restaurant, now);
+  const automatic = openOrders > threshold;
+
+  if (!manual && !automatic) {
+    return { busy: false, reason: null, openOrders, extraPrepMinutes: 0, busyUntil: null, delayNotice: null };
+  }
+
+  const extraPrepMinutes = settings.extraPrepMinutes ?? EXTRA_PREP_MINUTES;
+
+  return {
+    busy: true,
+    reason: manual ? 'manual' : 'order_volume',
+    openOrders,
+    extraPrepMinutes,
+    busyUntil: manual ? restaurant.busyUntil || null : null,
+    delayNotice: `${restaurant.name} is very busy right now. Orders may take about ${extraPrepMinutes} minutes longer than usual.`
+  };
+};
+
+const getBusyState = async (restaurant, now = new Date()) => {
+  return describeBusyState(restaurant, await countOpenOrders(restaurant._id), now);
+};
+
+/**
+ * Refuse a new order when the restaurant is busy and has already taken
+ * its maximum for the throttle window.
+ *
+ * @param {Object} restaurant
+ * @param {Object} busyState - from getBusyState()
+ * @throws {ApiError} 429 with retryAfterSeconds
+ */
+const assertOrderAllowed = async (restaurant, busyState) => {
+  const limit = restaurant.busySettings?.maxOrdersPerWindow;
+  if (!busyState.busy || !limit) return;
+
+  const windowStart = new Date(Date.now() - THROTTLE_WINDOW_MINUTES * 60 * 1000);
+  const recent = await Order.find({ restaurant: restaurant._id, createdAt: { $gte: windowStart } })
+    .select('createdAt')
+    .sort({ createdAt: 1 })
+    .limit(limit)
+    .lean();
+
+  if (recent.length < limit) return;
+
+  // A slot frees up when the oldest order in the window drops out of it
+  const freesAt = new Date(recent[0].createdAt).getTime() + THROTTLE_WINDOW_MINUTES * 60 * 1000;
+  throw new ApiError(429, `${restaurant.name} is very busy and is not taking more orders right now. Please try again shortly.`, {
+    retryAfterSeconds: Math.max(1, Math.ceil((freesAt - Date.now()) / 1000)),
+    delayNotice: busyState.delayNotice
+  });
+};
+
+/**
+ * Switch busy mode on or off.
+ *
+ * @param {Document} restaurant
+ * @param {Object} params
+ * @param {Boolean} params.busy
+ * @param {Number} params.minutes - how long to stay busy (omit for until switched off)
+ * @param {Object} params.settings - { extraPrepMinutes, openOrderThreshold, maxOrdersPerWindow }
+ * @returns {Promise<Document>}
+ */
+const setBusyMode = async (restaurant, { busy, minutes, settings }) => {
+  if (restaurant.status === 'closed' && busy) {
+    throw new ApiError(409, 'A closed restaurant cannot be put in busy mode');
+  }
+
+  if (busy) {
+    const duration = minutes !== undefined && minutes !== null && minutes !== '' ? parseFloat(minutes) : null;
+    if (duration !== null && (Number.isNaN(duration) || duration <= 0)) {
+      throw new ApiError(400, 'minutes must be a positive number');
+    }
+    restaurant.status = 'busy';
+    restaurant.busyUntil = duration ? new Date(Date.now() + duration * 60 * 1000) : null;
+  } else if (restaurant.status === 'busy') {
+    restaurant.status = 'open';
+    restaurant.busyUntil = null;
+  }
+
+  if (settings) {
+    for (const field of ['extraPrepMinutes', 'openOrderThreshold', 'maxOrdersPerWindow']) {
+      if (settings[field] === undefined) continue;
+      const value = settings[field] === null || settings[field] === '' ? null : parseInt(settings[field], 10);
+      if (value !== null && (Number.isNaN(value) || value < 0)) {
+        throw new ApiError(400, `${field} must be a whole number of at least 0`);
+      }
+      restaurant.set(`busySettings.${field}`, value);
+    }
+  }
+
+  await restaurant.save();
+  console.log(`🔥 ${restaurant.name} busy mode ${busy ? `on${restaurant.busyUntil ? ` until ${restaurant.busyUntil.toISOString()}` : ''}` : 'off'}`);
+  return restaurant;
+};
+
+// Busy mode that has run out goes back to open
+const expireBusyMode = async () => {
+  const result = await Restaurant.updateMany(
+    { status: 'busy', busyUntil: { $ne: null, $lte: new Date() } },
+    { $set: { status: 'open', busyUntil: null } }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`🔥 Busy mode ended for ${result.modifiedCount} restaurant(s)`);
+  }
+};
+
+const startBusyModeSweeper = () => {
+  const interval = setInterval(() => {
+    expireBusyMode().catch(error => {
+      console.error('Error ending busy mode:', error);
+    });
+  }, SWEEP_INTERVAL_MS);
+  interval.unref();
+  return interval;
+};
+
+module.exports = {
+  OPEN_ORDER_THRESHOLD,
+  countOpenOrdersByRestaurant,
+  describeBusyState,
+  getBusyState,
+  assertOrderAllowed,
+  setBusyMode,
+  expireBusyMode,
+  startBusyModeSweeper
+};
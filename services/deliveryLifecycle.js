@@ -0,0 +1,111 @@
+// services/deliveryLifecycle.js
+// Keeps the Delivery record for an order in step with the order's status.
+// Called by transitionOrder() after every successful status change.
+
+const Delivery = require('../models/Delivery');
+const Restaurant = require('../models/Restaurant');
+const { haversineKm } = require('../utils/geo');
+
+// Delivery status for each order status that has a delivery
+const DELIVERY_STATUS_FOR_ORDER = {
+  assigned: 'assigned',
+  picked_up: 'ongoing',
+  in_transit: 'ongoing',
+  delivered: 'completed',
+  cancelled: 'cancelled'
+};
+
+const formatDeliveryAddress = (address = {}) => {
+  return [address.street, address.city, address.state, address.zipCode]
+    .filter(Boolean)
+    .join(', ');
+};
+
+// Pickup and dropoff locations for an order
+const buildLocations = async (order) => {
+  const restaurantId = order.restaurant?._id || order.restaurant;
+  const restaurant = await Restaurant.findById(restaurantId).select('address');
+  const coordinates = restaurant?.address?.coordinates || {};
+  const dropoff = order.deliveryAddress || {};
+
+  const pickupLocation = {
+    latitude: coordinates.latitude,
+    longitude: coordinates.longitude,
+    address: restaurant ? restaurant.fullAddress : ''
+  };
+
+  const deliveryLocation = {
+    latitude: dropoff.latitude,
+    longitude: dropoff.longitude,
+    address: formatDeliveryAddress(dropoff)
+  };
+
+  return { pickupLocation, deliveryLocation };
+};
+
+// Create the delivery for a newly assigned order, or hand it to the new
+// driver when the order is re-assigned.
+const upsertAssignedDelivery = async (order) => {
+  const driverId = order.driver?._id || order.driver;
+  const { pickupLocation, deliveryLocation } = await buildLocations(order);
+  const distance = haversineKm(pickupLocation, deliveryLocation);
+
+  let delivery = await Delivery.findOne({ order: order._id });
+
+  if (!delivery) {
+    delivery = new Delivery({ order: order._id, driver: driverId });
+    console.log(`🚚 Creating delivery for order ${order.orderNumber}`);
+  } else {
+    console.log(`🚚 Re-assigning delivery for order ${order.orderNumber}`);
+  }
+
+  delivery.driver = driverId;
+  delivery.status = 'assigned';
+  delivery.pickupLocation = pickupLocation;
+  delivery.deliveryLocation = deliveryLocation;
+  delivery.distance = distance !== null ? Math.round(distance * 100) / 100 : null;
+  delivery.startTime = null;
+  delivery.endTime = null;
+  delivery.arrivals = { pickupAt: null, pickupDepartedAt: null, dropoffAt: null };
+
+  return delivery.save();
+};
+
+/**
+ * Bring the order's Delivery up to date with the order's current status.
+ *
+ * @param {Document} order - order after the status change
+ * @returns {Promise<Document|null>} the delivery, or null if there is none
+ */
+const syncDeliveryWithOrder = async (order) => {
+  const deliveryStatus = DELIVERY_STATUS_FOR_ORDER[order.status];
+  if (!deliveryStatus) return null;
+
+  if (order.status === 'assigned') {
+    return upsertAssignedDelivery(order);
+  }
+
+  const delivery = await Delivery.findOne({ order: order._id });
+  if (!delivery) {
+    // Orders cancelled before assignment never had a delivery
+    return null;
+  }
+
+  const now = new Date();
+  delivery.status = deliveryStatus;
+
+  if (deliveryStatus === 'ongoing' && !delivery.startTime) {
+    delivery.startTime = now;
+  }
+
+  if (deliveryStatus === 'completed' || deliveryStatus === 'cancelled') {
+    delivery.endTime = now;
+  }
+
+  return delivery.save();
+};
+
+module.exports = {
+  DELIVERY_STATUS_FOR_ORDER,
+  syncDeliveryWithOrder
+};
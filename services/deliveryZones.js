@@ -0,0 +1,214 @@
+// services/deliveryZones.js
+// Per-restaurant delivery areas. An address is served by the cheapest
+// active zone that contains it; restaurants without any zones fall back to
+// their flat Restaurant.deliveryFee and minimumOrder.
+
+const DeliveryZone = require('../models/DeliveryZone');
+const Restaurant = require('../models/Restaurant');
+const ApiError = require('../utils/ApiError');
+const { roundCurrency } = require('../utils/currency');
+const { haversineKm, isValidCoordinate, pointInPolygon } = require('../utils/geo');
+
+const ZONE_TYPES = ['radius', 'polygon'];
+
+const parseNumber = (value, label, { required = false, allowNull = false } = {}) => {
+  if (value === undefined || value === '' || (value === null && allowNull)) {
+    if (required) throw new ApiError(400, `${label} is required`);
+    return value === undefined || value === '' ? undefined : null;
+  }
+  const number = parseFloat(value);
+  if (Number.isNaN(number) || number < 0) {
+    throw new ApiError(400, `${label} must be a number of at least 0`);
+  }
+  return number;
+};
+
+const parsePolygon = (polygon) => {
+  if (!Array.isArray(polygon) || polygon.length < 3) {
+    throw new ApiError(400, 'A polygon zone needs at least 3 points');
+  }
+  return polygon.map(point => {
+    // Accept { latitude, longitude } or GeoJSON-style [longitude, latitude]
+    const latitude = parseFloat(Array.isArray(point) ? point[1] : point.latitude);
+    const longitude = parseFloat(Array.isArray(point) ? point[0] : point.longitude);
+    if (!isValidCoordinate(latitude, longitude)) {
+      throw new ApiError(400, 'Polygon contains an invalid point');
+    }
+    return { latitude, longitude };
+  });
+};
+
+/**
+ * Validate zone fields from a request body.
+ *
+ * @param {Object} body
+ * @param {Object} existing - current zone when updating (fields not sent are kept)
+ * @returns {Object} fields to set
+ * @throws {ApiError} 400
+ */
+const parseZoneInput = (body, existing = null) => {
+  const fields = {};
+
+  if (body.name !== undefined || !existing) {
+    if (!body.name || !String(body.name).trim()) {
+      throw new ApiError(400, 'Zone name is required');
+    }
+    fields.name = String(body.name).trim();
+  }
+
+  const type = body.type !== undefined ? body.type : existing?.type;
+  if (!ZONE_TYPES.includes(type)) {
+    throw new ApiError(400, `Zone type must be one of: ${ZONE_TYPES.join(', ')}`);
+  }
+  fields.type = type;
+
+  const maxDistanceKm = parseNumber(body.maxDistanceKm, 'Maximum distance', { allowNull: true });
+  if (maxDistanceKm !== undefined) fields.maxDistanceKm = maxDistanceKm;
+
+  const deliveryFee = parseNumber(body.deliveryFee, 'Delivery fee', { required: !existing });
+  if (deliveryFee !== undefined) fields.deliveryFee = deliveryFee;
+
+  const perKmFee = parseNumber(body.perKmFee, 'Per-km fee');
+  if (perKmFee !== undefined) fields.perKmFee = perKmFee;
+
+  const minimumOrder = parseNumber(body.minimumOrder, 'Minimum order', { allowNull: true });
+  if (minimumOrder !== undefined) fields.minimumOrder = minimumOrder;
+
+  if (body.isActive !== undefined) {
+    fields.isActive = body.isActive === true || body.isActive === 'true';
+  }
+
+  if (type === 'polygon') {
+    if (body.polygon !== undefined || !existing || existing.type !== 'polygon') {
+      fields.polygon = parsePolygon(body.polygon);
+    }
+  } else {
+    fields.polygon = [];
+    const radius = fields.maxDistanceKm !== undefined ? fields.maxDistanceKm : existing?.maxDistanceKm;
+    if (!radius) {
+      throw new ApiError(400, 'A radius zone needs a maximum distance greater than 0');
+    }
+  }
+
+  return fields;
+};
+
+const zoneContains = (zone, location, distanceKm) => {
+  if (zone.maxDistanceKm && distanceKm > zone.maxDistanceKm) return false;
+  if (zone.type === 'radius') return Boolean(zone.maxDistanceKm);
+  return pointInPolygon(location, zone.polygon);
+};
+
+const zoneFee = (zone, distanceKm) => roundCurrency(zone.deliveryFee + (zone.perKmFee || 0) * distanceKm);
+
+// Restaurants customers can order from
+const SERVING_RESTAURANTS = { isActive: true, 'onboarding.status': 'approved' };
+
+const deliveryTerms = (restaurant, zones, location) => {
+  const distance = haversineKm(restaurant.address?.coordinates, location);
+  const distanceKm = distance === null ? null : Math.round(distance * 100) / 100;
+
+  if (zones.length === 0) {
+    return {
+      serviceable: true,
+      zone: null,
+      distanceKm,
+      deliveryFee: roundCurrency(restaurant.deliveryFee || 0),
+      minimumOrder: restaurant.minimumOrder || 0
+    };
+  }
+
+  if (distanceKm === null) {
+    const coordinates = restaurant.address?.coordinates;
+    return {
+      serviceable: false,
+      zone: null,
+      distanceKm,
+      reason: isValidCoordinate(coordinates?.latitude, coordinates?.longitude)
+        ? 'Delivery address coordinates are required to check the delivery area'
+        : `${restaurant.name} has no location set, so its delivery area cannot be checked`
+    };
+  }
+
+  const matches = zones
+    .filter(zone => zoneContains(zone, location, distanceKm))
+    .map(zone => ({ zone, fee: zoneFee(zone, distanceKm) }))
+    .sort((a, b) => a.fee - b.fee);
+
+  if (matches.length === 0) {
+    return {
+      serviceable: false,
+      zone: null,
+      distanceKm,
+      reason: `${restaurant.name} does not deliver to this address`
+    };
+  }
+
+  const { zone, fee } = matches[0];
+  return {
+    serviceable: true,
+    zone: { _id: zone._id, name: zone.name, type: zone.type },
+    distanceKm,
+    deliveryFee: fee,
+    minimumOrder: zone.minimumOrder ?? restaurant.minimumOrder ?? 0
+  };
+};
+
+/**
+ * Work out whether a restaurant delivers to a location, and on what terms.
+ *
+ * @param {Object} restaurant - Restaurant document or lean object
+ * @param {Object} location - { latitude, longitude }
+ * @returns {Promise<Object>} { serviceable, zone, distanceKm, deliveryFee, minimumOrder, reason }
+ */
+const resolveDeliveryZone = async (restaurant, location) => {
+  const zones = await DeliveryZone.find({ restaurant: restaurant._id, isActive: true }).lean();
+  return deliveryTerms(restaurant, zones, location);
+};
+
+/**
+ * Every approved, active restaurant that delivers to a location.
+ *
+ * @param {Object} location - { latitude, longitude }
+ * @returns {Promise<Array>} [{ restaurant, zone, distanceKm, deliveryFee, minimumOrder }]
+ */
+const findServingRestaurants = async (location) => {
+  const restaurants = await Restaurant.find(SERVING_RESTAURANTS)
+    .select('name image cuisine address deliveryFee minimumOrder status')
+    .lean();
+
+  const zones = await DeliveryZone.find({
+    restaurant: { $in: restaurants.map(restaurant => restaurant._id) },
+    isActive: true
+  }).lean();
+
+  const zonesByRestaurant = new Map();
+  for (const zone of zones) {
+    const key = String(zone.restaurant);
+    if (!zonesByRestaurant.has(key)) zonesByRestaurant.set(key, []);
+    zonesByRestaurant.get(key).push(zone);
+  }
+
+  const serving = [];
+  for (const restaurant of restaurants) {
+    const result = deliveryTerms(restaurant, zonesByRestaurant.get(String(restaurant._id)) || [], location);
+    if (!result.serviceable) continue;
+    serving.push({
+      restaurant: { _id: restaurant._id, name: restaurant.name, image: restaurant.image, cuisine: restaurant.cuisine, status: restaurant.status },
+      zone: result.zone,
+      distanceKm: result.distanceKm,
+      deliveryFee: result.deliveryFee,
+      minimumOrder: result.minimumOrder
+    });
+  }
+
+  return serving.sort((a, b) => (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity));
+};
+
+module.exports = {
+  ZONE_TYPES,
+  SERVING_RESTAURANTS,
+  parseZoneInput,
+  resolveDeliveryZone,
+  findServingRestaurants
+};
@@ -0,0 +1,376 @@
+// services/dispatch.js
+// Nearest-available-driver auto-dispatch. Only drivers clocked in to a
+// shift are considered. Drivers are ranked by distance from the restaurant
+// and then by how many orders they are already carrying. The order is
+// offered to one driver at a time; an offer that is declined or not
+// answered in time moves on to the next candidate.
+
+const Dispatch = require('../models/Dispatch');
+const Driver = require('../models/Driver');
+const Order = require('../models/Order');
+const Restaurant = require('../models/Restaurant');
+const ApiError = require('../utils/ApiError');
+const { haversineKm } = require('../utils/geo');
+const { canTransition, onTransition, transitionOrder } = require('./orderStatus');
+const { getDocumentProblems } = require('./driverDocuments');
+const { getOnShiftDriverIds } = require('./shifts');
+
+const OFFER_TIMEOUT_SECONDS = parseInt(process.env.DISPATCH_OFFER_TIMEOUT_SECONDS, 10) || 60;
+const MAX_RADIUS_KM = parseFloat(process.env.DISPATCH_MAX_RADIUS_KM) || 15;
+const MAX_ACTIVE_ORDERS = parseInt(process.env.DISPATCH_MAX_ACTIVE_ORDERS, 10) || 2;
+const LOCATION_MAX_AGE_MINUTES = parseInt(process.env.DISPATCH_LOCATION_MAX_AGE_MINUTES, 10) || 30;
+// Start dispatch automatically when an order is confirmed
+const AUTO_DISPATCH_ON_CONFIRM = process.env.DISPATCH_AUTO_ON_CONFIRM === 'true';
+
+// Drivers within the same half kilometre are treated as equally close,
+// so the one carrying fewer orders wins
+const DISTANCE_BUCKET_KM = 0.5;
+
+const SWEEP_INTERVAL_MS = 15 * 1000;
+
+const ACTIVE_ORDER_STATUSES = ['assigned', 'picked_up', 'in_transit'];
+
+// Most recent known position from the Driver profile or the User document
+const latestDriverLocation = (user, profile) => {
+  const fromUser = user.location && user.location.latitude != null
+    ? { latitude: user.location.latitude, longitude: user.location.longitude, updatedAt: user.location.lastLocationUpdate }
+    : null;
+  const fromProfile = profile && profile.location && profile.location.latitude != null
+    ? { latitude: profile.location.latitude, longitude: profile.location.longitude, updatedAt: profile.location.lastUpdate }
+    : null;
+
+  if (!fromUser) return fromProfile;
+  if (!fromProfile) return fromUser;
+  return (fromProfile.updatedAt || 0) > (fromUser.updatedAt || 0) ? fromProfile : fromUser;
+};
+
+// Number of orders each driver is currently carrying
+const countActiveOrders = async (driverIds) => {
+  const counts = await Order.aggregate([
+    { $match: { driver: { $in: driverIds }, status: { $in: ACTIVE_ORDER_STATUSES } } },
+    { $group: { _id: '$driver', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(entry => [String(entry._id), entry.count]));
+};
+
+/**
+ * Rank every driver for an order.
+ *
+ * @param {Document} order
+ * @returns {Promise<Object>} { ranked: [{ driver, distanceKm, activeOrders }], skipped: [{ driver, reason, ... }] }
+ */
+const rankDrivers = async (order) => {
+  const restaurant = await Restaurant.findById(order.restaurant).select('name address');
+  const origin = restaurant?.address?.coordinates;
+  if (!origin || origin.latitude == null) {
+    throw new ApiError(400, 'Restaurant has no coordinates to dispatch from');
+  }
+
+  // Driver profiles are the source of truth for availability
+  const profiles = (await Driver.find()
+    .populate('user', 'name userType isActive location')
+    .lean())
+    .filter(profile => profile.user && profile.user.userType === 'driver' && profile.user.isActive);
+  const userIds = profiles.map(profile => profile.user._id);
+  const activeOrdersByDriver = await countActiveOrders(userIds);
+  const onShiftIds = await getOnShiftDriverIds();
+
+  const staleBefore = Date.now() - LOCATION_MAX_AGE_MINUTES * 60 * 1000;
+  const ranked = [];
+  const skipped = [];
+
+  for (const profile of profiles) {
+    const user = profile.user;
+    const activeOrders = activeOrdersByDriver.get(String(user._id)) || 0;
+
+    if (!onShiftIds.has(String(user._id))) {
+      skipped.push({ driver: user._id, reason: 'Not clocked in to a shift', activeOrders });
+      continue;
+    }
+
+    if (!profile.isAvailable) {
+      skipped.push({ driver: user._id, reason: 'Driver is not available', activeOrders });
+      continue;
+    }
+
+    const documentProblems = getDocumentProblems(profile);
+    if (documentProblems.length > 0) {
+      skipped.push({
+        driver: user._id,
+        reason: `Documents not verified: ${documentProblems.map(document => `${document.label} (${document.state})`).join(', ')}`,
+        activeOrders
+      });
+      continue;
+    }
+
+    const location = latestDriverLocation(user, profile);
+    const distance = haversineKm(location, origin);
+    if (distance === null) {
+      skipped.push({ driver: user._id, reason: 'No known location', activeOrders });
+      continue;
+    }
+
+    if (location.updatedAt && new Date(location.updatedAt).getTime() < staleBefore) {
+      skipped.push({ driver: user._id, reason: `Location older than ${LOCATION_MAX_AGE_MINUTES} minutes`, activeOrders });
+      continue;
+    }
+
+    const distanceKm = Math.round(distance * 100) / 100;
+
+    if (distanceKm > MAX_RADIUS_KM) {
+      skipped.push({ driver: user._id, reason: `More than ${MAX_RADIUS_KM} km away`, distanceKm, activeOrders });
+      continue;
+    }
+
+    if (activeOrders >= MAX_ACTIVE_ORDERS) {
+      skipped.push({ driver: user._id, reason: `Already carrying ${activeOrders} orders`, distanceKm, activeOrders });
+      continue;
+    }
+
+    ranked.push({ driver: user._id, distanceKm, activeOrders });
+  }
+
+  ranked.sort((a, b) => {
+    const bucketA = Math.floor(a.distanceKm / DISTANCE_BUCKET_KM);
+    const bucketB = Math.floor(b.distanceKm / DISTANCE_BUCKET_KM);
+    if (bucketA !== bucketB) return bucketA - bucketB;
+    if (a.activeOrders !== b.activeOrders) return a.activeOrders - b.activeOrders;
+    return a.distanceKm - b.distanceKm;
+  });
+
+  return { ranked, skipped };
+};
+
+// Expire the current offer once its timeout passes
+const scheduleExpiry = (dispatch) => {
+  const delay = Math.max(0, new Date(dispatch.currentOffer.expiresAt).getTime() - Date.now()) + 100;
+  const timer = setTimeout(() => {
+    expireDueOffers().catch(error => console.error('⚠️ Dispatch expiry error:', error.message));
+  }, delay);
+  timer.unref();
+};
+
+// Offer the order to the best candidate who has not been offered it yet
+const offerNext = async (dispatch) => {
+  const alreadyOffered = new Set(
+    dispatch.log
+      .filter(entry => entry.event === 'offered')
+      .map(entry => String(entry.driver))
+  );
+
+  const next = dispatch.candidates.find(candidate => !alreadyOffered.has(String(candidate.driver)));
+
+  if (!next) {
+    dispatch.status = 'failed';
+    dispatch.currentOffer = { driver: null, offeredAt: null, expiresAt: null };
+    dispatch.log.push({ event: 'failed', reason: 'No remaining drivers to offer the order to' });
+    await dispatch.save();
+    console.log(`❌ Dispatch ${dispatch._id}: no drivers left`);
+    return dispatch;
+  }
+
+  const now = new Date();
+  dispatch.status = 'offered';
+  dispatch.currentOffer = {
+    driver: next.driver,
+    offeredAt: now,
+    expiresAt: new Date(now.getTime() + OFFER_TIMEOUT_SECONDS * 1000)
+  };
+  dispatch.log.push({
+    event: 'offered',
+    driver: next.driver,
+    reason: `Closest available driver (${next.distanceKm} km, ${next.activeOrders} active orders)`,
+    distanceKm: next.distanceKm,
+    activeOrders: next.activeOrders
+  });
+  await dispatch.save();
+
+  scheduleExpiry(dispatch);
+  console.log(`📨 Dispatch ${dispatch._id}: offered to driver ${next.driver}`);
+
+  return dispatch;
+};
+
+/**
+ * Start auto-dispatch for an order.
+ *
+ * @param {String} orderId
+ * @param {Object} actor - { id, userType, name } or null when automatic
+ * @returns {Promise<Document>} the dispatch
+ * @throws {ApiError} 404 unknown order, 409 order not dispatchable or already dispatching
+ */
+const startDispatch = async (orderId, actor = null) => {
+  const order = await Order.findById(orderId);
+  if (!order) {
+    throw new ApiError(404, 'Order not found');
+  }
+
+  if (!canTransition(order.status, 'assigned') || order.status === 'assigned') {
+    throw new ApiError(409, `Cannot dispatch an order that is '${order.status}'`);
+  }
+
+  const inProgress = await Dispatch.findOne({ order: order._id, status: { $in: ['searching', 'offered'] } });
+  if (inProgress) {
+    throw new ApiError(409, 'Order is already being dispatched', { dispatchId: inProgress._id });
+  }
+
+  const { ranked, skipped } = await rankDrivers(order);
+
+  const dispatch = new Dispatch({
+    order: order._id,
+    startedBy: actor,
+    candidates: ranked,
+    log: [
+      { event: 'started', reason: actor ? `Started by ${actor.name || actor.userType}` : 'Started automatically' },
+      ...ranked.map((candidate, index) => ({
+        event: 'ranked',
+        driver: candidate.driver,
+        reason: `Rank ${index + 1}`,
+        distanceKm: candidate.distanceKm,
+        activeOrders: candidate.activeOrders
+      })),
+      ...skipped.map(entry => ({ event: 'skipped', ...entry }))
+    ]
+  });
+
+  console.log(`🚦 Dispatching order ${order.orderNumber}: ${ranked.length} candidates, ${skipped.length} skipped`);
+
+  return offerNext(dispatch);
+};
+
+/**
+ * Accept or decline the offer a driver currently holds.
+ *
+ * @param {String} dispatchId
+ * @param {Object} driver - the authenticated driver User
+ * @param {Boolean} accept
+ * @returns {Promise<Object>} { dispatch, order }
+ * @throws {ApiError} 404 unknown dispatch, 409 no live offer for this driver
+ */
+const respondToOffer = async (dispatchId, driver, accept) => {
+  const now = new Date();
+
+  // Claim the offer atomically so a timeout cannot race the response
+  const dispatch = await Dispatch.findOneAndUpdate(
+    {
+      _id: dispatchId,
+      status: 'offered',
+      'currentOffer.driver': driver._id,
+      'currentOffer.expiresAt': { $gt: now }
+    },
+    { $set: { status: 'searching' } },
+    { new: true }
+  );
+
+  if (!dispatch) {
+    const exists = await Dispatch.exists({ _id: dispatchId });
+    if (!exists) throw new ApiError(404, 'Dispatch not found');
+    throw new ApiError(409, 'This offer is no longer available');
+  }
+
+  dispatch.currentOffer = { driver: null, offeredAt: null, expiresAt: null };
+
+  if (!accept) {
+    dispatch.log.push({ event: 'declined', driver: driver._id, reason: 'Driver declined the offer' });
+    await offerNext(dispatch);
+    return { dispatch, order: null };
+  }
+
+  dispatch.log.push({ event: 'accepted', driver: driver._id });
+
+  try {
+    const order = await transitionOrder(dispatch.order, 'assigned', {
+      actor: { id: driver._id, userType: 'driver', name: driver.name },
+      note: 'Accepted auto-dispatch offer',
+      set: { driver: driver._id }
+    });
+
+    dispatch.status = 'assigned';
+    dispatch.assignedDriver = driver._id;
+    dispatch.log.push({ event: 'assigned', driver: driver._id });
+    await dispatch.save();
+
+    console.log(`✅ Dispatch ${dispatch._id}: order assigned to ${driver.name}`);
+    return { dispatch, order };
+  } catch (error) {
+    // The order moved on (e.g. cancelled or manually assigned) while the offer was open
+    dispatch.status = 'failed';
+    dispatch.log.push({ event: 'failed', driver: driver._id, reason: error.message });
+    await dispatch.save();
+    throw error;
+  }
+};
+
+// Move every expired offer on to its next candidate
+const expireDueOffers = async () => {
+  const now = new Date();
+  let expired = 0;
+
+  // Claim one dispatch at a time so concurrent sweeps never double-process
+  for (;;) {
+    const dispatch = await Dispatch.findOneAndUpdate(
+      { status: 'offered', 'currentOffer.expiresAt': { $lte: now } },
+      { $set: { status: 'searching' } },
+      { new: true }
+    );
+    if (!dispatch) break;
+
+    dispatch.log.push({
+      event: 'expired',
+      driver: dispatch.currentOffer.driver,
+      reason: `No response within ${OFFER_TIMEOUT_SECONDS} seconds`
+    });
+    dispatch.currentOffer = { driver: null, offeredAt: null, expiresAt: null };
+    await offerNext(dispatch);
+    expired++;
+  }
+
+  return expired;
+};
+
+// Stop any open dispatch when its order no longer needs a driver
+const cancelOpenDispatches = async (orderId, reason) => {
+  const open = await Dispatch.find({ order: orderId, status: { $in: ['searching', 'offered'] } });
+
+  for (const dispatch of open) {
+    dispatch.status = 'cancelled';
+    dispatch.currentOffer = { driver: null, offeredAt: null, expiresAt: null };
+    dispatch.log.push({ event: 'cancelled', reason });
+    await dispatch.save();
+  }
+};
+
+// Periodic sweep picks up offers whose timers were lost (e.g. after a restart)
+const startDispatchSweeper = () => {
+  const interval = setInterval(() => {
+    expireDueOffers().catch(error => console.error('⚠️ Dispatch sweep error:', error.message));
+  }, SWEEP_INTERVAL_MS);
+  interval.unref();
+  console.log('✅ Dispatch offer sweeper started');
+  return interval;
+};
+
+onTransition(async (order, { to, actor }) => {
+  if (to === 'confirmed' && AUTO_DISPATCH_ON_CONFIRM) {
+    await startDispatch(order._id, null);
+  }
+
+  if (to === 'cancelled') {
+    await cancelOpenDispatches(order._id, 'Order was cancelled');
+  }
+
+  // A manual assignment supersedes any open auto-dispatch
+  if (to === 'assigned' && actor?.userType !== 'driver') {
+    await cancelOpenDispatches(order._id, 'Order was assigned manually');
+  }
+});
+
+module.exports = {
+  OFFER_TIMEOUT_SECONDS,
+  latestDriverLocation,
+  rankDrivers,
+  startDispatch,
+  respondToOffer,
+  expireDueOffers,
+  startDispatchSweeper
+};
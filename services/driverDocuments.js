@@ -0,0 +1,242 @@
+// services/driverDocuments.js
+// Driver document uploads, admin review, and the eligibility rule that a
+// driver needs every required document approved and unexpired before they
+// can be assigned orders.
+
+const Driver = require('../models/Driver');
+const ApiError = require('../utils/ApiError');
+const { uploadToCloudinary } = require('../utils/upload');
+
+const DOCUMENT_TYPES = ['license', 'insurance', 'vehicleRegistration'];
+
+const DOCUMENT_LABELS = {
+  license: "Driver's licence",
+  insurance: 'Insurance',
+  vehicleRegistration: 'Vehicle registration'
+};
+
+// Documents a driver must have verified to receive orders
+const REQUIRED_DOCUMENTS = (process.env.DRIVER_REQUIRED_DOCUMENTS || DOCUMENT_TYPES.join(','))
+  .split(',')
+  .map(type => type.trim())
+  .filter(type => DOCUMENT_TYPES.includes(type));
+
+// How long an approval lasts when the reviewer does not give an expiry date
+const DEFAULT_VALIDITY_DAYS = parseInt(process.env.DRIVER_DOCUMENT_VALIDITY_DAYS, 10) || 365;
+
+const assertDocumentType = (type) => {
+  if (!DOCUMENT_TYPES.includes(type)) {
+    throw new ApiError(400, `Document type must be one of: ${DOCUMENT_TYPES.join(', ')}`);
+  }
+};
+
+const parseDate = (value, label) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ApiError(400, `Invalid ${label}`);
+  }
+  return date;
+};
+
+// Effective state of one document, including approvals that have lapsed.
+// Documents verified before review statuses existed only have verified: true.
+const documentState = (document, now = new Date()) => {
+  if (!document) return 'missing';
+  if (!document.status || document.status === 'missing') {
+    return document.verified === true ? 'approved' : 'missing';
+  }
+  if (document.status === 'approved' && document.expiresAt && new Date(document.expiresAt) <= now) {
+    return 'expired';
+  }
+  return document.status;
+};
+
+/**
+ * Which required documents stop a driver from receiving orders.
+ *
+ * @param {Object} profile - Driver profile
+ * @returns {Array} [{ type, label, state }] - empty when the driver is eligible
+ */
+const getDocumentProblems = (profile) => {
+  const now = new Date();
+  return REQUIRED_DOCUMENTS
+    .map(type => ({
+      type,
+      label: DOCUMENT_LABELS[type],
+      state: documentState(profile?.documents?.[type], now)
+    }))
+    .filter(document => document.state !== 'approved');
+};
+
+/**
+ * @param {Object} profile - Driver profile
+ * @throws {ApiError} 409 listing the documents that are not verified and current
+ */
+const assertDocumentsVerified = (profile) => {
+  const problems = getDocumentProblems(profile);
+  if (problems.length > 0) {
+    throw new ApiError(409, 'Driver is not eligible for orders until all required documents are verified and current', {
+      documents: problems
+    });
+  }
+};
+
+/**
+ * Upload (or replace) one of a driver's documents. It goes back into the
+ * review queue as 'pending'.
+ *
+ * @param {Document} profile - Driver profile
+ * @param {String} type - license | insurance | vehicleRegistration
+ * @param {Buffer} buffer - document image
+ * @param {Object} options - { expiresAt } expiry printed on the document, if known
+ * @returns {Promise<Document>} the updated profile
+ */
+const uploadDriverDocument = async (profile, type, buffer, { expiresAt } = {}) => {
+  assertDocumentType(type);
+  if (!buffer) {
+    throw new ApiError(400, 'A document image is required');
+  }
+
+  const documentExpiry = parseDate(expiresAt, 'expiry date');
+  if (documentExpiry && documentExpiry <= new Date()) {
+    throw new ApiError(400, 'This document has already expired');
+  }
+
+  console.log(`📤 Uploading ${type} for driver ${profile.user}...`);
+  const result = await uploadToCloudinary(buffer, { folder: `driver-documents/${profile.user}` });
+
+  profile.documents[type] = {
+    url: result.secure_url,
+    verified: false,
+    verifiedAt: null,
+    status: 'pending',
+    uploadedAt: new Date(),
+    expiresAt: documentExpiry,
+    rejectionReason: null,
+    reviewedBy: null
+  };
+
+  await profile.save();
+  return profile;
+};
+
+/**
+ * Approve or reject a pending document.
+ *
+ * @param {String} userId - driver user id
+ * @param {String} type
+ * @param {Object} review
+ * @param {Boolean} review.approve
+ * @param {String} review.reason - required when rejecting
+ * @param {Date} review.expiresAt - when the verification lapses (approvals)
+ * @param {Object} review.reviewer - { id, name }
+ * @returns {Promise<Document>} the updated profile
+ */
+const reviewDriverDocument = async (userId, type, { approve, reason, expiresAt, reviewer }) => {
+  assertDocumentType(type);
+
+  const profile = await Driver.findOne({ user: userId });
+  if (!profile) {
+    throw new ApiError(404, 'Driver profile not found');
+  }
+
+  const document = profile.documents[type];
+  if (!document || !document.url) {
+    throw new ApiError(409, `${DOCUMENT_LABELS[type]} has not been uploaded`);
+  }
+
+  const now = new Date();
+
+  if (approve) {
+    const expiry = parseDate(expiresAt, 'expiry date') ||
+      document.expiresAt ||
+      new Date(now.getTime() + DEFAULT_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+
+    if (expiry <= now) {
+      throw new ApiError(400, 'Expiry date must be in the future');
+    }
+
+    document.status = 'approved';
+    document.verified = true;
+    document.verifiedAt = now;
+    document.expiresAt = expiry;
+    document.rejectionReason = null;
+  } else {
+    if (!reason || !String(reason).trim()) {
+      throw new ApiError(400, 'A reason is required when rejecting a document');
+    }
+
+    document.status = 'rejected';
+    document.verified = false;
+    document.verifiedAt = null;
+    document.rejectionReason = String(reason).trim();
+  }
+
+  document.reviewedBy = reviewer;
+  await profile.save();
+
+  console.log(`📄 ${DOCUMENT_LABELS[type]} ${approve ? 'approved' : 'rejected'} for driver ${userId}`);
+
+  return profile;
+};
+
+// Documents waiting for review, oldest upload first
+const getReviewQueue = async () => {
+  const profiles = await Driver.find({
+    $or: DOCUMENT_TYPES.map(type => ({ [`documents.${type}.status`]: 'pending' }))
+  })
+    .populate('user', 'name email phone')
+    .lean();
+
+  const queue = [];
+  for (const profile of profiles) {
+    for (const type of DOCUMENT_TYPES) {
+      const document = profile.documents?.[type];
+      if (document?.status === 'pending') {
+        queue.push({
+          driver: profile.user,
+          profileId: profile._id,
+          type,
+          label: DOCUMENT_LABELS[type],
+          url: document.url,
+          uploadedAt: document.uploadedAt,
+          expiresAt: document.expiresAt
+        });
+      }
+    }
+  }
+
+  return queue.sort((a, b) => new Date(a.uploadedAt) - new Date(b.uploadedAt));
+};
+
+// Summary of every document for API responses
+const summarizeDocuments = (profile) => {
+  const now = new Date();
+  return DOCUMENT_TYPES.map(type => {
+    const document = profile?.documents?.[type] || {};
+    return {
+      type,
+      label: DOCUMENT_LABELS[type],
+      required: REQUIRED_DOCUMENTS.includes(type),
+      state: documentState(document, now),
+      url: document.url || null,
+      uploadedAt: document.uploadedAt || null,
+      verifiedAt: document.verifiedAt || null,
+      expiresAt: document.expiresAt || null,
+      rejectionReason: document.rejectionReason || null
+    };
+  });
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  REQUIRED_DOCUMENTS,
+  documentState,
+  getDocumentProblems,
+  assertDocumentsVerified,
+  uploadDriverDocument,
+  reviewDriverDocument,
+  getReviewQueue,
+  summarizeDocuments
+};
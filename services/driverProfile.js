@@ -0,0 +1,150 @@
+// services/driverProfile.js
+// The Driver document is the single source of truth for a driver's
+// profile (vehicle, licence, status, availability, rating, earnings).
+// The User document holds the account (name, email, phone, password).
+// The legacy copies of the vehicle fields and rating on User are only
+// written here so older readers (e.g. order populates) stay consistent.
+
+const Driver = require('../models/Driver');
+const User = require('../models/User');
+
+const VEHICLE_TYPES = ['car', 'bike', 'truck', 'van'];
+
+// Common spellings the apps and older records use
+const VEHICLE_TYPE_ALIASES = {
+  motorcycle: 'bike',
+  motorbike: 'bike',
+  scooter: 'bike',
+  bicycle: 'bike',
+  sedan: 'car',
+  hatchback: 'car',
+  bakkie: 'truck',
+  pickup: 'truck',
+  minibus: 'van'
+};
+
+const normalizeVehicleType = (value) => {
+  if (!value) return null;
+  const key = String(value).trim().toLowerCase();
+  if (VEHICLE_TYPES.includes(key)) return key;
+  return VEHICLE_TYPE_ALIASES[key] || null;
+};
+
+/**
+ * Get the Driver profile for a driver user, creating it from the legacy
+ * User fields if it does not exist yet.
+ *
+ * @param {Document|Object} user - driver User
+ * @returns {Promise<Document>} the Driver profile
+ */
+const ensureDriverProfile = async (user) => {
+  const existing = await Driver.findOne({ user: user._id });
+  if (existing) return existing;
+
+  const profile = new Driver({
+    user: user._id,
+    vehicleType: normalizeVehicleType(user.vehicleType) || 'car',
+    vehicleNumber: user.vehicleNumber || 'UNKNOWN',
+    licenseNumber: user.licenseNumber || 'UNKNOWN',
+    rating: user.rating ?? 5.0,
+    status: user.isActive ? 'active' : 'inactive',
+    location: {
+      latitude: user.location?.latitude ?? null,
+      longitude: user.location?.longitude ?? null,
+      lastUpdate: user.location?.lastLocationUpdate ?? null
+    }
+  });
+
+  await profile.save();
+  console.log(`✅ Driver profile created for ${user.email || user._id}`);
+  return profile;
+};
+
+/**
+ * Apply profile changes to the Driver document and mirror the legacy
+ * fields onto User.
+ *
+ * @param {Document} user - driver User (saved by the caller)
+ * @param {Document} profile - Driver profile
+ * @param {Object} changes - { vehicleType, vehicleNumber, licenseNumber, status, isAvailable, rating, location }
+ */
+const applyProfileChanges = (user, profile, changes) => {
+  const { vehicleType, vehicleNumber, licenseNumber, status, isAvailable, rating, location } = changes;
+
+  if (vehicleType !== undefined) profile.vehicleType = vehicleType;
+  if (vehicleNumber !== undefined) profile.vehicleNumber = vehicleNumber;
+  if (licenseNumber !== undefined) profile.licenseNumber = licenseNumber;
+  if (status !== undefined) profile.status = status;
+  if (isAvailable !== undefined) profile.isAvailable = isAvailable;
+  if (rating !== undefined) profile.rating = rating;
+  if (location) {
+    profile.location = {
+      latitude: location.latitude ?? profile.location?.latitude ?? null,
+      longitude: location.longitude ?? profile.location?.longitude ?? null,
+      address: location.address ?? profile.location?.address ?? null,
+      lastUpdate: new Date()
+    };
+  }
+
+  user.vehicleType = profile.vehicleType;
+  user.vehicleNumber = profile.vehicleNumber;
+  user.licenseNumber = profile.licenseNumber;
+  user.rating = profile.rating;
+};
+
+// Flattened driver shape the admin dashboard expects
+const formatDriver = (user, profile, stats = {}) => {
+  return {
+    _id: user._id,
+    profileId: profile?._id || null,
+    name: user.name,
+    email: user.email,
+    phone: user.phone,
+    userType: user.userType,
+    isActive: user.isActive,
+    isVerified: user.isVerified,
+    vehicleType: profile?.vehicleType || null,
+    vehicleNumber: profile?.vehicleNumber || null,
+    licenseNumber: profile?.licenseNumber || null,
+    status: profile?.status || (user.isActive ? 'active' : 'inactive'),
+    isAvailable: profile ? profile.isAvailable : false,
+    rating: profile?.rating ?? 5.0,
+    totalDeliveries: stats.totalDeliveries || 0,
+    completedDeliveries: stats.completedDeliveries || 0,
+    activeDeliveries: stats.activeDeliveries || 0,
+    earnings: profile?.earnings || { total: 0, pending: 0, paid: 0 },
+    location: profile?.location?.latitude != null ? profile.location : user.location,
+    currentAddress: user.currentAddress,
+    createdAt: user.createdAt,
+    user: {
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      phone: user.phone,
+      userType: user.userType,
+      isActive: user.isActive,
+      isVerified: user.isVerified
+    }
+  };
+};
+
+// Driver users that still have no profile (used by the backfill script)
+const findDriversWithoutProfile = async () => {
+  const withProfile = await Driver.distinct('user');
+  return User.find({ userType: 'driver', _id: { $nin: withProfile } });
+};
+
+// Copy a driver's rating to the legacy User.rating after it changes
+const syncUserRating = (profile) => {
+  return User.updateOne({ _id: profile.user }, { $set: { rating: profile.rating } });
+};
+
+module.exports = {
+  VEHICLE_TYPES,
+  normalizeVehicleType,
+  ensureDriverProfile,
+  applyProfileChanges,
+  formatDriver,
+  findDriversWithoutProfile,
+  syncUserRating
+};
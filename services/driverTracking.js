@@ -0,0 +1,249 @@
+// services/driverTracking.js
+// Ingests GPS points reported by drivers: updates the driver's current
+// position and appends a de-duplicated, throttled breadcrumb trail to each
+// of the driver's active deliveries. Points are also checked against the
+// pickup and dropoff geofences.
+
+const Delivery = require('../models/Delivery');
+const Driver = require('../models/Driver');
+const User = require('../models/User');
+const ApiError = require('../utils/ApiError');
+const { haversineKm, isValidCoordinate } = require('../utils/geo');
+const { publish } = require('./realtime');
+const { detectArrivals } = require('./geofence');
+
+// Anything faster than this between two points is treated as a GPS glitch
+const MAX_SPEED_KMH = parseFloat(process.env.TRACKING_MAX_SPEED_KMH) || 160;
+// Points with a worse reported accuracy (meters) are dropped
+const MAX_ACCURACY_METERS = parseFloat(process.env.TRACKING_MAX_ACCURACY_METERS) || 200;
+// Minimum time and distance between two breadcrumbs on a delivery route
+const ROUTE_MIN_INTERVAL_SECONDS = parseInt(process.env.TRACKING_ROUTE_MIN_INTERVAL_SECONDS, 10) || 10;
+const ROUTE_MIN_DISTANCE_METERS = parseFloat(process.env.TRACKING_ROUTE_MIN_DISTANCE_METERS) || 15;
+
+const MAX_POINTS_PER_BATCH = 500;
+const MAX_CLOCK_SKEW_MS = 2 * 60 * 1000;
+const MAX_POINT_AGE_MS = 24 * 60 * 60 * 1000;
+
+const ACTIVE_DELIVERY_STATUSES = ['assigned', 'ongoing'];
+
+// Turn the request body into a list of raw points
+const extractPoints = (body = {}) => {
+  if (Array.isArray(body.points)) return body.points;
+  if (body.latitude !== undefined || body.longitude !== undefined) return [body];
+  return [];
+};
+
+// Parse and validate one point on its own (no comparison with others)
+const parsePoint = (raw, now) => {
+  const latitude = parseFloat(raw.latitude);
+  const longitude = parseFloat(raw.longitude);
+
+  if (!isValidCoordinate(latitude, longitude)) {
+    return { error: 'Invalid coordinates' };
+  }
+
+  // Null Island is what many devices report before they get a fix
+  if (latitude === 0 && longitude === 0) {
+    return { error: 'Coordinates are 0,0 (no GPS fix)' };
+  }
+
+  const timestamp = raw.timestamp ? new Date(raw.timestamp) : now;
+  if (Number.isNaN(timestamp.getTime())) {
+    return { error: 'Invalid timestamp' };
+  }
+  if (timestamp.getTime() - now.getTime() > MAX_CLOCK_SKEW_MS) {
+    return { error: 'Timestamp is in the future' };
+  }
+  if (now.getTime() - timestamp.getTime() > MAX_POINT_AGE_MS) {
+    return { error: 'Timestamp is more than 24 hours old' };
+  }
+
+  const accuracy = raw.accuracy !== undefined ? parseFloat(raw.accuracy) : null;
+  if (accuracy !== null && accuracy > MAX_ACCURACY_METERS) {
+    return { error: `Accuracy worse than ${MAX_ACCURACY_METERS} m` };
+  }
+
+  return { point: { latitude, longitude, timestamp } };
+};
+
+// Speed in km/h needed to get from one point to the next
+const impliedSpeedKmh = (from, to) => {
+  const hours = (to.timestamp - from.timestamp) / (1000 * 60 * 60);
+  const distance = haversineKm(from, to);
+  if (hours <= 0) return distance > 0.05 ? Infinity : 0;
+  return distance / hours;
+};
+
+// Keep a point on the route only if it is far enough in time and space
+// from the previous breadcrumb
+const shouldAppendToRoute = (previous, point) => {
+  if (!previous || !previous.timestamp) return true;
+
+  const seconds = (point.timestamp - new Date(previous.timestamp)) / 1000;
+  if (seconds < ROUTE_MIN_INTERVAL_SECONDS) return false;
+
+  const meters = haversineKm(previous, point) * 1000;
+  return meters >= ROUTE_MIN_DISTANCE_METERS;
+};
+
+/**
+ * Record one or more GPS points for a driver.
+ *
+ * @param {Document} driver - the authenticated driver User
+ * @param {Object} body - { latitude, longitude, timestamp?, accuracy? } or { points: [...] }
+ * @returns {Promise<Object>} { accepted, rejected, location, deliveries, arrivals }
+ * @throws {ApiError} 400 when no points are supplied or the batch is too large
+ */
+const recordDriverLocation = async (driver, body) => {
+  const rawPoints = extractPoints(body);
+
+  if (rawPoints.length === 0) {
+    throw new ApiError(400, 'Provide latitude and longitude, or a points array');
+  }
+  if (rawPoints.length > MAX_POINTS_PER_BATCH) {
+    throw new ApiError(400, `A batch can contain at most ${MAX_POINTS_PER_BATCH} points`);
+  }
+
+  const now = new Date();
+  const rejected = [];
+  const parsed = [];
+
+  rawPoints.forEach((raw, index) => {
+    const { point, error } = parsePoint(raw || {}, now);
+    if (error) {
+      rejected.push({ index, reason: error });
+    } else {
+      parsed.push({ ...point, index });
+    }
+  });
+
+  parsed.sort((a, b) => a.timestamp - b.timestamp);
+
+  // Compare each point with the last accepted one, starting from the
+  // position we already had for this driver
+  const user = await User.findById(driver._id).select('location');
+  const known = user?.location;
+  let last = known && known.latitude != null && known.lastLocationUpdate
+    ? { latitude: known.latitude, longitude: known.longitude, timestamp: new Date(known.lastLocationUpdate) }
+    : null;
+
+  const accepted = [];
+
+  for (const point of parsed) {
+    if (last && point.timestamp <= last.timestamp) {
+      rejected.push({ index: point.index, reason: 'Older than the last recorded position' });
+      continue;
+    }
+
+    if (last) {
+      const speed = impliedSpeedKmh(last, point);
+      if (speed > MAX_SPEED_KMH) {
+        rejected.push({ index: point.index, reason: `Implausible speed (${Math.round(speed)} km/h)` });
+        continue;
+      }
+    }
+
+    accepted.push(point);
+    last = point;
+  }
+
+  if (accepted.length === 0) {
+    return { accepted: 0, rejected, location: null, deliveries: [], arrivals: [] };
+  }
+
+  const latest = accepted[accepted.length - 1];
+
+  await User.updateOne(
+    { _id: driver._id },
+    {
+      $set: {
+        'location.latitude': latest.latitude,
+        'location.longitude': latest.longitude,
+        'location.lastLocationUpdate': latest.timestamp,
+        updatedAt: now
+      }
+    }
+  );
+
+  await Driver.updateOne(
+    { user: driver._id },
+    {
+      $set: {
+        'location.latitude': latest.latitude,
+        'location.longitude': latest.longitude,
+        'location.lastUpdate': latest.timestamp,
+        updatedAt: now
+      }
+    }
+  );
+
+  const deliveries = await Delivery.find({
+    driver: driver._id,
+    status: { $in: ACTIVE_DELIVERY_STATUSES }
+  })
+    .select('order route pickupLocation deliveryLocation arrivals trip')
+    .populate('order', 'user orderNumber status');
+
+  for (const delivery of deliveries) {
+    const breadcrumbs = [];
+    let previous = delivery.route.length > 0 ? delivery.route[delivery.route.length - 1] : null;
+
+    for (const point of accepted) {
+      if (shouldAppendToRoute(previous, point)) {
+        const breadcrumb = { latitude: point.latitude, longitude: point.longitude, timestamp: point.timestamp };
+        breadcrumbs.push(breadcrumb);
+        previous = breadcrumb;
+      }
+    }
+
+    await Delivery.updateOne(
+      { _id: delivery._id },
+      {
+        $set: {
+          currentLocation: {
+            latitude: latest.latitude,
+            longitude: latest.longitude,
+            lastUpdate: latest.timestamp
+          },
+          updatedAt: now
+        },
+        ...(breadcrumbs.length > 0 ? { $push: { route: { $each: breadcrumbs } } } : {})
+      }
+    );
+  }
+
+  let arrivals = [];
+  try {
+    arrivals = await detectArrivals(driver, deliveries, accepted);
+  } catch (error) {
+    // The location itself is stored; a failed geofence check should not lose it
+    console.error('Error checking geofences:', error);
+  }
+
+  const location = {
+    latitude: latest.latitude,
+    longitude: latest.longitude,
+    timestamp: latest.timestamp
+  };
+
+  publish('driver.location', {
+    driverId: driver._id,
+    location,
+    orders: deliveries.map(delivery => delivery.order?._id).filter(Boolean)
+  }, {
+    customers: deliveries.map(delivery => delivery.order?.user),
+    drivers: [driver._id]
+  });
+
+  return {
+    accepted: accepted.length,
+    rejected,
+    location,
+    deliveries: deliveries.map(delivery => ({ _id: delivery._id, order: delivery.order?._id })),
+    arrivals
+  };
+};
+
+module.exports = {
+  recordDriverLocation
+};
@@ -0,0 +1,243 @@
+// services/earnings.js
+// Driver earnings: computed from the rate card when a delivery completes,
+// recorded in the ledger, and paid out in batches.
+
+const mongoose = require('mongoose');
+const Delivery = require('../models/Delivery');
+const Driver = require('../models/Driver');
+const LedgerEntry = require('../models/LedgerEntry');
+const PayoutBatch = require('../models/PayoutBatch');
+const ApiError = require('../utils/ApiError');
+const { roundCurrency } = require('../utils/currency');
+const { onTransition } = require('./orderStatus');
+
+// Rate card (Rand). Every delivery earns the base fee plus a per-km fee
+// for the pickup-to-dropoff distance beyond the included kilometres.
+const RATE_CARD = {
+  baseFee: parseFloat(process.env.EARNINGS_BASE_FEE) || 25,
+  perKm: parseFloat(process.env.EARNINGS_PER_KM) || 5,
+  includedKm: parseFloat(process.env.EARNINGS_INCLUDED_KM) || 2,
+  minimumTotal: parseFloat(process.env.EARNINGS_MINIMUM_TOTAL) || 25
+};
+
+const calculateEarnings = (distanceKm, tip = 0) => {
+  const chargeableKm = Math.max(0, (distanceKm || 0) - RATE_CARD.includedKm);
+  const baseFee = roundCurrency(RATE_CARD.baseFee);
+  const distanceFee = roundCurrency(chargeableKm * RATE_CARD.perKm);
+  const total = roundCurrency(Math.max(RATE_CARD.minimumTotal, baseFee + distanceFee) + tip);
+
+  return { baseFee, distanceFee, tip, total };
+};
+
+/**
+ * Compute and credit the earnings for a completed delivery. Safe to call
+ * more than once: the ledger allows a single credit per delivery.
+ *
+ * @param {String} orderId
+ * @returns {Promise<Document|null>} the ledger credit, or null if nothing to credit
+ */
+const creditDeliveryEarnings = async (orderId) => {
+  const delivery = await Delivery.findOne({ order: orderId, status: 'completed' });
+  if (!delivery) return null;
+
+  const existing = await LedgerEntry.findOne({ delivery: delivery._id, type: 'credit' });
+  if (existing) return existing;
+
+  const earnings = calculateEarnings(delivery.distance, delivery.earnings?.tip || 0);
+  delivery.earnings = earnings;
+  await delivery.save();
+
+  let credit;
+  try {
+    credit = await LedgerEntry.create({
+      driver: delivery.driver,
+      type: 'credit',
+      amount: earnings.total,
+      delivery: delivery._id,
+      order: delivery.order,
+      breakdown: {
+        baseFee: earnings.baseFee,
+        distanceFee: earnings.distanceFee,
+        tip: earnings.tip
+      },
+      description: `Delivery earnings (${delivery.distance ?? 0} km)`
+    });
+  } catch (error) {
+    // Another request credited this delivery first
+    if (error.code === 11000) return LedgerEntry.findOne({ delivery: delivery._id, type: 'credit' });
+    throw error;
+  }
+
+  await Driver.updateOne(
+    { user: delivery.driver },
+    {
+      $inc: {
+        'earnings.total': earnings.total,
+        'earnings.pending': earnings.total,
+        completedDeliveries: 1,
+        totalDeliveries: 1
+      }
+    }
+  );
+
+  console.log(`💰 Credited R${earnings.total} to driver ${delivery.driver}`);
+
+  return credit;
+};
+
+/**
+ * Pay out every pending credit created up to periodEnd.
+ *
+ * @param {Object} params
+ * @param {Date} params.periodEnd - defaults to now
+ * @param {Array} params.driverIds - limit the batch to these drivers (optional)
+ * @param {Object} params.actor - { id, userType, name }
+ * @param {String} params.notes
+ * @returns {Promise<Document>} the completed payout batch
+ * @throws {ApiError} 400 invalid period end or driverIds, 409 nothing to pay out
+ */
+const runPayoutBatch = async ({ periodEnd = new Date(), driverIds = null, actor = null, notes } = {}) => {
+  const end = new Date(periodEnd);
+  if (Number.isNaN(end.getTime())) {
+    throw new ApiError(400, 'Invalid period end date');
+  }
+
+  if (driverIds !== null && driverIds !== undefined) {
+    if (!Array.isArray(driverIds) || !driverIds.every(id => mongoose.isObjectIdOrHexString(id))) {
+      throw new ApiError(400, 'driverIds must be a list of valid driver IDs');
+    }
+  }
+
+  const filter = { type: 'credit', status: 'pending', createdAt: { $lte: end } };
+  if (driverIds && driverIds.length > 0) {
+    filter.driver = { $in: driverIds.map(id => new mongoose.Types.ObjectId(String(id))) };
+  }
+
+  const batch = await PayoutBatch.create({ periodEnd: end, createdBy: actor, notes });
+
+  // Claim the credits for this batch in one atomic update so two batches
+  // can never pay the same credit
+  const claimed = await LedgerEntry.updateMany(filter, {
+    $set: { status: 'paid', payoutBatch: batch._id }
+  });
+
+  if (claimed.modifiedCount === 0) {
+    await PayoutBatch.deleteOne({ _id: batch._id });
+    throw new ApiError(409, 'There are no pending earnings to pay out for this period');
+  }
+
+  const totals = await LedgerEntry.aggregate([
+    { $match: { payoutBatch: batch._id, type: 'credit' } },
+    { $group: { _id: '$driver', amount: { $sum: '$amount' }, credits: { $sum: 1 } } }
+  ]);
+
+  const payouts = totals.map(entry => ({
+    driver: entry._id,
+    amount: roundCurrency(entry.amount),
+    credits: entry.credits
+  }));
+
+  await LedgerEntry.insertMany(payouts.map(payout => ({
+    driver: payout.driver,
+    type: 'payout',
+    amount: -payout.amount,
+    status: 'paid',
+    payoutBatch: batch._id,
+    description: `Payout for ${payout.credits} deliveries up to ${end.toISOString().slice(0, 10)}`
+  })));
+
+  for (const payout of payouts) {
+    await Driver.updateOne(
+      { user: payout.driver },
+      { $inc: { 'earnings.pending': -payout.amount, 'earnings.paid': payout.amount } }
+    );
+  }
+
+  batch.payouts = payouts;
+  batch.total = roundCurrency(payouts.reduce((sum, payout) => sum + payout.amount, 0));
+  batch.status = 'completed';
+  await batch.save();
+
+  console.log(`💸 Payout batch ${batch._id}: R${batch.total} to ${payouts.length} drivers`);
+
+  return batch;
+};
+
+/**
+ * Statement of a driver's ledger for a period.
+ *
+ * @param {String} driverId
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Promise<Object>} { driver, from, to, openingBalance, credits, payouts, closingBalance, entries }
+ */
+const buildStatement = async (driverId, from, to) => {
+  const driver = new mongoose.Types.ObjectId(driverId);
+
+  // Balance = credits earned minus payouts made
+  const [opening] = await LedgerEntry.aggregate([
+    { $match: { driver, createdAt: { $lt: from } } },
+    { $group: { _id: null, balance: { $sum: '$amount' } } }
+  ]);
+
+  const entries = await LedgerEntry.find({ driver, createdAt: { $gte: from, $lte: to } })
+    .populate('order', 'orderNumber')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const credits = roundCurrency(entries.filter(e => e.amount > 0).reduce((sum, e) => sum + e.amount, 0));
+  const payouts = roundCurrency(entries.filter(e => e.amount < 0).reduce((sum, e) => sum - e.amount, 0));
+  const openingBalance = roundCurrency(opening?.balance || 0);
+
+  return {
+    driver: driverId,
+    from,
+    to,
+    openingBalance,
+    credits,
+    payouts,
+    closingBalance: roundCurrency(openingBalance + credits - payouts),
+    entries
+  };
+};
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const statementToCsv = (statement) => {
+  const rows = [
+    ['Date', 'Type', 'Order', 'Description', 'Amount', 'Status'],
+    ...statement.entries.map(entry => [
+      new Date(entry.createdAt).toISOString(),
+      entry.type,
+      entry.order?.orderNumber || '',
+      entry.description || '',
+      entry.amount.toFixed(2),
+      entry.status
+    ]),
+    [],
+    ['Opening balance', '', '', '', statement.openingBalance.toFixed(2), ''],
+    ['Credits', '', '', '', statement.credits.toFixed(2), ''],
+    ['Payouts', '', '', '', (-statement.payouts).toFixed(2), ''],
+    ['Closing balance', '', '', '', statement.closingBalance.toFixed(2), '']
+  ];
+
+  return rows.map(row => row.map(csvCell).join(',')).join('\n');
+};
+
+onTransition(async (order, { to }) => {
+  if (to === 'delivered') {
+    await creditDeliveryEarnings(order._id);
+  }
+});
+
+module.exports = {
+  RATE_CARD,
+  calculateEarnings,
+  creditDeliveryEarnings,
+  runPayoutBatch,
+  buildStatement,
+  statementToCsv
+};
@@ -0,0 +1,283 @@
+// services/eta.js
+// Delivery time predictions. An ETA is made when the order is confirmed
+// (kitchen time for the slowest item plus the restaurant's queue and any
+// busy-mode delay, then the drive) and remade on every later status
+// change as more is known. The first prediction is kept as the promise we
+// measure accuracy against.
+
+const Driver = require('../models/Driver');
+const MenuItem = require('../models/MenuItem');
+const Order = require('../models/Order');
+const Restaurant = require('../models/Restaurant');
+const Trip = require('../models/Trip');
+const User = require('../models/User');
+const { haversineKm } = require('../utils/geo');
+const { onTransition } = require('./orderStatus');
+const { latestDriverLocation } = require('./dispatch');
+const { publish } = require('./realtime');
+const { getBusyState } = require('./busyMode');
+
+const AVERAGE_SPEED_KMH = parseFloat(process.env.ETA_AVERAGE_SPEED_KMH) || 25;
+// Extra kitchen time for every order ahead in the restaurant's queue
+const QUEUE_MINUTES_PER_ORDER = parseFloat(process.env.ETA_QUEUE_MINUTES_PER_ORDER) || 4;
+// Time to find a driver and get them to the restaurant when none is assigned
+const DRIVER_ARRIVAL_MINUTES = parseFloat(process.env.ETA_DRIVER_ARRIVAL_MINUTES) || 10;
+// Parking and handing the order over at the door
+const HANDOVER_MINUTES = parseFloat(process.env.ETA_HANDOVER_MINUTES) || 3;
+// Used when coordinates are missing and the drive cannot be measured
+const DEFAULT_TRAVEL_MINUTES = parseFloat(process.env.ETA_DEFAULT_TRAVEL_MINUTES) || 20;
+const DEFAULT_PREP_MINUTES = 15;
+// Deliveries this close to the promised time count as on time
+const ON_TIME_TOLERANCE_MINUTES = parseFloat(process.env.ETA_ON_TIME_TOLERANCE_MINUTES) || 5;
+
+// Orders still being prepared in the restaurant's kitchen
+const KITCHEN_STATUSES = ['confirmed', 'assigned'];
+const PREDICTED_STATUSES = ['confirmed', 'assigned', 'picked_up', 'in_transit'];
+
+const MINUTE_MS = 60 * 1000;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const roundBreakdown = (breakdown) => {
+  return Object.fromEntries(Object.entries(breakdown).map(([key, value]) => [key, round(value)]));
+};
+
+const travelMinutes = (from, to) => {
+  const distance = haversineKm(from, to);
+  return distance === null ? null : (distance / AVERAGE_SPEED_KMH) * 60;
+};
+
+// Items cook in parallel, so the slowest one sets the kitchen time
+const kitchenMinutes = async (order) => {
+  const ids = (order.items || []).map(item => item.menuItem).filter(Boolean);
+  const menuItems = await MenuItem.find({ _id: { $in: ids } }).select('preparationTime').lean();
+  const times = menuItems.map(item => item.preparationTime).filter(time => typeof time === 'number');
+  return times.length > 0 ? Math.max(...times) : DEFAULT_PREP_MINUTES;
+};
+
+const queueMinutes = async (order) => {
+  const ahead = await Order.countDocuments({
+    restaurant: order.restaurant,
+    status: { $in: KITCHEN_STATUSES },
+    _id: { $ne: order._id },
+    createdAt: { $lt: order.createdAt }
+  });
+  return ahead * QUEUE_MINUTES_PER_ORDER;
+};
+
+const driverLocation = async (driverId) => {
+  if (!driverId) return null;
+  const [user, profile] = await Promise.all([
+    User.findById(driverId).select('location').lean(),
+    Driver.findOne({ user: driverId }).select('location').lean()
+  ]);
+  return user ? latestDriverLocation(user, profile) : null;
+};
+
+// Planned arrival at this order's dropoff if it is on a multi-order trip
+const tripDropoffEta = async (orderId) => {
+  const trip = await Trip.findOne({ orders: orderId, status: 'active' }).select('stops').lean();
+  const stop = trip?.stops.find(entry =>
+    String(entry.order) === String(orderId) && entry.type === 'dropoff' && entry.status === 'pending'
+  );
+  return stop?.eta || null;
+};
+
+const lastStatusTime = (order, status) => {
+  const entries = (order.statusHistory || []).filter(entry => entry.status === status);
+  return entries.length > 0 ? entries[entries.length - 1].timestamp : null;
+};
+
+/**
+ * Predict when an order will be delivered, from its current status.
+ *
+ * @param {Object} order - order document (not populated)
+ * @param {Date} now
+ * @returns {Promise<Object|null>} { estimatedDeliveryTime, breakdown } or null when there is nothing to predict
+ */
+const predictDelivery = async (order, now = new Date()) => {
+  if (!PREDICTED_STATUSES.includes(order.status)) return null;
+
+  const restaurant = await Restaurant.findById(order.restaurant)
+    .select('name address status busyUntil busySettings')
+    .lean();
+  const restaurantLocation = restaurant?.address?.coordinates;
+  const dropoff = order.deliveryAddress;
+  const location = await driverLocation(order.driver);
+
+  const breakdown = {
+    prepMinutes: 0,
+    queueMinutes: 0,
+    busyMinutes: 0,
+    driverToRestaurantMinutes: 0,
+    travelMinutes: 0,
+    handoverMinutes: HANDOVER_MINUTES
+  };
+
+  if (KITCHEN_STATUSES.includes(order.status)) {
+    // The kitchen estimate is fixed when the order is confirmed
+    const promised = order.etaHistory && order.etaHistory[0];
+    breakdown.prepMinutes = promised ? promised.breakdown.prepMinutes : await kitchenMinutes(order);
+    breakdown.queueMinutes = promised ? promised.breakdown.queueMinutes : await queueMinutes(order);
+    // Busy restaurants get extra kitchen time
+    if (promised) {
+      breakdown.busyMinutes = promised.breakdown.busyMinutes || 0;
+    } else if (restaurant) {
+      breakdown.busyMinutes = (await getBusyState(restaurant, now)).extraPrepMinutes;
+    }
+
+    const confirmedAt = new Date(lastStatusTime(order, 'confirmed') || now);
+    const kitchenMinutesTotal = breakdown.prepMinutes + breakdown.queueMinutes + breakdown.busyMinutes;
+    const readyAt = confirmedAt.getTime() + kitchenMinutesTotal * MINUTE_MS;
+    const kitchenRemaining = Math.max(0, (readyAt - now.getTime()) / MINUTE_MS);
+
+    const driverMinutes = order.driver ? travelMinutes(location, restaurantLocation) : null;
+    breakdown.driverToRestaurantMinutes = driverMinutes ?? DRIVER_ARRIVAL_MINUTES;
+    breakdown.travelMinutes = travelMinutes(restaurantLocation, dropoff) ?? DEFAULT_TRAVEL_MINUTES;
+
+    const departIn = Math.max(kitchenRemaining, breakdown.driverToRestaurantMinutes);
+    const total = departIn + breakdown.travelMinutes + breakdown.handoverMinutes;
+
+    return {
+      estimatedDeliveryTime: new Date(now.getTime() + total * MINUTE_MS),
+      breakdown: roundBreakdown(breakdown)
+    };
+  }
+
+  // On the road: the trip plan knows best when the order shares a trip
+  const planned = await tripDropoffEta(order._id);
+  if (planned && new Date(planned) > now) {
+    return {
+      estimatedDeliveryTime: new Date(new Date(planned).getTime() + HANDOVER_MINUTES * MINUTE_MS),
+      breakdown: roundBreakdown({
+        ...breakdown,
+        travelMinutes: (new Date(planned) - now) / MINUTE_MS
+      })
+    };
+  }
+
+  breakdown.travelMinutes = travelMinutes(location, dropoff) ??
+    travelMinutes(restaurantLocation, dropoff) ??
+    DEFAULT_TRAVEL_MINUTES;
+
+  return {
+    estimatedDeliveryTime: new Date(now.getTime() + (breakdown.travelMinutes + breakdown.handoverMinutes) * MINUTE_MS),
+    breakdown: roundBreakdown(breakdown)
+  };
+};
+
+/**
+ * Make a new prediction for an order and store it.
+ *
+ * @param {String} orderId
+ * @returns {Promise<Object|null>} the stored etaHistory entry
+ */
+const refreshOrderEta = async (orderId) => {
+  const order = await Order.findById(orderId);
+  if (!order) return null;
+
+  const now = new Date();
+  const prediction = await predictDelivery(order, now);
+  if (!prediction) return null;
+
+  const entry = {
+    status: order.status,
+    estimatedDeliveryTime: prediction.estimatedDeliveryTime,
+    calculatedAt: now,
+    breakdown: prediction.breakdown
+  };
+
+  // Only store it if the order has not moved on in the meantime
+  const updated = await Order.updateOne(
+    { _id: order._id, status: order.status },
+    {
+      $set: { estimatedDeliveryTime: entry.estimatedDeliveryTime },
+      $push: { etaHistory: entry }
+    }
+  );
+  if (updated.modifiedCount === 0) return null;
+
+  publish('order.eta_updated', {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    status: order.status,
+    estimatedDeliveryTime: entry.estimatedDeliveryTime
+  }, {
+    customers: [order.user],
+    drivers: [order.driver]
+  });
+
+  return entry;
+};
+
+/**
+ * How the ETA promised at confirmation compared with the actual delivery
+ * time, for orders delivered in a period.
+ *
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Promise<Object>}
+ */
+const getEtaAccuracy = async (from, to) => {
+  const orders = await Order.find({
+    status: 'delivered',
+    actualDeliveryTime: { $gte: from, $lte: to },
+    'etaHistory.0': { $exists: true }
+  })
+    .select('orderNumber actualDeliveryTime estimatedDeliveryTime etaHistory')
+    .lean();
+
+  // Minutes late (positive) or early (negative)
+  const errorMinutes = (predicted, actual) => (new Date(actual) - new Date(predicted)) / MINUTE_MS;
+  const mean = (values) => values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+
+  const promiseErrors = orders.map(order => errorMinutes(order.etaHistory[0].estimatedDeliveryTime, order.actualDeliveryTime));
+  const onTime = promiseErrors.filter(error => error <= ON_TIME_TOLERANCE_MINUTES).length;
+
+  // Accuracy of the last prediction made at each status
+  const byStatus = PREDICTED_STATUSES.map(status => {
+    const errors = orders
+      .map(order => {
+        const predictions = order.etaHistory.filter(entry => entry.status === status);
+        if (predictions.length === 0) return null;
+        return errorMinutes(predictions[predictions.length - 1].estimatedDeliveryTime, order.actualDeliveryTime);
+      })
+      .filter(error => error !== null);
+
+    return {
+      status,
+      count: errors.length,
+      meanErrorMinutes: mean(errors),
+      meanAbsoluteErrorMinutes: mean(errors.map(Math.abs))
+    };
+  });
+
+  return {
+    period: { from, to },
+    count: orders.length,
+    onTimeToleranceMinutes: ON_TIME_TOLERANCE_MINUTES,
+    onTimeRate: orders.length > 0 ? round((onTime / orders.length) * 100) : null,
+    meanErrorMinutes: mean(promiseErrors),
+    meanAbsoluteErrorMinutes: mean(promiseErrors.map(Math.abs)),
+    byStatus
+  };
+};
+
+// Predict on every status change; record the actual time on delivery
+onTransition(async (order, { to }) => {
+  if (to === 'delivered') {
+    const deliveredAt = lastStatusTime(order, 'delivered') || new Date();
+    await Order.updateOne({ _id: order._id }, { $set: { actualDeliveryTime: deliveredAt } });
+    return;
+  }
+
+  if (PREDICTED_STATUSES.includes(to)) {
+    await refreshOrderEta(order._id);
+  }
+});
+
+module.exports = {
+  predictDelivery,
+  refreshOrderEta,
+  getEtaAccuracy
+};
@@ -0,0 +1,197 @@
+// services/geofence.js
+// Detects a driver arriving at the restaurant, leaving it, and arriving at
+// the customer from the GPS points fed into driverTracking. Each crossing is
+// recorded once per delivery on the order's trackingEvents timeline and can
+// optionally move the order along (GEOFENCE_AUTO_ADVANCE=true).
+
+const Delivery = require('../models/Delivery');
+const Order = require('../models/Order');
+const { haversineKm } = require('../utils/geo');
+const { transitionOrder } = require('./orderStatus');
+const { publish } = require('./realtime');
+
+const PICKUP_RADIUS_METERS = parseFloat(process.env.GEOFENCE_PICKUP_RADIUS_METERS) || 100;
+const DROPOFF_RADIUS_METERS = parseFloat(process.env.GEOFENCE_DROPOFF_RADIUS_METERS) || 75;
+// How far outside the pickup radius counts as having left, so GPS jitter
+// at the edge does not produce a departure
+const EXIT_MARGIN_METERS = parseFloat(process.env.GEOFENCE_EXIT_MARGIN_METERS) || 50;
+// Leaving the restaurant marks the order picked up (and in transit);
+// arriving at the customer marks it in transit
+const AUTO_ADVANCE = process.env.GEOFENCE_AUTO_ADVANCE === 'true';
+
+const GEOFENCE_SETTINGS = {
+  pickupRadiusMeters: PICKUP_RADIUS_METERS,
+  dropoffRadiusMeters: DROPOFF_RADIUS_METERS,
+  exitMarginMeters: EXIT_MARGIN_METERS,
+  autoAdvance: AUTO_ADVANCE
+};
+
+const distanceMeters = (point, location) => {
+  const distance = haversineKm(point, location);
+  return distance === null ? null : Math.round(distance * 1000);
+};
+
+// Record a crossing once per delivery; returns the event or null if it
+// was already recorded
+const recordCrossing = async (driver, delivery, field, type, point, meters) => {
+  const claimed = await Delivery.findOneAndUpdate(
+    { _id: delivery._id, [`arrivals.${field}`]: null },
+    { $set: { [`arrivals.${field}`]: point.timestamp, updatedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  const event = {
+    type,
+    timestamp: point.timestamp,
+    location: { latitude: point.latitude, longitude: point.longitude },
+    distanceMeters: meters
+  };
+
+  await Order.updateOne({ _id: delivery.order._id }, { $push: { trackingEvents: event } });
+
+  console.log(`📍 Order ${delivery.order.orderNumber}: ${type.replace(/_/g, ' ')} (${meters} m)`);
+
+  publish('order.tracking_event', {
+    orderId: delivery.order._id,
+    orderNumber: delivery.order.orderNumber,
+    ...event
+  }, {
+    customers: [delivery.order.user],
+    drivers: [driver._id]
+  });
+
+  return event;
+};
+
+const advance = async (driver, delivery, toStatus, note) => {
+  try {
+    const order = await transitionOrder(delivery.order._id, toStatus, {
+      actor: { id: driver._id, userType: 'driver', name: driver.name },
+      note
+    });
+    return order.status;
+  } catch (error) {
+    // The driver or an admin may have moved the order already
+    console.error(`⚠️ Geofence could not move order ${delivery.order.orderNumber} to ${toStatus}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Check accepted GPS points against each active delivery's pickup and
+ * dropoff geofences.
+ *
+ * @param {Document} driver - driver User
+ * @param {Array} deliveries - active deliveries with order (status, user, orderNumber) populated
+ * @param {Array} points - accepted points in time order
+ * @returns {Promise<Array>} [{ order, type, timestamp, distanceMeters }] newly recorded events
+ */
+const detectArrivals = async (driver, deliveries, points) => {
+  const recorded = [];
+
+  for (const delivery of deliveries) {
+    if (!delivery.order) continue;
+
+    const arrivals = {
+      pickupAt: delivery.arrivals?.pickupAt || null,
+      pickupDepartedAt: delivery.arrivals?.pickupDepartedAt || null,
+      dropoffAt: delivery.arrivals?.dropoffAt || null
+    };
+    let status = delivery.order.status;
+
+    for (const point of points) {
+      const toPickup = distanceMeters(point, delivery.pickupLocation);
+      const toDropoff = distanceMeters(point, delivery.deliveryLocation);
+
+      if (toPickup !== null && !arrivals.pickupAt && status === 'assigned' && toPickup <= PICKUP_RADIUS_METERS) {
+        const event = await recordCrossing(driver, delivery, 'pickupAt', 'arrived_at_pickup', point, toPickup);
+        arrivals.pickupAt = point.timestamp;
+        if (event) recorded.push({ order: delivery.order._id, ...event });
+      } else if (toPickup !== null && arrivals.pickupAt && !arrivals.pickupDepartedAt &&
+        toPickup > PICKUP_RADIUS_METERS + EXIT_MARGIN_METERS) {
+        const event = await recordCrossing(driver, delivery, 'pickupDepartedAt', 'departed_pickup', point, toPickup);
+        arrivals.pickupDepartedAt = point.timestamp;
+        if (event) recorded.push({ order: delivery.order._id, ...event });
+
+        if (event && AUTO_ADVANCE && status === 'assigned') {
+          status = await advance(driver, delivery, 'picked_up', 'Left the restaurant (geofence)') || status;
+          // Batched orders go in transit when their dropoff is the next stop
+          if (status === 'picked_up' && !delivery.trip) {
+            status = await advance(driver, delivery, 'in_transit', 'On the way to the customer (geofence)') || status;
+          }
+        }
+      }
+
+      const onTheWay = arrivals.pickupDepartedAt || status === 'picked_up' || status === 'in_transit';
+      if (toDropoff !== null && !arrivals.dropoffAt && onTheWay && toDropoff <= DROPOFF_RADIUS_METERS) {
+        const event = await recordCrossing(driver, delivery, 'dropoffAt', 'arrived_at_dropoff', point, toDropoff);
+        arrivals.dropoffAt = point.timestamp;
+        if (event) recorded.push({ order: delivery.order._id, ...event });
+
+        if (event && AUTO_ADVANCE && status === 'picked_up') {
+          status = await advance(driver, delivery, 'in_transit', 'Arrived at the customer (geofence)') || status;
+        }
+      }
+    }
+  }
+
+  return recorded;
+};
+
+const minutesBetween = (from, to) => {
+  if (!from || !to) return null;
+  return Math.round((new Date(to) - new Date(from)) / 60000 * 10) / 10;
+};
+
+/**
+ * Status changes and geofence events for an order in time order, with the
+ * time the driver spent waiting at each end.
+ *
+ * @param {Object} order - lean order
+ * @returns {Object} { events, waitTimes: { pickupMinutes, dropoffMinutes } }
+ */
+const buildOrderTimeline = (order) => {
+  const statusEvents = (order.statusHistory || []).map(entry => ({
+    kind: 'status',
+    type: entry.status,
+    from: entry.from,
+    timestamp: entry.timestamp,
+    changedBy: entry.changedBy,
+    note: entry.note
+  }));
+  const trackingEvents = (order.trackingEvents || []).map(entry => ({
+    kind: 'tracking',
+    type: entry.type,
+    timestamp: entry.timestamp,
+    location: entry.location,
+    distanceMeters: entry.distanceMeters
+  }));
+
+  const events = [...statusEvents, ...trackingEvents]
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  // Latest occurrence of each event type
+  const at = (kind, type) => {
+    const matches = events.filter(event => event.kind === kind && event.type === type);
+    return matches.length > 0 ? matches[matches.length - 1].timestamp : null;
+  };
+
+  const arrivedAtPickup = at('tracking', 'arrived_at_pickup');
+  const leftPickup = at('tracking', 'departed_pickup') || at('status', 'picked_up');
+  const arrivedAtDropoff = at('tracking', 'arrived_at_dropoff');
+
+  return {
+    events,
+    waitTimes: {
+      pickupMinutes: minutesBetween(arrivedAtPickup, leftPickup),
+      dropoffMinutes: minutesBetween(arrivedAtDropoff, at('status', 'delivered'))
+    }
+  };
+};
+
+module.exports = {
+  GEOFENCE_SETTINGS,
+  detectArrivals,
+  buildOrderTimeline
+};
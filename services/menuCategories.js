@@ -0,0 +1,261 @@
+// services/menuCategories.js
+// Restaurant-owned menu categories shared by the admin menu routes and the
+// vendor portal. Callers check who may manage the restaurant first.
+
+const cloudinary = require('cloudinary').v2;
+const mongoose = require('mongoose');
+const MenuCategory = require('../models/MenuCategory');
+const MenuItem = require('../models/MenuItem');
+const Bundle = require('../models/Bundle');
+const ApiError = require('../utils/ApiError');
+const { uploadToCloudinary } = require('../utils/upload');
+
+// Category images are shown as wide section banners
+const uploadCategoryImage = async (file) => {
+  console.log('📤 Uploading menu category image to Cloudinary...');
+  const result = await uploadToCloudinary(file.buffer, {
+    folder: 'menu-categories',
+    transformation: [
+      {
+        width: 1200,
+        height: 400,
+        crop: 'fill',
+        gravity: 'auto',
+        quality: 'auto',
+        fetch_format: 'auto'
+      }
+    ]
+  });
+  console.log('✅ Image uploaded to Cloudinary:', result.secure_url);
+
+  return {
+    filename: file.originalname,
+    url: result.secure_url,
+    cloudinaryId: result.public_id,
+    uploadedAt: new Date()
+  };
+};
+
+const deleteCategoryImage = async (category) => {
+  if (!category.image?.cloudinaryId) return;
+  try {
+    await cloudinary.uploader.destroy(category.image.cloudinaryId);
+    console.log('🗑️ Menu category image deleted from Cloudinary');
+  } catch (err) {
+    console.log('⚠️ Could not delete image from Cloudinary:', err.message);
+  }
+};
+
+const duplicateName = (name) => new ApiError(409, `This restaurant already has a category named "${name}"`);
+
+const nextDisplayOrder = async (restaurantId) => {
+  const last = await MenuCategory.findOne({ restaurant: restaurantId })
+    .sort({ displayOrder: -1 })
+    .select('displayOrder')
+    .lean();
+  return last ? last.displayOrder + 1 : 0;
+};
+
+const parseCategoryInput = (body, partial = false) => {
+  const fields = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) {
+      throw new ApiError(400, 'Category name is required');
+    }
+    fields.name = name;
+  }
+  if (body.description !== undefined) {
+    fields.description = body.description;
+  }
+  if (body.displayOrder !== undefined && body.displayOrder !== '') {
+    const displayOrder = Number(body.displayOrder);
+    if (!Number.isInteger(displayOrder)) {
+      throw new ApiError(400, 'displayOrder must be a whole number');
+    }
+    fields.displayOrder = displayOrder;
+  }
+
+  return fields;
+};
+
+/**
+ * A restaurant's categories in menu order, each with its item count.
+ *
+ * @param {String} restaurantId
+ * @returns {Promise<Array>}
+ */
+const listMenuCategories = async (restaurantId) => {
+  const [categories, counts] = await Promise.all([
+    MenuCategory.findForRestaurant(restaurantId).lean(),
+    MenuItem.aggregate([
+      { $match: { restaurant: new mongoose.Types.ObjectId(String(restaurantId)) } },
+      { $group: { _id: '$menuCategory', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const countById = new Map(counts.map(entry => [String(entry._id), entry.count]));
+  return categories.map(category => ({
+    ...category,
+    itemCount: countById.get(String(category._id)) || 0
+  }));
+};
+
+/**
+ * Find the category a menu item is being filed under.
+ *
+ * @param {String} restaurantId
+ * @param {Object} body - { categoryId } or { category } (a name)
+ * @returns {Promise<Document>} the category; a name the restaurant does not
+ *   have yet creates it at the end of the menu, so clients that send a
+ *   category name keep working
+ * @throws {ApiError} 400 for a categoryId that is not the restaurant's
+ */
+const resolveMenuCategory = async (restaurantId, { categoryId, category }) => {
+  if (categoryId) {
+    const found = mongoose.isObjectIdOrHexString(categoryId)
+      ? await MenuCategory.findOne({ _id: categoryId, restaurant: restaurantId })
+      : null;
+    if (!found) {
+      throw new ApiError(400, 'Category not found on this restaurant\'s menu');
+    }
+    return found;
+  }
+
+  const name = typeof category === 'string' ? category.trim() : '';
+  if (!name) {
+    throw new ApiError(400, 'A category is required');
+  }
+
+  const existing = await MenuCategory.findByName(restaurantId, name);
+  if (existing) return existing;
+
+  try {
+    const created = await MenuCategory.create({
+      restaurant: restaurantId,
+      name,
+      displayOrder: await nextDisplayOrder(restaurantId)
+    });
+    console.log(`✅ Menu category created: ${created.name}`);
+    return created;
+  } catch (error) {
+    // Created by a concurrent request
+    if (error.code === 11000) return MenuCategory.findByName(restaurantId, name);
+    throw error;
+  }
+};
+
+/**
+ * Query fragment for a ?category= filter: a category id or, for older
+ * clients, a category name.
+ *
+ * @param {String} value
+ * @returns {Object}
+ */
+const categoryFilter = (value) => (
+  mongoose.isObjectIdOrHexString(value) ? { menuCategory: value } : { category: value }
+);
+
+/**
+ * @param {Object} restaurant
+ * @param {Object} body - { name, description, displayOrder }
+ * @param {Object} file - optional multer image
+ * @returns {Promise<Document>}
+ * @throws {ApiError} 400 missing name, 409 name already used
+ */
+const createMenuCategory = async (restaurant, body, file) => {
+  const fields = parseCategoryInput(body);
+
+  if (await MenuCategory.findByName(restaurant._id, fields.name)) {
+    throw duplicateName(fields.name);
+  }
+  if (fields.displayOrder === undefined) {
+    fields.displayOrder = await nextDisplayOrder(restaurant._id);
+  }
+
+  try {
+    const category = await MenuCategory.create({
+      restaurant: restaurant._id,
+      ...fields,
+      image: file ? await uploadCategoryImage(file) : undefined
+    });
+    console.log(`✅ Menu category created: ${category.name}`);
+    return category;
+  } catch (error) {
+    if (error.code === 11000) throw duplicateName(fields.name);
+    throw error;
+  }
+};
+
+/**
+ * Update a category. A new name is copied onto its menu items.
+ *
+ * @param {Document} category
+ * @param {Object} body - { name, description, displayOrder }
+ * @param {Object} file - optional new image
+ * @returns {Promise<Document>}
+ * @throws {ApiError} 400 invalid field, 409 name already used
+ */
+const updateMenuCategory = async (category, body, file) => {
+  const fields = parseCategoryInput(body, true);
+  const renamed = fields.name !== undefined && fields.name !== category.name;
+
+  if (renamed) {
+    const existing = await MenuCategory.findByName(category.restaurant, fields.name);
+    if (existing && !existing._id.equals(category._id)) {
+      throw duplicateName(fields.name);
+    }
+  }
+
+  category.set(fields);
+  if (file) {
+    await deleteCategoryImage(category);
+    category.image = await uploadCategoryImage(file);
+  }
+
+  try {
+    await category.save();
+  } catch (error) {
+    if (error.code === 11000) throw duplicateName(fields.name);
+    throw error;
+  }
+
+  if (renamed) {
+    await MenuItem.updateMany({ menuCategory: category._id }, { $set: { category: category.name } });
+  }
+
+  console.log(`✅ Menu category updated: ${category.name}`);
+  return category;
+};
+
+/**
+ * @param {Document} category
+ * @throws {ApiError} 409 while menu items or bundle slots still use it
+ */
+const deleteMenuCategory = async (category) => {
+  const [itemCount, usedByBundle] = await Promise.all([
+    MenuItem.countDocuments({ menuCategory: category._id }),
+    Bundle.exists({ 'slots.category': category._id })
+  ]);
+
+  if (itemCount > 0) {
+    throw new ApiError(409, `Move the ${itemCount} item(s) in "${category.name}" to another category first`, { itemCount });
+  }
+  if (usedByBundle) {
+    throw new ApiError(409, `"${category.name}" is used by a bundle; change the bundle first`);
+  }
+
+  await deleteCategoryImage(category);
+  await MenuCategory.findByIdAndDelete(category._id);
+  console.log('✅ Menu category deleted:', category.name);
+};
+
+module.exports = {
+  listMenuCategories,
+  resolveMenuCategory,
+  categoryFilter,
+  createMenuCategory,
+  updateMenuCategory,
+  deleteMenuCategory
+};
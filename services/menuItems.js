@@ -0,0 +1,336 @@
+// services/menuItems.js
+// Menu item create/update/delete shared by the admin menu routes and the
+// vendor portal, plus the stock an order takes and gives back. Callers
+// check who may manage the restaurant first.
+
+const cloudinary = require('cloudinary').v2;
+const MenuItem = require('../models/MenuItem');
+const Order = require('../models/Order');
+const ApiError = require('../utils/ApiError');
+const { uploadToCloudinary: uploadImage } = require('../utils/upload');
+const { parseOptionGroups } = require('./menuOptions');
+const { resolveMenuCategory } = require('./menuCategories');
+const { onTransition } = require('./orderStatus');
+
+// Menu item images are cropped to a consistent 4:3 card
+const uploadToCloudinary = (buffer) => {
+  return uploadImage(buffer, {
+    folder: 'menu-items',
+    transformation: [
+      {
+        width: 600,
+        height: 450,
+        crop: 'fill',
+        gravity: 'auto',
+        quality: 'auto:best',
+        fetch_format: 'auto'
+      }
+    ]
+  });
+};
+
+const uploadMenuImage = async (file) => {
+  console.log('📤 Uploading menu item image to Cloudinary...');
+  const result = await uploadToCloudinary(file.buffer);
+  console.log('✅ Image uploaded to Cloudinary:', result.secure_url);
+
+  return {
+    filename: file.originalname,
+    url: result.secure_url,
+    cloudinaryId: result.public_id,
+    uploadedAt: new Date()
+  };
+};
+
+const deleteMenuImage = async (menuItem) => {
+  if (!menuItem.image?.cloudinaryId) return;
+  try {
+    await cloudinary.uploader.destroy(menuItem.image.cloudinaryId);
+    console.log('🗑️ Menu item image deleted from Cloudinary');
+  } catch (err) {
+    console.log('⚠️ Could not delete image from Cloudinary:', err.message);
+  }
+};
+
+// Booleans arrive as strings from FormData
+const isTrue = (value) => value === 'true' || value === true;
+
+/**
+ * @param {Object} restaurant
+ * @param {Object} body - request body (FormData or JSON); the category is
+ *   given as categoryId or by name as category
+ * @param {Object} file - optional multer image
+ * @returns {Promise<Document>}
+ * @throws {ApiError} 400 when a required field is missing, the category is
+ *   not the restaurant's or optionGroups are invalid
+ */
+const createMenuItem = async (restaurant, body, file) => {
+  const {
+    name,
+    description,
+    category,
+    categoryId,
+    price,
+    isVegetarian,
+    isVegan,
+    isGlutenFree,
+    spiceLevel,
+    preparationTime,
+    calories,
+    optionGroups
+  } = body;
+
+  if (!name || !price || !(category || categoryId) || !description) {
+    throw new ApiError(400, 'Name, description, price, and category are required');
+  }
+
+  const menuCategory = await resolveMenuCategory(restaurant._id, { categoryId, category });
+
+  const menuItem = new MenuItem({
+    restaurant: restaurant._id,
+    name,
+    description,
+    menuCategory: menuCategory._id,
+    category: menuCategory.name,
+    price: parseFloat(price),
+    image: file ? await uploadMenuImage(file) : null,
+    isAvailable: true,
+    isVegetarian: isTrue(isVegetarian),
+    isVegan: isTrue(isVegan),
+    isGlutenFree: isTrue(isGlutenFree),
+    spiceLevel: spiceLevel || 'None',
+    preparationTime: preparationTime ? parseInt(preparationTime) : 15,
+    calories: calories ? parseInt(calories) : null,
+    optionGroups: optionGroups !== undefined ? parseOptionGroups(optionGroups) : []
+  });
+
+  await menuItem.save();
+  console.log('✅ Menu item created:', menuItem.name);
+  return menuItem;
+};
+
+/**
+ * Apply an update to a menu item, replacing its image when a new one is sent.
+ *
+ * @param {Document} menuItem
+ * @param {Object} body
+ * @param {Object} file - optional multer image
+ * @returns {Promise<Document>}
+ * @throws {ApiError} 400 when the category is not the restaurant's or optionGroups are invalid
+ */
+const updateMenuItem = async (menuItem, body, file) => {
+  const {
+    name,
+    description,
+    category,
+    categoryId,
+    price,
+    isVegetarian,
+    isVegan,
+    isGlutenFree,
+    spiceLevel,
+    preparationTime,
+    calories,
+    optionGroups
+  } = body;
+
+  if (name) menuItem.name = name;
+  if (description !== undefined) menuItem.description = description;
+  if (category || categoryId) {
+    const menuCategory = await resolveMenuCategory(menuItem.restaurant, { categoryId, category });
+    menuItem.menuCategory = menuCategory._id;
+    menuItem.category = menuCategory.name;
+  }
+  if (price !== undefined) menuItem.price = parseFloat(price);
+  if (preparationTime !== undefined) menuItem.preparationTime = parseInt(preparationTime);
+  if (calories !== undefined) menuItem.calories = calories ? parseInt(calories) : null;
+  if (spiceLevel) menuItem.spiceLevel = spiceLevel;
+  if (optionGroups !== undefined) menuItem.optionGroups = parseOptionGroups(optionGroups);
+
+  menuItem.isVegetarian = isTrue(isVegetarian);
+  menuItem.isVegan = isTrue(isVegan);
+  menuItem.isGlutenFree = isTrue(isGlutenFree);
+
+  if (file) {
+    await deleteMenuImage(menuItem);
+    menuItem.image = await uploadMenuImage(file);
+  }
+
+  await menuItem.save();
+  console.log('✅ Menu item updated successfully:', menuItem.name);
+  return menuItem;
+};
+
+const toggleMenuItemAvailability = async (menuItem) => {
+  menuItem.isAvailable = !menuItem.isAvailable;
+  await menuItem.save();
+  console.log(`✅ Menu item "${menuItem.name}" is now ${menuItem.isAvailable ? 'AVAILABLE' : 'UNAVAILABLE'}`);
+  return menuItem;
+};
+
+/**
+ * Replace a menu item's option groups.
+ *
+ * @param {Document} menuItem
+ * @param {Array|String} optionGroups - see parseOptionGroups()
+ * @returns {Promise<Document>}
+ */
+const setOptionGroups = async (menuItem, optionGroups) => {
+  menuItem.optionGroups = parseOptionGroups(optionGroups);
+  await menuItem.save();
+  console.log(`✅ Options for "${menuItem.name}" updated (${menuItem.optionGroups.length} groups)`);
+  return menuItem;
+};
+
+/**
+ * Mark one option (e.g. "Extra cheese") available or sold out.
+ *
+ * @param {Document} menuItem
+ * @param {String} optionId
+ * @returns {Promise<Object>} the option
+ * @throws {ApiError} 404 when the item has no such option
+ */
+const toggleOptionAvailability = async (menuItem, optionId) => {
+  for (const group of menuItem.optionGroups) {
+    const option = group.options.id(optionId);
+    if (!option) continue;
+
+    option.isAvailable = !option.isAvailable;
+    await menuItem.save();
+    console.log(`✅ Option "${option.name}" on "${menuItem.name}" is now ${option.isAvailable ? 'AVAILABLE' : 'UNAVAILABLE'}`);
+    return option;
+  }
+
+  throw new ApiError(404, 'Option not found on this menu item');
+};
+
+// Total quantity ordered per menu item id; bundles arrive as one line per
+// component, so combos count per dish too
+const quantitiesByMenuItem = (items) => {
+  const quantities = new Map();
+  for (const line of items) {
+    if (!line.menuItem) continue;
+    const id = String(line.menuItem._id || line.menuItem);
+    quantities.set(id, (quantities.get(id) || 0) + line.quantity);
+  }
+  return quantities;
+};
+
+// Put stock back, making a dish that ran out orderable again
+const restock = async (menuItemId, quantity) => {
+  const filter = { _id: menuItemId, 'stockManagement.trackStock': true };
+  await MenuItem.updateOne(filter, { $inc: { 'stockManagement.currentStock': quantity } });
+  await MenuItem.updateOne(
+    { ...filter, 'stockManagement.isOutOfStock': true, 'stockManagement.currentStock': { $gt: 0 } },
+    { $set: { 'stockManagement.isOutOfStock': false, isAvailable: true } }
+  );
+};
+
+const releaseQuantities = async (entries) => {
+  for (const [id, quantity] of entries) {
+    await restock(id, quantity);
+  }
+};
+
+/**
+ * Take a new order's quantities out of stock for dishes that track it.
+ * Each decrement only applies while enough stock is left, so concurrent
+ * orders cannot oversell; on a shortfall the dishes already taken are put
+ * back.
+ *
+ * @param {Array} items - Order.items
+ * @returns {Promise<Boolean>} whether any stock was taken
+ * @throws {ApiError} 400 when a dish has less stock than ordered
+ */
+const reserveStock = async (items) => {
+  const reserved = [];
+
+  try {
+    for (const [id, quantity] of quantitiesByMenuItem(items)) {
+      const menuItem = await MenuItem.findOneAndUpdate(
+        {
+          _id: id,
+          'stockManagement.trackStock': true,
+          'stockManagement.currentStock': { $gte: quantity }
+        },
+        { $inc: { 'stockManagement.currentStock': -quantity } },
+        { new: true }
+      );
+
+      if (!menuItem) {
+        const current = await MenuItem.findById(id).select('name stockManagement').lean();
+        if (current?.stockManagement?.trackStock) {
+          throw new ApiError(400, `Only ${current.stockManagement.currentStock} of ${current.name} left`, {
+            menuItem: id,
+            available: current.stockManagement.currentStock
+          });
+        }
+        continue;
+      }
+
+      reserved.push([id, quantity]);
+      if (menuItem.stockManagement.currentStock === 0) {
+        await MenuItem.updateOne(
+          { _id: id, 'stockManagement.currentStock': 0 },
+          { $set: { 'stockManagement.isOutOfStock': true, isAvailable: false } }
+        );
+      }
+    }
+  } catch (error) {
+    await releaseQuantities(reserved);
+    throw error;
+  }
+
+  return reserved.length > 0;
+};
+
+/**
+ * Return an order's quantities to stock (cancelled or never saved).
+ *
+ * @param {Array} items - Order.items
+ */
+const releaseStock = async (items) => {
+  await releaseQuantities(quantitiesByMenuItem(items));
+};
+
+/**
+ * Count a new order's lines towards each dish's popularity.
+ *
+ * @param {Array} items - Order.items
+ */
+const recordMenuItemSales = async (items) => {
+  for (const [id, quantity] of quantitiesByMenuItem(items)) {
+    await MenuItem.updateOne({ _id: id }, { $inc: { orderCount: quantity, popularity: quantity } });
+  }
+};
+
+// Cancelled and rejected orders give their stock back, once
+onTransition(async (order, { to }) => {
+  if (to !== 'cancelled') return;
+
+  const reserved = await Order.findOneAndUpdate(
+    { _id: order._id, stockReservedAt: { $ne: null } },
+    { $set: { stockReservedAt: null } }
+  ).select('items.menuItem items.quantity');
+  if (reserved) {
+    await releaseStock(reserved.items);
+  }
+});
+
+const deleteMenuItem = async (menuItem) => {
+  await deleteMenuImage(menuItem);
+  await MenuItem.findByIdAndDelete(menuItem._id);
+  console.log('✅ Menu item deleted:', menuItem.name);
+};
+
+module.exports = {
+  createMenuItem,
+  updateMenuItem,
+  toggleMenuItemAvailability,
+  setOptionGroups,
+  toggleOptionAvailability,
+  reserveStock,
+  releaseStock,
+  recordMenuItemSales,
+  deleteMenuItem
+};
@@ -0,0 +1,183 @@
+// services/menuOptions.js
+// Menu item option groups ("Size", "Extra toppings"): single or multiple
+// select, with min/max selections and a price delta per option. Parses
+// group definitions from the menu routes and checks a customer's choices
+// when an order is priced.
+
+const mongoose = require('mongoose');
+const ApiError = require('../utils/ApiError');
+const { roundCurrency } = require('../utils/currency');
+
+const SELECTION_TYPES = ['single', 'multiple'];
+
+// Keep ids of groups/options that already exist so carts holding them stay valid
+const keepId = (value) => (value && mongoose.Types.ObjectId.isValid(value) ? { _id: value } : {});
+
+const parseWholeNumber = (value, field) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new ApiError(400, `${field} must be a whole number of at least 0`);
+  }
+  return number;
+};
+
+/**
+ * Validate option groups from a create/update request.
+ *
+ * @param {Array|String} input - array, or a JSON string when sent as FormData
+ * @returns {Array} groups ready to store on MenuItem.optionGroups
+ * @throws {ApiError} 400 describing the first problem found
+ */
+const parseOptionGroups = (input) => {
+  let groups = input;
+  if (typeof groups === 'string') {
+    try {
+      groups = JSON.parse(groups);
+    } catch (error) {
+      throw new ApiError(400, 'optionGroups must be valid JSON');
+    }
+  }
+  if (!Array.isArray(groups)) {
+    throw new ApiError(400, 'optionGroups must be an array');
+  }
+
+  return groups.map((group, groupIndex) => {
+    const label = `optionGroups[${groupIndex}]`;
+    const name = typeof group?.name === 'string' ? group.name.trim() : '';
+    if (!name) {
+      throw new ApiError(400, `${label}.name is required`);
+    }
+
+    const selectionType = group.selectionType || 'single';
+    if (!SELECTION_TYPES.includes(selectionType)) {
+      throw new ApiError(400, `${label}.selectionType must be one of: ${SELECTION_TYPES.join(', ')}`);
+    }
+
+    if (!Array.isArray(group.options) || group.options.length === 0) {
+      throw new ApiError(400, `${label} needs at least one option`);
+    }
+
+    const options = group.options.map((option, optionIndex) => {
+      const optionLabel = `${label}.options[${optionIndex}]`;
+      const optionName = typeof option?.name === 'string' ? option.name.trim() : '';
+      if (!optionName) {
+        throw new ApiError(400, `${optionLabel}.name is required`);
+      }
+
+      const priceDelta = option.priceDelta === undefined || option.priceDelta === '' ? 0 : Number(option.priceDelta);
+      if (!Number.isFinite(priceDelta)) {
+        throw new ApiError(400, `${optionLabel}.priceDelta must be a number`);
+      }
+
+      return {
+        ...keepId(option._id),
+        name: optionName,
+        priceDelta: roundCurrency(priceDelta),
+        isAvailable: option.isAvailable === undefined ? true : option.isAvailable === true || option.isAvailable === 'true',
+        isDefault: option.isDefault === true || option.isDefault === 'true'
+      };
+    });
+
+    const names = options.map(option => option.name.toLowerCase());
+    if (new Set(names).size !== names.length) {
+      throw new ApiError(400, `${label} has two options with the same name`);
+    }
+
+    const minSelections = group.minSelections === undefined ? 0 : parseWholeNumber(group.minSelections, `${label}.minSelections`);
+    let maxSelections = selectionType === 'single' ? 1 : options.length;
+    if (group.maxSelections !== undefined && group.maxSelections !== null) {
+      maxSelections = parseWholeNumber(group.maxSelections, `${label}.maxSelections`);
+    }
+
+    if (selectionType === 'single' && (maxSelections !== 1 || minSelections > 1)) {
+      throw new ApiError(400, `${label} is single select, so at most one option can be chosen`);
+    }
+    if (maxSelections < 1 || maxSelections < minSelections) {
+      throw new ApiError(400, `${label}.maxSelections must be at least 1 and at least minSelections`);
+    }
+    if (minSelections > options.length) {
+      throw new ApiError(400, `${label}.minSelections is more than the number of options`);
+    }
+    if (options.filter(option => option.isDefault).length > maxSelections) {
+      throw new ApiError(400, `${label} has more default options than maxSelections`);
+    }
+
+    return {
+      ...keepId(group._id),
+      name,
+      selectionType,
+      minSelections,
+      maxSelections,
+      options
+    };
+  });
+};
+
+/**
+ * Check the options chosen for one order line against the item's groups.
+ *
+ * @param {Object} menuItem
+ * @param {Array} selections - [{ group, option }] ids, or option ids on their own
+ * @returns {Object} { options: [{ group, groupName, option, name, priceDelta }], optionsTotal }
+ * @throws {ApiError} 400 for unknown, unavailable or too few/many choices
+ */
+const resolveSelectedOptions = (menuItem, selections = []) => {
+  const groups = menuItem.optionGroups || [];
+
+  if (!Array.isArray(selections)) {
+    throw new ApiError(400, `Options for ${menuItem.name} must be a list`);
+  }
+
+  const chosen = selections.map(selection => {
+    const optionId = String(selection?.option?._id || selection?.option || selection?.optionId || selection);
+    const groupId = selection?.group || selection?.groupId;
+
+    for (const group of groups) {
+      if (groupId && String(group._id) !== String(groupId)) continue;
+      const option = group.options.find(candidate => String(candidate._id) === optionId);
+      if (option) return { group, option };
+    }
+
+    throw new ApiError(400, `${menuItem.name} has no option ${optionId}`);
+  });
+
+  const chosenIds = chosen.map(({ option }) => String(option._id));
+  if (new Set(chosenIds).size !== chosenIds.length) {
+    throw new ApiError(400, `An option for ${menuItem.name} was chosen twice`);
+  }
+
+  for (const { option } of chosen) {
+    if (!option.isAvailable) {
+      throw new ApiError(400, `${option.name} is currently unavailable for ${menuItem.name}`);
+    }
+  }
+
+  for (const group of groups) {
+    const count = chosen.filter(entry => entry.group === group).length;
+    if (count < group.minSelections) {
+      throw new ApiError(400, `Choose at least ${group.minSelections} from "${group.name}" for ${menuItem.name}`);
+    }
+    if (count > group.maxSelections) {
+      throw new ApiError(400, `Choose at most ${group.maxSelections} from "${group.name}" for ${menuItem.name}`);
+    }
+  }
+
+  const options = chosen.map(({ group, option }) => ({
+    group: group._id,
+    groupName: group.name,
+    option: option._id,
+    name: option.name,
+    priceDelta: option.priceDelta
+  }));
+
+  return {
+    options,
+    optionsTotal: roundCurrency(options.reduce((sum, option) => sum + option.priceDelta, 0))
+  };
+};
+
+module.exports = {
+  SELECTION_TYPES,
+  parseOptionGroups,
+  resolveSelectedOptions
+};
@@ -0,0 +1,403 @@
+// services/openingHours.js
+// Opens and closes restaurants on their weekly hours in their own
+// timezone, with date overrides (holidays, special hours) and temporary
+// "paused until" closures. The scheduler only acts when the schedule
+// changes state, so a manual open/close sticks until the next boundary.
+
+const Restaurant = require('../models/Restaurant');
+const ApiError = require('../utils/ApiError');
+
+const DEFAULT_TIMEZONE = process.env.RESTAURANT_DEFAULT_TIMEZONE || 'Africa/Johannesburg';
+const SWEEP_INTERVAL_SECONDS = parseInt(process.env.RESTAURANT_SCHEDULE_INTERVAL_SECONDS, 10) || 60;
+// How far ahead to look for the next opening time
+const LOOKAHEAD_DAYS = 14;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const TIME_PATTERN = /^([01]?\d|2[0-4]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Minutes after midnight for "HH:mm", or null
+const parseTime = (value) => {
+  const match = TIME_PATTERN.exec(String(value || '').trim());
+  if (!match) return null;
+  const minutes = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+  return minutes <= 24 * 60 ? minutes : null;
+};
+
+const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock date and time of an instant in a timezone
+const localParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const get = (type) => parseInt(parts.find(part => part.type === type).value, 10);
+  return {
+    year: get('year'),
+    month: get('month'),
+    day: get('day'),
+    hour: get('hour'),
+    minute: get('minute'),
+    second: get('second')
+  };
+};
+
+// The instant a wall-clock time on a local date happens in a timezone
+// (minutes may run past midnight into the next day)
+const zonedTimeToUtc = (localDate, minutes, timeZone) => {
+  const wallClock = Date.UTC(localDate.year, localDate.month - 1, localDate.day, 0, minutes);
+  const offsetAt = (instant) => {
+    const parts = localParts(new Date(instant), timeZone);
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - instant;
+  };
+
+  // Second pass settles times near a daylight-saving change
+  let instant = wallClock - offsetAt(wallClock);
+  instant = wallClock - offsetAt(instant);
+  return new Date(instant);
+};
+
+const addDays = (localDate, days) => {
+  const date = new Date(Date.UTC(localDate.year, localDate.month - 1, localDate.day + days));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+
+const dateKey = (localDate) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${localDate.year}-${pad(localDate.month)}-${pad(localDate.day)}`;
+};
+
+const weekdayOf = (localDate) => WEEKDAYS[new Date(Date.UTC(localDate.year, localDate.month - 1, localDate.day)).getUTCDay()];
+
+// Open and close minutes for a local date, after overrides
+const hoursForDate = (restaurant, localDate) => {
+  const override = (restaurant.hoursOverrides || []).find(entry => entry.date === dateKey(localDate));
+  if (override) {
+    if (override.closed) return null;
+    const open = parseTime(override.open);
+    const close = parseTime(override.close);
+    return open !== null && close !== null ? { open, close } : null;
+  }
+
+  const hours = restaurant.openingHours?.[weekdayOf(localDate)];
+  const open = parseTime(hours?.open);
+  const close = parseTime(hours?.close);
+  return open !== null && close !== null ? { open, close } : null;
+};
+
+const hasWeeklyHours = (restaurant) => {
+  return WEEKDAYS.some(day => {
+    const hours = restaurant.openingHours?.[day];
+    return parseTime(hours?.open) !== null && parseTime(hours?.close) !== null;
+  });
+};
+
+const hasSchedule = (restaurant) => {
+  return hasWeeklyHours(restaurant) || (restaurant.hoursOverrides || []).length > 0;
+};
+
+// Opening intervals from the day before today to LOOKAHEAD_DAYS ahead
+const openIntervals = (restaurant, now) => {
+  const timeZone = restaurant.timezone || DEFAULT_TIMEZONE;
+  const today = localParts(now, timeZone);
+  const intervals = [];
+
+  for (let offset = -1; offset <= LOOKAHEAD_DAYS; offset++) {
+    const localDate = addDays(today, offset);
+    const hours = hoursForDate(restaurant, localDate);
+    if (!hours) continue;
+
+    // A close time at or before the open time runs past midnight
+    const close = hours.close <= hours.open ? hours.close + 24 * 60 : hours.close;
+    intervals.push({
+      start: zonedTimeToUtc(localDate, hours.open, timeZone),
+      end: zonedTimeToUtc(localDate, close, timeZone)
+    });
+  }
+
+  return intervals;
+};
+
+/**
+ * What the schedule says about a restaurant at a moment.
+ *
+ * @param {Object} restaurant
+ * @param {Date} now
+ * @returns {Object} { scheduled, openBySchedule, closesAt, nextOpeningTime, pausedUntil }
+ */
+const getScheduleState = (restaurant, now = new Date()) => {
+  const pausedUntil = restaurant.pausedUntil && new Date(restaurant.pausedUntil) > now
+    ? new Date(restaurant.pausedUntil)
+    : null;
+
+  if (!hasSchedule(restaurant)) {
+    return {
+      scheduled: false,
+      openBySchedule: !pausedUntil,
+      closesAt: null,
+      nextOpeningTime: pausedUntil,
+      pausedUntil
+    };
+  }
+
+  const intervals = openIntervals(restaurant, now);
+  const current = intervals.find(interval => interval.start <= now && now < interval.end);
+
+  if (current && !pausedUntil) {
+    return {
+      scheduled: true,
+      openBySchedule: true,
+      closesAt: current.end,
+      nextOpeningTime: null,
+      pausedUntil
+    };
+  }
+
+  // Closed: the next time the hours allow trading after any pause
+  const from = pausedUntil || now;
+  const resumesInside = intervals.find(interval => interval.start <= from && from < interval.end);
+  const upcoming = intervals.find(interval => interval.start > from);
+
+  return {
+    scheduled: true,
+    openBySchedule: false,
+    closesAt: null,
+    nextOpeningTime: pausedUntil && resumesInside ? pausedUntil : (upcoming ? upcoming.start : null),
+    pausedUntil
+  };
+};
+
+const isPaused = (restaurant, now = new Date()) => {
+  return Boolean(restaurant.pausedUntil && new Date(restaurant.pausedUntil) > now);
+};
+
+// Open/closed and next opening time for API responses
+const openingInfo = (restaurant, now = new Date()) => {
+  const isOpenNow = restaurant.status !== 'closed' && !isPaused(restaurant, now);
+  const state = getScheduleState(restaurant, now);
+  return {
+    isOpenNow,
+    nextOpeningTime: isOpenNow ? null : state.nextOpeningTime,
+    closesAt: isOpenNow ? state.closesAt : null
+  };
+};
+
+/**
+ * @param {Object} restaurant
+ * @throws {ApiError} 409 with nextOpeningTime when the restaurant is closed or paused
+ */
+const assertAcceptingOrders = (restaurant, now = new Date()) => {
+  const info = openingInfo(restaurant, now);
+  if (!info.isOpenNow) {
+    throw new ApiError(409, `${restaurant.name} is closed and not taking orders right now`, {
+      nextOpeningTime: info.nextOpeningTime
+    });
+  }
+};
+
+/**
+ * Apply the schedule to one restaurant if it has changed state since the
+ * last run. 'busy' restaurants stay busy while open.
+ *
+ * @param {Object} restaurant
+ * @returns {Promise<String|null>} the new status, or null when nothing changed
+ */
+const syncRestaurantStatus = async (restaurant, now = new Date()) => {
+  const state = getScheduleState(restaurant, now);
+  if (!state.scheduled && !restaurant.pausedUntil) return null;
+
+  const desired = state.openBySchedule ? 'open' : 'closed';
+  const pauseExpired = restaurant.pausedUntil && !state.pausedUntil;
+
+  if (restaurant.scheduledStatus === desired) {
+    if (pauseExpired) {
+      await Restaurant.updateOne({ _id: restaurant._id }, { $set: { pausedUntil: null, pauseReason: null } });
+    }
+    return null;
+  }
+
+  const status = desired === 'closed'
+    ? 'closed'
+    : (restaurant.status === 'closed' ? 'open' : restaurant.status);
+
+  const updated = await Restaurant.updateOne(
+    { _id: restaurant._id, scheduledStatus: restaurant.scheduledStatus ?? null },
+    {
+      $set: {
+        status,
+        scheduledStatus: desired,
+        ...(pauseExpired ? { pausedUntil: null, pauseReason: null } : {})
+      }
+    }
+  );
+  if (updated.modifiedCount === 0) return null;
+
+  console.log(`🕒 ${restaurant.name} is now ${status}${state.pausedUntil ? ' (paused)' : ''}`);
+  return status;
+};
+
+const syncAllRestaurantStatuses = async () => {
+  const restaurants = await Restaurant.find({ isActive: true })
+    .select('name status openingHours hoursOverrides timezone pausedUntil scheduledStatus')
+    .lean();
+
+  let changed = 0;
+  for (const restaurant of restaurants) {
+    if (await syncRestaurantStatus(restaurant)) changed++;
+  }
+  return changed;
+};
+
+const startOpeningHoursScheduler = () => {
+  const run = () => {
+    syncAllRestaurantStatuses().catch(error => {
+      console.error('Error applying opening hours:', error);
+    });
+  };
+
+  run();
+  const interval = setInterval(run, SWEEP_INTERVAL_SECONDS * 1000);
+  interval.unref();
+  return interval;
+};
+
+/**
+ * Close a restaurant temporarily.
+ *
+ * @param {String} restaurantId
+ * @param {Object} params - { until } or { minutes }, and an optional reason
+ * @returns {Promise<Document>} the restaurant
+ */
+const pauseRestaurant = async (restaurantId, { until, minutes, reason }) => {
+  const now = new Date();
+  const pausedUntil = until
+    ? new Date(until)
+    : new Date(now.getTime() + (parseFloat(minutes) || 0) * 60 * 1000);
+
+  if (Number.isNaN(pausedUntil.getTime()) || pausedUntil <= now) {
+    throw new ApiError(400, 'Pause needs a future "until" time or a number of minutes');
+  }
+
+  const restaurant = await Restaurant.findById(restaurantId);
+  if (!restaurant) {
+    throw new ApiError(404, 'Restaurant not found');
+  }
+
+  restaurant.pausedUntil = pausedUntil;
+  restaurant.pauseReason = reason || null;
+  restaurant.status = 'closed';
+  restaurant.scheduledStatus = 'closed';
+  await restaurant.save();
+
+  console.log(`⏸️ ${restaurant.name} paused until ${pausedUntil.toISOString()}`);
+  return restaurant;
+};
+
+// End a pause early; the restaurant reopens if its hours allow
+const resumeRestaurant = async (restaurantId) => {
+  const restaurant = await Restaurant.findById(restaurantId);
+  if (!restaurant) {
+    throw new ApiError(404, 'Restaurant not found');
+  }
+
+  restaurant.pausedUntil = null;
+  restaurant.pauseReason = null;
+  const state = getScheduleState(restaurant);
+  if (state.openBySchedule && restaurant.status === 'closed') {
+    restaurant.status = 'open';
+  }
+  restaurant.scheduledStatus = state.openBySchedule ? 'open' : 'closed';
+  await restaurant.save();
+
+  console.log(`▶️ ${restaurant.name} resumed (${restaurant.status})`);
+  return restaurant;
+};
+
+/**
+ * Validate opening hours, timezone and overrides from a request body.
+ *
+ * @param {Object} body - { openingHours: { monday: { open, close } }, timezone, hoursOverrides: [{ date, closed, open, close, note }] }
+ * @returns {Object} fields to set on the restaurant
+ * @throws {ApiError} 400
+ */
+const parseHoursInput = (body) => {
+  const fields = {};
+
+  if (body.timezone !== undefined) {
+    if (!isValidTimezone(body.timezone)) {
+      throw new ApiError(400, `Unknown timezone: ${body.timezone}`);
+    }
+    fields.timezone = body.timezone;
+  }
+
+  if (body.openingHours !== undefined) {
+    fields.openingHours = {};
+    for (const day of WEEKDAYS) {
+      const hours = body.openingHours?.[day];
+      if (!hours || (!hours.open && !hours.close)) {
+        fields.openingHours[day] = { open: null, close: null };
+        continue;
+      }
+      if (parseTime(hours.open) === null || parseTime(hours.close) === null) {
+        throw new ApiError(400, `Opening hours for ${day} must be HH:mm`);
+      }
+      fields.openingHours[day] = { open: hours.open, close: hours.close };
+    }
+  }
+
+  if (body.hoursOverrides !== undefined) {
+    if (!Array.isArray(body.hoursOverrides)) {
+      throw new ApiError(400, 'hoursOverrides must be a list');
+    }
+    fields.hoursOverrides = body.hoursOverrides.map(entry => {
+      if (!DATE_PATTERN.test(entry.date || '')) {
+        throw new ApiError(400, 'Each override needs a date as YYYY-MM-DD');
+      }
+      const closed = entry.closed === true || entry.closed === 'true';
+      if (!closed && (parseTime(entry.open) === null || parseTime(entry.close) === null)) {
+        throw new ApiError(400, `Override for ${entry.date} needs open and close as HH:mm, or closed: true`);
+      }
+      return {
+        date: entry.date,
+        closed,
+        open: closed ? null : entry.open,
+        close: closed ? null : entry.close,
+        note: entry.note
+      };
+    });
+  }
+
+  return fields;
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  localParts,
+  zonedTimeToUtc,
+  dateKey,
+  hasWeeklyHours,
+  getScheduleState,
+  openingInfo,
+  assertAcceptingOrders,
+  syncRestaurantStatus,
+  syncAllRestaurantStatuses,
+  startOpeningHoursScheduler,
+  pauseRestaurant,
+  resumeRestaurant,
+  parseHoursInput
+};
@@ -0,0 +1,97 @@
+// services/orderNumber.js
+// Human-friendly order numbers backed by an atomic daily counter,
+// e.g. DN-20261018-00042, plus a short code support staff can read out
+// over the phone (e.g. "K7Q2MX").
+
+const crypto = require('crypto');
+const Counter = require('../models/Counter');
+
+const ORDER_NUMBER_PREFIX = process.env.ORDER_NUMBER_PREFIX || 'DN';
+const ORDER_NUMBER_TIMEZONE = process.env.ORDER_NUMBER_TIMEZONE || 'Africa/Johannesburg';
+// When true each restaurant gets its own daily sequence
+const ORDER_NUMBER_PER_RESTAURANT = process.env.ORDER_NUMBER_PER_RESTAURANT === 'true';
+
+const MAX_SAVE_ATTEMPTS = 5;
+
+// No 0/O, 1/I/L so codes are easy to read aloud
+const SHORT_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const SHORT_CODE_LENGTH = 6;
+
+// YYYYMMDD in the business timezone, so the sequence resets at local midnight
+const formatDateKey = (date = new Date()) => {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone: ORDER_NUMBER_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(date);
+
+  const get = (type) => parts.find(part => part.type === type).value;
+  return `${get('year')}${get('month')}${get('day')}`;
+};
+
+// Last 4 characters of the restaurant id keep per-restaurant numbers unique
+const restaurantCode = (restaurantId) => String(restaurantId).slice(-4).toUpperCase();
+
+const generateOrderNumber = async ({ restaurantId = null, date = new Date() } = {}) => {
+  const dateKey = formatDateKey(date);
+  const perRestaurant = ORDER_NUMBER_PER_RESTAURANT && restaurantId;
+
+  const counterKey = perRestaurant
+    ? `order:${dateKey}:${restaurantId}`
+    : `order:${dateKey}`;
+
+  const seq = await Counter.next(counterKey);
+  const sequence = String(seq).padStart(5, '0');
+
+  return perRestaurant
+    ? `${ORDER_NUMBER_PREFIX}-${dateKey}-${restaurantCode(restaurantId)}-${sequence}`
+    : `${ORDER_NUMBER_PREFIX}-${dateKey}-${sequence}`;
+};
+
+const generateShortCode = () => {
+  let code = '';
+  for (let i = 0; i < SHORT_CODE_LENGTH; i++) {
+    code += SHORT_CODE_ALPHABET[crypto.randomInt(SHORT_CODE_ALPHABET.length)];
+  }
+  return code;
+};
+
+const isDuplicateNumberError = (error) => {
+  if (!error || error.code !== 11000) return false;
+  const keys = Object.keys(error.keyPattern || error.keyValue || {});
+  return keys.includes('orderNumber') || keys.includes('shortCode');
+};
+
+/**
+ * Assign an order number and short code, then save. If either collides
+ * with the unique index (e.g. a counter was reset) fresh values are drawn.
+ *
+ * @param {Document} order - unsaved Order document
+ * @returns {Promise<Document>} the saved order
+ */
+const saveWithOrderNumber = async (order) => {
+  for (let attempt = 1; attempt <= MAX_SAVE_ATTEMPTS; attempt++) {
+    order.orderNumber = await generateOrderNumber({ restaurantId: order.restaurant });
+    order.shortCode = generateShortCode();
+
+    try {
+      return await order.save();
+    } catch (error) {
+      if (!isDuplicateNumberError(error) || attempt === MAX_SAVE_ATTEMPTS) {
+        throw error;
+      }
+      console.log(`⚠️ Order number ${order.orderNumber} already taken, retrying (${attempt}/${MAX_SAVE_ATTEMPTS})`);
+    }
+  }
+};
+
+// Normalise what support staff type in: trim, uppercase, drop spaces
+const normalizeLookupCode = (code) => String(code || '').trim().toUpperCase().replace(/\s+/g, '');
+
+module.exports = {
+  generateOrderNumber,
+  generateShortCode,
+  saveWithOrderNumber,
+  normalizeLookupCode
+};
@@ -0,0 +1,159 @@
+// services/orderStatus.js
+// Central order status state machine. Every route that changes an order's
+// status (admin, driver or vendor) must go through transitionOrder() so
+// illegal moves are rejected consistently and statusHistory stays complete.
+
+const Order = require('../models/Order');
+const ApiError = require('../utils/ApiError');
+const { syncDeliveryWithOrder } = require('./deliveryLifecycle');
+const { assertProofOfDeliveryPresent } = require('./proofOfDelivery');
+
+const ORDER_STATUSES = ['pending', 'confirmed', 'assigned', 'picked_up', 'in_transit', 'delivered', 'cancelled'];
+
+// Allowed next statuses for each status.
+// assigned -> assigned lets an admin re-assign a different driver.
+const TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['assigned', 'cancelled'],
+  assigned: ['assigned', 'picked_up', 'cancelled'],
+  picked_up: ['in_transit'],
+  in_transit: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+// Listeners run after every successful transition:
+// (order, { from, to, actor, previousDriver })
+const transitionListeners = [];
+
+const onTransition = (listener) => {
+  transitionListeners.push(listener);
+};
+
+const isValidStatus = (status) => ORDER_STATUSES.includes(status);
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+// Build the statusHistory "changedBy" entry from an authenticated request.
+// authMiddleware may attach either an Admin or a User document.
+const actorFromRequest = (req) => {
+  const actor = req.user || req.admin;
+  if (!actor) return null;
+
+  return {
+    id: actor._id,
+    userType: actor.userType || 'admin',
+    name: [actor.name, actor.surname].filter(Boolean).join(' ')
+  };
+};
+
+/**
+ * Move an order to a new status.
+ *
+ * The update is conditional on the order still being in one of the allowed
+ * source statuses, so two concurrent requests cannot both succeed.
+ *
+ * @param {String} orderId
+ * @param {String} toStatus
+ * @param {Object} options
+ * @param {Object} options.actor - { id, userType, name } of who made the change
+ * @param {String} options.note - optional reason (e.g. cancellation reason)
+ * @param {Object} options.set - extra fields to set in the same update
+ * @returns {Promise<Document>} the updated order
+ * @throws {ApiError} 400 invalid status, 404 not found, 409 illegal transition
+ */
+const transitionOrder = async (orderId, toStatus, { actor = null, note = null, set = {} } = {}) => {
+  if (!isValidStatus(toStatus)) {
+    throw new ApiError(400, `Invalid status. Must be one of: ${ORDER_STATUSES.join(', ')}`);
+  }
+
+  // An order can only be 'assigned' together with the driver it is assigned to
+  if (toStatus === 'assigned' && !set.driver) {
+    throw new ApiError(400, 'Use the assign-driver endpoint to assign an order');
+  }
+
+  const current = await Order.findById(orderId).select('status driver').lean();
+  if (!current) {
+    throw new ApiError(404, 'Order not found');
+  }
+
+  if (!canTransition(current.status, toStatus)) {
+    throw new ApiError(409, `Cannot change order status from '${current.status}' to '${toStatus}'`, {
+      currentStatus: current.status,
+      allowedStatuses: TRANSITIONS[current.status] || []
+    });
+  }
+
+  if (toStatus === 'delivered') {
+    await assertProofOfDeliveryPresent(orderId);
+  }
+
+  const now = new Date();
+
+  // A re-assignment also has to start from the driver we read, or two
+  // concurrent re-assignments would both succeed
+  const filter = { _id: orderId, status: current.status };
+  if (current.status === 'assigned' && toStatus === 'assigned') {
+    filter.driver = current.driver || null;
+  }
+
+  const order = await Order.findOneAndUpdate(
+    filter,
+    {
+      $set: {
+        ...set,
+        status: toStatus,
+        deliveryStatus: toStatus,
+        updatedAt: now
+      },
+      $push: {
+        statusHistory: {
+          status: toStatus,
+          from: current.status,
+          timestamp: now,
+          changedBy: actor,
+          note
+        }
+      }
+    },
+    {
+      new: true,
+      runValidators: false
+    }
+  );
+
+  // Someone else changed the status (or driver) between our read and write
+  if (!order) {
+    throw new ApiError(409, 'Order status was changed by another request. Please retry.');
+  }
+
+  console.log(`🔄 Order ${order.orderNumber}: ${current.status} → ${toStatus}`);
+
+  // The status change is already committed, so a delivery sync failure is
+  // logged rather than reported as a failed request
+  try {
+    await syncDeliveryWithOrder(order);
+  } catch (error) {
+    console.error(`⚠️ Could not sync delivery for order ${order.orderNumber}:`, error.message);
+  }
+
+  for (const listener of transitionListeners) {
+    try {
+      await listener(order, { from: current.status, to: toStatus, actor, previousDriver: current.driver || null });
+    } catch (error) {
+      console.error(`⚠️ Order transition listener failed for ${order.orderNumber}:`, error.message);
+    }
+  }
+
+  return order;
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  TRANSITIONS,
+  isValidStatus,
+  canTransition,
+  actorFromRequest,
+  onTransition,
+  transitionOrder
+};
@@ -0,0 +1,212 @@
+// services/pricing.js
+// Server-side order pricing. Item prices always come from MenuItem and the
+// delivery fee and minimum order from the restaurant's delivery zone for the
+// address; client totals are only used as a cross-check.
+
+const mongoose = require('mongoose');
+const MenuItem = require('../models/MenuItem');
+const Bundle = require('../models/Bundle');
+const Restaurant = require('../models/Restaurant');
+const ApiError = require('../utils/ApiError');
+const { roundCurrency } = require('../utils/currency');
+const { resolveDeliveryZone } = require('./deliveryZones');
+const { assertAcceptingOrders } = require('./openingHours');
+const { getBusyState, assertOrderAllowed } = require('./busyMode');
+const { resolveSelectedOptions } = require('./menuOptions');
+const { bundleMenuItemIds, expandBundleLine } = require('./bundles');
+
+// VAT as a fraction (South African VAT is 15%). Applied on the item subtotal.
+const VAT_RATE = process.env.VAT_RATE !== undefined ? parseFloat(process.env.VAT_RATE) : 0.15;
+
+// Largest difference (in Rand) tolerated between client and server totals
+const PRICE_TOLERANCE = 0.01;
+
+// Build one Order.items entry from the requested line and its MenuItem.
+// The unit price is the item price plus the chosen options' deltas.
+const priceLine = (requested, menuItem) => {
+  const quantity = parseInt(requested.quantity, 10) || 1;
+  const { options, optionsTotal } = resolveSelectedOptions(menuItem, requested.options);
+  const price = roundCurrency(menuItem.price + optionsTotal);
+
+  if (price < 0) {
+    throw new ApiError(400, `The options chosen for ${menuItem.name} bring its price below zero`);
+  }
+
+  return {
+    menuItem: menuItem._id,
+    name: menuItem.name,
+    description: menuItem.description,
+    price,
+    basePrice: menuItem.price,
+    options,
+    quantity,
+    subtotal: roundCurrency(price * quantity),
+    image: menuItem.image,
+    category: menuItem.category,
+    specialInstructions: requested.specialInstructions
+  };
+};
+
+/**
+ * Price an order for a restaurant.
+ *
+ * @param {Object} params
+ * @param {String} params.restaurantId
+ * @param {Array} params.items - [{ menuItem, quantity, options, specialInstructions }]
+ *   where options are [{ group, option }] ids from the item's option groups,
+ *   or [{ bundle, quantity, selections: [{ slot, menuItem, options }] }] for
+ *   combos, which come back as one line per component
+ * @param {Object} params.deliveryAddress - { latitude, longitude, ... }
+ * @returns {Promise<Object>} { restaurant, items, subtotal, deliveryFee, tax, total, vatRate, deliveryZone, delayNotice }
+ * @throws {ApiError} 400 for invalid items or options, an address outside
+ *   every delivery zone or below minimum order, 404 unknown restaurant,
+ *   409 restaurant closed or not yet approved,
+ *   429 busy restaurant at its order cap
+ */
+const priceOrder = async ({ restaurantId, items, deliveryAddress }) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ApiError(400, 'At least one item is required');
+  }
+
+  const restaurant = await Restaurant.findById(restaurantId);
+  if (!restaurant) {
+    throw new ApiError(404, 'Restaurant not found');
+  }
+  if (restaurant.onboarding?.status !== 'approved') {
+    throw new ApiError(409, `${restaurant.name} is not taking orders yet`);
+  }
+  assertAcceptingOrders(restaurant);
+
+  const busyState = await getBusyState(restaurant);
+  await assertOrderAllowed(restaurant, busyState);
+
+  // Accept either { menuItem } or { menuItemId } / { _id } on each line,
+  // and { bundle } or { bundleId } for combos
+  const requestedItems = items.map(item => {
+    const bundleId = item.bundle?._id || item.bundle || item.bundleId;
+    if (bundleId) {
+      return { ...item, bundle: bundleId };
+    }
+    return {
+      ...item,
+      menuItem: item.menuItem?._id || item.menuItem || item.menuItemId || item._id
+    };
+  });
+
+  for (const item of requestedItems) {
+    if (item.bundle) {
+      if (!mongoose.Types.ObjectId.isValid(item.bundle)) {
+        throw new ApiError(400, 'Each bundle must reference a valid bundle ID');
+      }
+    } else if (!item.menuItem || !mongoose.Types.ObjectId.isValid(item.menuItem)) {
+      throw new ApiError(400, 'Each item must reference a valid menu item');
+    }
+    const quantity = Number(item.quantity ?? 1);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new ApiError(400, 'Item quantity must be a whole number of at least 1');
+    }
+  }
+
+  const bundleIds = [...new Set(requestedItems.filter(item => item.bundle).map(item => String(item.bundle)))];
+  const bundles = bundleIds.length > 0 ? await Bundle.find({ _id: { $in: bundleIds } }) : [];
+  const bundlesById = new Map(bundles.map(bundle => [String(bundle._id), bundle]));
+
+  const menuItemIds = [...new Set(requestedItems.flatMap(item => {
+    if (!item.bundle) return [String(item.menuItem)];
+    const bundle = bundlesById.get(String(item.bundle));
+    return bundle ? bundleMenuItemIds(bundle, item) : [];
+  }))];
+  const menuItems = await MenuItem.find({ _id: { $in: menuItemIds } });
+  const menuItemsById = new Map(menuItems.map(menuItem => [String(menuItem._id), menuItem]));
+
+  const lines = requestedItems.flatMap((item, index) => {
+    if (item.bundle) {
+      const bundle = bundlesById.get(String(item.bundle));
+      if (!bundle || String(bundle.restaurant) !== String(restaurant._id)) {
+        throw new ApiError(400, `Bundle ${item.bundle} is not on this restaurant's menu`);
+      }
+      return expandBundleLine(item, bundle, menuItemsById, String(index + 1));
+    }
+
+    const menuItem = menuItemsById.get(String(item.menuItem));
+
+    if (!menuItem || String(menuItem.restaurant) !== String(restaurant._id)) {
+      throw new ApiError(400, `Menu item ${item.menuItem} is not on this restaurant's menu`);
+    }
+    if (!menuItem.isActuallyAvailable) {
+      throw new ApiError(400, `${menuItem.name} is currently unavailable`);
+    }
+
+    return [priceLine(item, menuItem)];
+  });
+
+  const subtotal = roundCurrency(lines.reduce((sum, line) => sum + line.subtotal, 0));
+
+  const area = await resolveDeliveryZone(restaurant, {
+    latitude: parseFloat(deliveryAddress?.latitude),
+    longitude: parseFloat(deliveryAddress?.longitude)
+  });
+  if (!area.serviceable) {
+    throw new ApiError(400, area.reason, { serviceable: false, distanceKm: area.distanceKm });
+  }
+
+  if (subtotal < area.minimumOrder) {
+    throw new ApiError(400, `Minimum order for ${restaurant.name} is R${area.minimumOrder.toFixed(2)}`, {
+      minimumOrder: area.minimumOrder,
+      subtotal
+    });
+  }
+
+  const deliveryFee = roundCurrency(area.deliveryFee);
+  const tax = roundCurrency(subtotal * VAT_RATE);
+  const total = roundCurrency(subtotal + deliveryFee + tax);
+
+  return {
+    restaurant,
+    items: lines,
+    subtotal,
+    deliveryFee,
+    tax,
+    total,
+    vatRate: VAT_RATE,
+    deliveryZone: area.zone ? { ...area.zone, distanceKm: area.distanceKm } : null,
+    delayNotice: busyState.delayNotice
+  };
+};
+
+/**
+ * Compare client-supplied totals with the server quote. Fields the client
+ * did not send are ignored.
+ *
+ * @param {Object} quote - result of priceOrder()
+ * @param {Object} clientTotals - { subtotal, deliveryFee, tax, totalAmount }
+ * @throws {ApiError} 409 with the server pricing when any field differs
+ */
+const assertClientTotalsMatch = (quote, clientTotals) => {
+  const expected = {
+    subtotal: quote.subtotal,
+    deliveryFee: quote.deliveryFee,
+    tax: quote.tax,
+    totalAmount: quote.total
+  };
+
+  const mismatches = Object.keys(expected).filter(field => {
+    const value = clientTotals[field];
+    if (value === undefined || value === null || value === '') return false;
+    return Math.abs(parseFloat(value) - expected[field]) > PRICE_TOLERANCE;
+  });
+
+  if (mismatches.length > 0) {
+    throw new ApiError(409, 'Order totals do not match current prices. Please refresh your cart.', {
+      mismatches,
+      pricing: expected
+    });
+  }
+};
+
+module.exports = {
+  VAT_RATE,
+  roundCurrency,
+  priceOrder,
+  assertClientTotalsMatch
+};
@@ -0,0 +1,145 @@
+// services/proofOfDelivery.js
+// Capturing photo/signature proof at handover, checking the customer's
+// delivery PIN, and the guard that stops an order being marked delivered
+// without the proof its restaurant requires.
+
+const crypto = require('crypto');
+const Delivery = require('../models/Delivery');
+const Order = require('../models/Order');
+const Restaurant = require('../models/Restaurant');
+const ApiError = require('../utils/ApiError');
+const { uploadToCloudinary } = require('../utils/upload');
+
+const MAX_PIN_ATTEMPTS = 5;
+const PIN_LENGTH = 4;
+
+const generateDeliveryPin = () => {
+  return String(crypto.randomInt(0, 10 ** PIN_LENGTH)).padStart(PIN_LENGTH, '0');
+};
+
+const PROOF_TRANSFORMATION = [{ width: 1200, crop: 'limit', quality: 'auto' }];
+
+// Constant-time comparison so the PIN cannot be guessed by timing
+const pinMatches = (expected, given) => {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(given).trim());
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+const getRestaurantSettings = async (restaurantId) => {
+  const restaurant = await Restaurant.findById(restaurantId).select('proofOfDelivery');
+  return {
+    required: Boolean(restaurant?.proofOfDelivery?.required),
+    requirePin: Boolean(restaurant?.proofOfDelivery?.requirePin)
+  };
+};
+
+/**
+ * Record proof of delivery for one of the driver's orders.
+ *
+ * @param {Document} driver - the authenticated driver User
+ * @param {String} orderId
+ * @param {Object} proof
+ * @param {Buffer} proof.photo - delivery photo (optional)
+ * @param {Buffer} proof.signature - signature image (optional)
+ * @param {String} proof.pin - PIN read out by the customer (optional unless required)
+ * @param {String} proof.notes
+ * @returns {Promise<Document>} the updated delivery
+ * @throws {ApiError} 400 missing proof, 403 wrong PIN, 404 unknown delivery, 409 wrong state, 429 too many PIN attempts
+ */
+const recordProofOfDelivery = async (driver, orderId, { photo, signature, pin, notes }) => {
+  const order = await Order.findById(orderId).select('orderNumber restaurant status deliveryPin driver');
+  if (!order) {
+    throw new ApiError(404, 'Order not found');
+  }
+
+  const delivery = await Delivery.findOne({ order: order._id, driver: driver._id });
+  if (!delivery) {
+    throw new ApiError(404, 'You are not delivering this order');
+  }
+
+  if (!['picked_up', 'in_transit'].includes(order.status)) {
+    throw new ApiError(409, `Proof of delivery cannot be recorded while the order is '${order.status}'`);
+  }
+
+  if (!photo && !signature) {
+    throw new ApiError(400, 'A delivery photo or signature is required');
+  }
+
+  const settings = await getRestaurantSettings(order.restaurant);
+  const proof = delivery.proofOfDelivery || {};
+
+  if (settings.requirePin && !pin) {
+    throw new ApiError(400, 'The customer delivery PIN is required');
+  }
+
+  if (pin) {
+    if ((proof.pinAttempts || 0) >= MAX_PIN_ATTEMPTS) {
+      throw new ApiError(429, 'Too many incorrect PIN attempts. Please contact support.');
+    }
+
+    if (!order.deliveryPin || !pinMatches(order.deliveryPin, pin)) {
+      delivery.proofOfDelivery.pinAttempts = (proof.pinAttempts || 0) + 1;
+      await delivery.save();
+      throw new ApiError(403, 'Incorrect delivery PIN', {
+        attemptsRemaining: Math.max(0, MAX_PIN_ATTEMPTS - delivery.proofOfDelivery.pinAttempts)
+      });
+    }
+
+    delivery.proofOfDelivery.pinVerified = true;
+  }
+
+  const folder = `proof-of-delivery/${order.orderNumber}`;
+
+  if (photo) {
+    console.log('📤 Uploading delivery photo...');
+    const result = await uploadToCloudinary(photo, { folder, transformation: PROOF_TRANSFORMATION });
+    delivery.proofOfDelivery.photo = result.secure_url;
+  }
+
+  if (signature) {
+    console.log('📤 Uploading delivery signature...');
+    const result = await uploadToCloudinary(signature, { folder });
+    delivery.proofOfDelivery.signature = result.secure_url;
+  }
+
+  if (notes !== undefined) {
+    delivery.proofOfDelivery.notes = notes;
+  }
+
+  delivery.proofOfDelivery.timestamp = new Date();
+  await delivery.save();
+
+  console.log(`✅ Proof of delivery recorded for order ${order.orderNumber}`);
+
+  return delivery;
+};
+
+/**
+ * Guard used by transitionOrder() before an order becomes 'delivered'.
+ *
+ * @param {String} orderId
+ * @throws {ApiError} 409 when the restaurant requires proof that is missing
+ */
+const assertProofOfDeliveryPresent = async (orderId) => {
+  const order = await Order.findById(orderId).select('restaurant');
+  const settings = await getRestaurantSettings(order.restaurant);
+  if (!settings.required && !settings.requirePin) return;
+
+  const delivery = await Delivery.findOne({ order: orderId }).select('proofOfDelivery');
+  const proof = delivery?.proofOfDelivery;
+
+  if (settings.required && !(proof?.timestamp && (proof.photo || proof.signature))) {
+    throw new ApiError(409, 'Proof of delivery (photo or signature) is required before marking this order delivered');
+  }
+
+  if (settings.requirePin && !proof?.pinVerified) {
+    throw new ApiError(409, 'The customer delivery PIN must be verified before marking this order delivered');
+  }
+};
+
+module.exports = {
+  generateDeliveryPin,
+  recordProofOfDelivery,
+  assertProofOfDeliveryPresent
+};
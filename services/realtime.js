@@ -0,0 +1,117 @@
+// services/realtime.js
+// Server-Sent Events push channel. Each connected client is registered with
+// its role; events are delivered to admins, and to the customers and drivers
+// named in the event's audience.
+
+const { onTransition } = require('./orderStatus');
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// id -> { res, role, userId }
+const clients = new Map();
+let nextClientId = 1;
+let nextEventId = 1;
+
+const writeEvent = (res, id, type, data) => {
+  res.write(`id: ${id}\n`);
+  res.write(`event: ${type}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Register an open SSE response.
+ *
+ * @param {Response} res - Express response already set up for event-stream
+ * @param {Object} subscriber - { role: 'admin'|'customer'|'driver'|'vendor', userId }
+ * @returns {Function} unsubscribe
+ */
+const subscribe = (res, { role, userId }) => {
+  const id = nextClientId++;
+  clients.set(id, { res, role, userId: userId ? String(userId) : null });
+
+  writeEvent(res, nextEventId++, 'connected', { role, connectedAt: new Date() });
+  console.log(`📡 Realtime client connected (${role}), ${clients.size} open`);
+
+  return () => {
+    clients.delete(id);
+    console.log(`📡 Realtime client disconnected (${role}), ${clients.size} open`);
+  };
+};
+
+const isInAudience = (client, audience) => {
+  if (client.role === 'admin') return true;
+  if (!client.userId) return false;
+  if (client.role === 'customer') return audience.customers.includes(client.userId);
+  if (client.role === 'driver') return audience.drivers.includes(client.userId);
+  return false;
+};
+
+/**
+ * Send a typed event to every client allowed to see it.
+ *
+ * @param {String} type - e.g. 'order.status_changed'
+ * @param {Object} data - event payload
+ * @param {Object} audience - { customers: [userId], drivers: [userId] }; admins always receive
+ */
+const publish = (type, data, { customers = [], drivers = [] } = {}) => {
+  const audience = {
+    customers: customers.filter(Boolean).map(String),
+    drivers: drivers.filter(Boolean).map(String)
+  };
+  const id = nextEventId++;
+  const payload = { ...data, emittedAt: new Date() };
+
+  for (const client of clients.values()) {
+    if (isInAudience(client, audience)) {
+      writeEvent(client.res, id, type, payload);
+    }
+  }
+};
+
+// Comment lines keep proxies from closing idle connections
+const startHeartbeat = () => {
+  const interval = setInterval(() => {
+    for (const client of clients.values()) {
+      client.res.write(': heartbeat\n\n');
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+  interval.unref();
+  return interval;
+};
+
+const refId = (value) => (value && value._id ? value._id : value);
+
+onTransition((order, { from, to, actor, previousDriver }) => {
+  const driverId = refId(order.driver);
+  const audience = {
+    customers: [refId(order.user)],
+    drivers: [driverId]
+  };
+
+  // Re-assigned: the driver who lost the order has to drop it too
+  if (previousDriver && String(previousDriver) !== String(driverId)) {
+    audience.drivers.push(previousDriver);
+  }
+
+  publish('order.status_changed', {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    from,
+    status: to,
+    changedBy: actor
+  }, audience);
+
+  if (to === 'assigned') {
+    publish('order.driver_assigned', {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      driverId
+    }, audience);
+  }
+});
+
+module.exports = {
+  subscribe,
+  publish,
+  startHeartbeat
+};
@@ -0,0 +1,54 @@
+// services/restaurantAccess.js
+// Who may manage a restaurant: admins, and the vendor who owns it.
+
+const mongoose = require('mongoose');
+const Restaurant = require('../models/Restaurant');
+const ApiError = require('../utils/ApiError');
+
+// Admin documents have no userType; admin users have userType 'admin'
+const isAdmin = (user) => Boolean(user) && (!user.userType || user.userType === 'admin');
+
+const ownsRestaurant = (user, restaurant) => {
+  if (!user || user.userType !== 'vendor' || !restaurant?.vendor) return false;
+  const vendorId = restaurant.vendor._id || restaurant.vendor;
+  return String(vendorId) === String(user._id);
+};
+
+/**
+ * @param {Object} user - req.user
+ * @param {Object} restaurant
+ * @throws {ApiError} 403 unless the user is an admin or the restaurant's vendor
+ */
+const assertCanManageRestaurant = (user, restaurant) => {
+  if (isAdmin(user) || ownsRestaurant(user, restaurant)) return;
+  throw new ApiError(403, 'You do not have access to this restaurant');
+};
+
+/**
+ * Load a restaurant the user may manage.
+ *
+ * @param {Object} user - req.user
+ * @param {String} restaurantId
+ * @returns {Promise<Document>}
+ * @throws {ApiError} 400 invalid id, 404 not found, 403 not theirs
+ */
+const findManagedRestaurant = async (user, restaurantId) => {
+  if (!mongoose.Types.ObjectId.isValid(restaurantId)) {
+    throw new ApiError(400, 'Invalid restaurant ID');
+  }
+
+  const restaurant = await Restaurant.findById(restaurantId);
+  if (!restaurant) {
+    throw new ApiError(404, 'Restaurant not found');
+  }
+
+  assertCanManageRestaurant(user, restaurant);
+  return restaurant;
+};
+
+module.exports = {
+  isAdmin,
+  ownsRestaurant,
+  assertCanManageRestaurant,
+  findManagedRestaurant
+};
@@ -0,0 +1,226 @@
+// services/restaurantOnboarding.js
+// Onboarding pipeline for new restaurants:
+//   draft -> submitted -> in_review -> approved | rejected (-> submitted again)
+// A restaurant can only be submitted or approved once its checklist is
+// complete, and it stays inactive and out of public listings until approved.
+
+const Restaurant = require('../models/Restaurant');
+const MenuItem = require('../models/MenuItem');
+const ApiError = require('../utils/ApiError');
+const { hasWeeklyHours, syncRestaurantStatus } = require('./openingHours');
+
+const ONBOARDING_STATUSES = ['draft', 'submitted', 'in_review', 'approved', 'rejected'];
+
+// Menu items a restaurant needs before it can go live
+const MIN_MENU_ITEMS = parseInt(process.env.ONBOARDING_MIN_MENU_ITEMS, 10) || 5;
+
+const TRANSITIONS = {
+  draft: ['submitted'],
+  submitted: ['in_review', 'approved', 'rejected'],
+  in_review: ['approved', 'rejected'],
+  approved: [],
+  rejected: ['submitted']
+};
+
+/**
+ * What is still missing before a restaurant can go live.
+ *
+ * @param {Object} restaurant - Restaurant document or lean object
+ * @returns {Promise<Object>} { complete, items: [{ key, label, done }] }
+ */
+const buildChecklist = async (restaurant) => {
+  const menuItemCount = await MenuItem.countDocuments({ restaurant: restaurant._id });
+
+  const items = [
+    {
+      key: 'contactVerified',
+      label: 'Contact details verified',
+      done: Boolean(restaurant.onboarding?.contactVerifiedAt)
+    },
+    {
+      key: 'imagesUploaded',
+      label: 'Logo and cover image uploaded',
+      done: Boolean(restaurant.image && restaurant.coverImage)
+    },
+    {
+      key: 'menuItems',
+      label: `At least ${MIN_MENU_ITEMS} menu items`,
+      done: menuItemCount >= MIN_MENU_ITEMS,
+      count: menuItemCount
+    },
+    {
+      key: 'hoursSet',
+      label: 'Opening hours set',
+      done: hasWeeklyHours(restaurant)
+    }
+  ];
+
+  return { complete: items.every(item => item.done), items };
+};
+
+// Extra fields each status sets alongside the status itself
+const fieldsFor = (toStatus, now, comment) => {
+  switch (toStatus) {
+    case 'submitted':
+      return { 'onboarding.submittedAt': now, 'onboarding.reviewComment': null };
+    case 'in_review':
+      return { 'onboarding.reviewStartedAt': now };
+    case 'approved':
+      // Live from now; the opening-hours schedule takes over from 'open'
+      return {
+        'onboarding.decidedAt': now,
+        'onboarding.reviewComment': comment,
+        isActive: true,
+        status: 'open',
+        scheduledStatus: null
+      };
+    case 'rejected':
+      return { 'onboarding.decidedAt': now, 'onboarding.reviewComment': comment };
+    default:
+      return {};
+  }
+};
+
+/**
+ * Move a restaurant to a new onboarding status.
+ *
+ * @param {String} restaurantId
+ * @param {String} toStatus
+ * @param {Object} options
+ * @param {Object} options.actor - { id, userType, name } of who made the change
+ * @param {String} options.comment - required when rejecting
+ * @returns {Promise<Document>} the updated restaurant
+ * @throws {ApiError} 400 invalid status or missing comment, 404 not found,
+ *                    409 illegal move or incomplete checklist
+ */
+const transitionOnboarding = async (restaurantId, toStatus, { actor = null, comment = null } = {}) => {
+  if (!ONBOARDING_STATUSES.includes(toStatus)) {
+    throw new ApiError(400, `Invalid onboarding status. Must be one of: ${ONBOARDING_STATUSES.join(', ')}`);
+  }
+
+  const trimmedComment = typeof comment === 'string' && comment.trim() ? comment.trim() : null;
+  if (toStatus === 'rejected' && !trimmedComment) {
+    throw new ApiError(400, 'A comment explaining the rejection is required');
+  }
+
+  const restaurant = await Restaurant.findById(restaurantId).lean();
+  if (!restaurant) {
+    throw new ApiError(404, 'Restaurant not found');
+  }
+
+  const currentStatus = restaurant.onboarding?.status || 'draft';
+
+  if (!(TRANSITIONS[currentStatus] || []).includes(toStatus)) {
+    throw new ApiError(409, `Cannot move restaurant from '${currentStatus}' to '${toStatus}'`, {
+      currentStatus,
+      allowedStatuses: TRANSITIONS[currentStatus] || []
+    });
+  }
+
+  if (toStatus === 'submitted' || toStatus === 'approved') {
+    const checklist = await buildChecklist(restaurant);
+    if (!checklist.complete) {
+      throw new ApiError(409, 'Complete the onboarding checklist first', { checklist });
+    }
+  }
+
+  const now = new Date();
+
+  const updated = await Restaurant.findOneAndUpdate(
+    { _id: restaurant._id, 'onboarding.status': restaurant.onboarding?.status ?? null },
+    {
+      $set: {
+        ...fieldsFor(toStatus, now, trimmedComment),
+        'onboarding.status': toStatus
+      },
+      $push: {
+        'onboarding.history': {
+          status: toStatus,
+          from: currentStatus,
+          timestamp: now,
+          changedBy: actor,
+          comment: trimmedComment
+        }
+      }
+    },
+    { new: true, runValidators: false }
+  );
+
+  if (!updated) {
+    throw new ApiError(409, 'Onboarding status was changed by another request. Please retry.');
+  }
+
+  console.log(`📝 ${updated.name} onboarding: ${currentStatus} → ${toStatus}`);
+
+  // Apply opening hours now rather than at the next sweep
+  if (toStatus === 'approved') {
+    const status = await syncRestaurantStatus(updated.toObject());
+    if (status) updated.status = status;
+  }
+
+  return updated;
+};
+
+/**
+ * Record that an admin has checked the restaurant's contact details.
+ *
+ * @param {String} restaurantId
+ * @param {Object} actor
+ * @returns {Promise<Document>}
+ */
+const verifyContact = async (restaurantId, actor) => {
+  const restaurant = await Restaurant.findByIdAndUpdate(
+    restaurantId,
+    {
+      $set: { 'onboarding.contactVerifiedAt': new Date() },
+      $push: {
+        'onboarding.history': {
+          status: 'contact_verified',
+          timestamp: new Date(),
+          changedBy: actor
+        }
+      }
+    },
+    { new: true, runValidators: false }
+  );
+
+  if (!restaurant) {
+    throw new ApiError(404, 'Restaurant not found');
+  }
+
+  console.log(`📝 ${restaurant.name} contact details verified`);
+  return restaurant;
+};
+
+/**
+ * Onboarding status, checklist and history for a restaurant.
+ *
+ * @param {Object} restaurant
+ * @returns {Promise<Object>}
+ */
+const describeOnboarding = async (restaurant) => {
+  const onboarding = restaurant.onboarding || {};
+  const status = onboarding.status || 'draft';
+
+  return {
+    restaurant: { _id: restaurant._id, name: restaurant.name },
+    status,
+    allowedStatuses: TRANSITIONS[status] || [],
+    contactVerifiedAt: onboarding.contactVerifiedAt || null,
+    submittedAt: onboarding.submittedAt || null,
+    reviewStartedAt: onboarding.reviewStartedAt || null,
+    decidedAt: onboarding.decidedAt || null,
+    reviewComment: onboarding.reviewComment || null,
+    checklist: await buildChecklist(restaurant),
+    history: onboarding.history || []
+  };
+};
+
+module.exports = {
+  ONBOARDING_STATUSES,
+  MIN_MENU_ITEMS,
+  buildChecklist,
+  transitionOnboarding,
+  verifyContact,
+  describeOnboarding
+};
@@ -0,0 +1,334 @@
+// services/reviews.js
+// Customer reviews of delivered orders. A review rates the restaurant and
+// optionally the driver and individual dishes, and feeds Restaurant.rating /
+// totalReviews, MenuItem.rating and the driver's rating.
+//
+// A new review adds itself to each running average with a single pipeline
+// update, so concurrent reviews cannot overwrite each other. Hiding or
+// unhiding a review recomputes the averages from the visible reviews.
+
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const Order = require('../models/Order');
+const Restaurant = require('../models/Restaurant');
+const MenuItem = require('../models/MenuItem');
+const Driver = require('../models/Driver');
+const ApiError = require('../utils/ApiError');
+const { syncUserRating } = require('./driverProfile');
+
+// How long after delivery an order can still be reviewed
+const REVIEW_WINDOW_DAYS = parseInt(process.env.REVIEW_WINDOW_DAYS, 10) || 14;
+const MAX_COMMENT_LENGTH = 1000;
+// Driver rating when no visible reviews are left (matches the Driver default)
+const DEFAULT_DRIVER_RATING = 5.0;
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+const parseRating = (value, field) => {
+  const rating = Number(value);
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    throw new ApiError(400, `${field} must be a whole number from 1 to 5`);
+  }
+  return rating;
+};
+
+const parseComment = (value, field) => {
+  if (value === undefined || value === null) return undefined;
+  if (typeof value !== 'string') {
+    throw new ApiError(400, `${field} must be text`);
+  }
+  const comment = value.trim();
+  if (comment.length > MAX_COMMENT_LENGTH) {
+    throw new ApiError(400, `${field} must be at most ${MAX_COMMENT_LENGTH} characters`);
+  }
+  return comment || undefined;
+};
+
+// Pipeline update adding one rating to a running average:
+// average' = (average * count + rating) / (count + 1)
+const addToAverage = (averagePath, countPath, rating) => {
+  const average = { $ifNull: [`$${averagePath}`, 0] };
+  const count = { $ifNull: [`$${countPath}`, 0] };
+  return [{
+    $set: {
+      [averagePath]: {
+        $divide: [{ $add: [{ $multiply: [average, count] }, rating] }, { $add: [count, 1] }]
+      },
+      [countPath]: { $add: [count, 1] }
+    }
+  }];
+};
+
+const deliveredAt = (order) => {
+  if (order.actualDeliveryTime) return new Date(order.actualDeliveryTime);
+  const entry = (order.statusHistory || []).filter(h => h.status === 'delivered').pop();
+  return new Date(entry?.timestamp || order.updatedAt);
+};
+
+// Add a new review's ratings to the restaurant, dish and driver averages
+const applyReviewRatings = async (review) => {
+  await Restaurant.updateOne(
+    { _id: review.restaurant },
+    addToAverage('rating', 'totalReviews', review.restaurantRating.rating)
+  );
+
+  if (review.items.length > 0) {
+    const menuItems = await MenuItem.find({ _id: { $in: review.items.map(item => item.menuItem) } });
+    for (const menuItem of menuItems) {
+      const rated = review.items.find(item => String(item.menuItem) === String(menuItem._id));
+      await menuItem.updateRating(rated.rating);
+    }
+  }
+
+  if (review.driver && review.driverRating?.rating) {
+    const profile = await Driver.findOneAndUpdate(
+      { user: review.driver },
+      addToAverage('rating', 'ratingCount', review.driverRating.rating),
+      { new: true }
+    );
+    if (profile) await syncUserRating(profile);
+  }
+};
+
+/**
+ * Review a delivered order.
+ *
+ * @param {Object} customer - req.user
+ * @param {Object} body - { orderId, restaurant: { rating, comment },
+ *   driver: { rating, comment }, items: [{ menuItem, rating, comment }] }
+ * @returns {Promise<Document>}
+ * @throws {ApiError} 400 invalid input, 403 not their order, 404 unknown order,
+ *   409 not delivered, outside the review window or already reviewed
+ */
+const createReview = async (customer, body) => {
+  const { orderId } = body;
+
+  if (!orderId || !mongoose.Types.ObjectId.isValid(orderId)) {
+    throw new ApiError(400, 'A valid orderId is required');
+  }
+
+  const order = await Order.findById(orderId)
+    .select('user restaurant driver status items actualDeliveryTime statusHistory updatedAt')
+    .lean();
+  if (!order) {
+    throw new ApiError(404, 'Order not found');
+  }
+  if (String(order.user) !== String(customer._id)) {
+    throw new ApiError(403, 'You can only review your own orders');
+  }
+  if (order.status !== 'delivered') {
+    throw new ApiError(409, 'Only delivered orders can be reviewed');
+  }
+
+  const windowEnds = new Date(deliveredAt(order).getTime() + REVIEW_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  if (windowEnds < new Date()) {
+    throw new ApiError(409, `Orders can only be reviewed within ${REVIEW_WINDOW_DAYS} days of delivery`);
+  }
+
+  const review = {
+    order: order._id,
+    customer: customer._id,
+    restaurant: order.restaurant,
+    restaurantRating: {
+      rating: parseRating(body.restaurant?.rating, 'restaurant.rating'),
+      comment: parseComment(body.restaurant?.comment, 'restaurant.comment')
+    },
+    items: []
+  };
+
+  if (body.driver?.rating !== undefined) {
+    if (!order.driver) {
+      throw new ApiError(400, 'This order had no driver to rate');
+    }
+    review.driver = order.driver;
+    review.driverRating = {
+      rating: parseRating(body.driver.rating, 'driver.rating'),
+      comment: parseComment(body.driver.comment, 'driver.comment')
+    };
+  }
+
+  for (const [index, item] of (Array.isArray(body.items) ? body.items : []).entries()) {
+    const menuItemId = String(item.menuItem?._id || item.menuItem || '');
+    const line = order.items.find(orderItem => orderItem.menuItem && String(orderItem.menuItem) === menuItemId);
+    if (!line) {
+      throw new ApiError(400, `items[${index}] is not a dish from this order`);
+    }
+    if (review.items.some(rated => String(rated.menuItem) === menuItemId)) {
+      throw new ApiError(400, `items[${index}] rates the same dish twice`);
+    }
+    review.items.push({
+      menuItem: line.menuItem,
+      name: line.name,
+      rating: parseRating(item.rating, `items[${index}].rating`),
+      comment: parseComment(item.comment, `items[${index}].comment`)
+    });
+  }
+
+  let created;
+  try {
+    created = await Review.create(review);
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ApiError(409, 'This order has already been reviewed');
+    }
+    throw error;
+  }
+
+  console.log(`⭐ Review for order ${orderId}: restaurant ${created.restaurantRating.rating}/5`);
+
+  // The review is saved; a failed average update is fixed by a recompute
+  try {
+    await applyReviewRatings(created);
+  } catch (error) {
+    console.error(`⚠️ Could not update ratings for review ${created._id}:`, error.message);
+  }
+
+  return created;
+};
+
+const recomputeRestaurantRating = async (restaurantId) => {
+  const [stats] = await Review.aggregate([
+    { $match: { restaurant: toObjectId(restaurantId), isHidden: false } },
+    { $group: { _id: null, average: { $avg: '$restaurantRating.rating' }, count: { $sum: 1 } } }
+  ]);
+
+  await Restaurant.updateOne(
+    { _id: restaurantId },
+    { $set: { rating: stats?.average || 0, totalReviews: stats?.count || 0 } }
+  );
+};
+
+const recomputeMenuItemRatings = async (menuItemIds) => {
+  if (menuItemIds.length === 0) return;
+  const ids = menuItemIds.map(toObjectId);
+
+  const stats = await Review.aggregate([
+    { $match: { 'items.menuItem': { $in: ids }, isHidden: false } },
+    { $unwind: '$items' },
+    { $match: { 'items.menuItem': { $in: ids } } },
+    { $group: { _id: '$items.menuItem', average: { $avg: '$items.rating' }, count: { $sum: 1 } } }
+  ]);
+  const byId = new Map(stats.map(entry => [String(entry._id), entry]));
+
+  await MenuItem.bulkWrite(ids.map(id => ({
+    updateOne: {
+      filter: { _id: id },
+      update: {
+        $set: {
+          'rating.average': byId.get(String(id))?.average || 0,
+          'rating.count': byId.get(String(id))?.count || 0
+        }
+      }
+    }
+  })));
+};
+
+const recomputeDriverRating = async (driverId) => {
+  const [stats] = await Review.aggregate([
+    { $match: { driver: toObjectId(driverId), isHidden: false, 'driverRating.rating': { $ne: null } } },
+    { $group: { _id: null, average: { $avg: '$driverRating.rating' }, count: { $sum: 1 } } }
+  ]);
+
+  const profile = await Driver.findOneAndUpdate(
+    { user: driverId },
+    { $set: { rating: stats ? stats.average : DEFAULT_DRIVER_RATING, ratingCount: stats?.count || 0 } },
+    { new: true }
+  );
+  if (profile) await syncUserRating(profile);
+};
+
+// Recompute everything one review contributes to
+const recomputeForReview = async (review) => {
+  await recomputeRestaurantRating(review.restaurant);
+  await recomputeMenuItemRatings(review.items.map(item => item.menuItem));
+  if (review.driver) {
+    await recomputeDriverRating(review.driver);
+  }
+};
+
+/**
+ * Rebuild the rating aggregates from the visible reviews.
+ *
+ * @param {Object} options
+ * @param {String} options.restaurantId - limit to one restaurant, its dishes
+ *   and the drivers reviewed on its orders (default: everything reviewed)
+ * @returns {Promise<Object>} { restaurants, menuItems, drivers } counts recomputed
+ */
+const recomputeRatings = async ({ restaurantId } = {}) => {
+  const match = restaurantId ? { restaurant: toObjectId(restaurantId) } : {};
+
+  const [restaurantIds, menuItemIds, driverIds] = await Promise.all([
+    Review.distinct('restaurant', match),
+    Review.distinct('items.menuItem', match),
+    Review.distinct('driver', { ...match, driver: { $ne: null } })
+  ]);
+
+  for (const id of restaurantIds) {
+    await recomputeRestaurantRating(id);
+  }
+  await recomputeMenuItemRatings(menuItemIds);
+  for (const id of driverIds) {
+    await recomputeDriverRating(id);
+  }
+
+  console.log(`⭐ Ratings recomputed: ${restaurantIds.length} restaurants, ${menuItemIds.length} dishes, ${driverIds.length} drivers`);
+
+  return {
+    restaurants: restaurantIds.length,
+    menuItems: menuItemIds.length,
+    drivers: driverIds.length
+  };
+};
+
+/**
+ * Hide or unhide a review and recompute the ratings it feeds.
+ *
+ * @param {String} reviewId
+ * @param {Boolean} hidden
+ * @param {Object} options
+ * @param {String} options.reason - required when hiding
+ * @param {Object} options.actor - { id, userType, name }
+ * @returns {Promise<Document>}
+ * @throws {ApiError} 400 invalid id or missing reason, 404 not found,
+ *   409 already in that state
+ */
+const setReviewHidden = async (reviewId, hidden, { reason, actor = null } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(reviewId)) {
+    throw new ApiError(400, 'Invalid review ID');
+  }
+
+  const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+  if (hidden && !trimmedReason) {
+    throw new ApiError(400, 'A reason is required to hide a review');
+  }
+
+  const review = await Review.findOneAndUpdate(
+    { _id: reviewId, isHidden: !hidden },
+    {
+      $set: hidden
+        ? { isHidden: true, hiddenReason: trimmedReason, hiddenAt: new Date(), hiddenBy: actor }
+        : { isHidden: false, hiddenReason: null, hiddenAt: null, hiddenBy: null }
+    },
+    { new: true }
+  );
+
+  if (!review) {
+    const exists = await Review.exists({ _id: reviewId });
+    if (!exists) {
+      throw new ApiError(404, 'Review not found');
+    }
+    throw new ApiError(409, `Review is already ${hidden ? 'hidden' : 'visible'}`);
+  }
+
+  console.log(`⭐ Review ${review._id} ${hidden ? `hidden: ${trimmedReason}` : 'restored'}`);
+
+  await recomputeForReview(review);
+  return review;
+};
+
+module.exports = {
+  REVIEW_WINDOW_DAYS,
+  createReview,
+  recomputeRatings,
+  setReviewHidden
+};
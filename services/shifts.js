@@ -0,0 +1,292 @@
+// services/shifts.js
+// Driver shifts: booking, clocking in and out, and the on-shift state that
+// dispatch and the dashboard use. Clocking in/out is what toggles
+// Driver.status and Driver.isAvailable; taking and finishing orders moves
+// an on-shift driver between 'active' and 'busy'.
+
+const mongoose = require('mongoose');
+const Driver = require('../models/Driver');
+const Order = require('../models/Order');
+const Shift = require('../models/Shift');
+const ApiError = require('../utils/ApiError');
+const { onTransition } = require('./orderStatus');
+const { DEFAULT_TIMEZONE, localParts, zonedTimeToUtc, dateKey } = require('./openingHours');
+
+const MAX_SHIFT_HOURS = parseInt(process.env.SHIFT_MAX_HOURS, 10) || 12;
+// How early a driver may clock in to a booked shift
+const CLOCK_IN_EARLY_MINUTES = parseInt(process.env.SHIFT_CLOCK_IN_EARLY_MINUTES, 10) || 30;
+
+// Timezone the roster counts days and hours in
+const ROSTER_TIMEZONE = process.env.SHIFT_ROSTER_TIMEZONE || DEFAULT_TIMEZONE;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const ACTIVE_ORDER_STATUSES = ['assigned', 'picked_up', 'in_transit'];
+
+const parseDate = (value, label) => {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) {
+    throw new ApiError(400, `A valid ${label} is required`);
+  }
+  return date;
+};
+
+// Booked shifts that ended without the driver clocking in
+const markMissedShifts = async () => {
+  await Shift.updateMany(
+    { status: 'scheduled', endsAt: { $lte: new Date() } },
+    { $set: { status: 'missed' } }
+  );
+};
+
+const setDutyState = async (driverId, status, isAvailable) => {
+  await Driver.updateOne(
+    { user: driverId },
+    { $set: { status, isAvailable, updatedAt: new Date() } }
+  );
+};
+
+/**
+ * Book a future shift.
+ *
+ * @param {String} driverId
+ * @param {Object} params - { startsAt, endsAt, notes }
+ * @returns {Promise<Document>} the shift
+ * @throws {ApiError} 400 invalid times, 409 overlaps another shift
+ */
+const bookShift = async (driverId, { startsAt, endsAt, notes }) => {
+  const start = parseDate(startsAt, 'start time');
+  const end = parseDate(endsAt, 'end time');
+
+  if (start <= new Date()) {
+    throw new ApiError(400, 'Shifts must be booked in the future');
+  }
+  if (end <= start) {
+    throw new ApiError(400, 'Shift must end after it starts');
+  }
+  if (end - start > MAX_SHIFT_HOURS * HOUR_MS) {
+    throw new ApiError(400, `Shifts can be at most ${MAX_SHIFT_HOURS} hours long`);
+  }
+
+  const overlapping = await Shift.findOne({
+    driver: driverId,
+    status: { $in: ['scheduled', 'active'] },
+    startsAt: { $lt: end },
+    endsAt: { $gt: start }
+  });
+  if (overlapping) {
+    throw new ApiError(409, 'This shift overlaps another booked shift', { shiftId: overlapping._id });
+  }
+
+  return Shift.create({ driver: driverId, startsAt: start, endsAt: end, notes });
+};
+
+const cancelShift = async (driverId, shiftId) => {
+  if (!mongoose.Types.ObjectId.isValid(shiftId)) {
+    throw new ApiError(400, 'Invalid shift ID');
+  }
+
+  const shift = await Shift.findOneAndUpdate(
+    { _id: shiftId, driver: driverId, status: 'scheduled' },
+    { $set: { status: 'cancelled' } },
+    { new: true }
+  );
+
+  if (!shift) {
+    throw new ApiError(404, 'No booked shift found to cancel');
+  }
+  return shift;
+};
+
+/**
+ * Clock a driver in, attaching to a booked shift that is about to start
+ * or already running, otherwise starting an ad-hoc shift.
+ *
+ * @param {String} driverId
+ * @returns {Promise<Document>} the active shift
+ * @throws {ApiError} 409 already clocked in
+ */
+const clockIn = async (driverId) => {
+  const now = new Date();
+
+  const active = await Shift.findOne({ driver: driverId, status: 'active' });
+  if (active) {
+    throw new ApiError(409, 'You are already clocked in', { shiftId: active._id });
+  }
+
+  let shift = await Shift.findOneAndUpdate(
+    {
+      driver: driverId,
+      status: 'scheduled',
+      startsAt: { $lte: new Date(now.getTime() + CLOCK_IN_EARLY_MINUTES * 60 * 1000) },
+      endsAt: { $gt: now }
+    },
+    { $set: { status: 'active', clockInAt: now } },
+    { new: true, sort: { startsAt: 1 } }
+  );
+
+  try {
+    if (!shift) {
+      shift = await Shift.create({ driver: driverId, status: 'active', clockInAt: now });
+    }
+  } catch (error) {
+    // The partial unique index caught a double clock-in
+    if (error.code === 11000) throw new ApiError(409, 'You are already clocked in');
+    throw error;
+  }
+
+  const activeOrders = await Order.countDocuments({ driver: driverId, status: { $in: ACTIVE_ORDER_STATUSES } });
+  await setDutyState(driverId, activeOrders > 0 ? 'busy' : 'active', true);
+
+  console.log(`🟢 Driver ${driverId} clocked in`);
+  return shift;
+};
+
+const clockOut = async (driverId) => {
+  const shift = await Shift.findOneAndUpdate(
+    { driver: driverId, status: 'active' },
+    { $set: { status: 'completed', clockOutAt: new Date() } },
+    { new: true }
+  );
+
+  if (!shift) {
+    throw new ApiError(409, 'You are not clocked in');
+  }
+
+  await setDutyState(driverId, 'inactive', false);
+
+  console.log(`🔴 Driver ${driverId} clocked out`);
+  return shift;
+};
+
+// Ids (as strings) of drivers clocked in right now
+const getOnShiftDriverIds = async () => {
+  const ids = await Shift.distinct('driver', { status: 'active' });
+  return new Set(ids.map(String));
+};
+
+// Number of drivers that were clocked in at a given moment
+const countDriversOnShiftAt = async (moment) => {
+  const ids = await Shift.distinct('driver', {
+    clockInAt: { $lte: moment },
+    $or: [{ clockOutAt: null }, { clockOutAt: { $gte: moment } }]
+  });
+  return ids.length;
+};
+
+// { year, month, day } for "YYYY-MM-DD", or null
+const parseLocalDate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+  if (!match) return null;
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? { year, month, day } : null;
+};
+
+/**
+ * Planned vs actual driver coverage for each hour of a day.
+ *
+ * @param {String} date - YYYY-MM-DD in the roster timezone (omit for today)
+ * @returns {Promise<Object>} { date, timezone, hours: [{ hour, start, planned, actual, gap }] }
+ * @throws {ApiError} 400 for an invalid date
+ */
+const buildRoster = async (date) => {
+  const localDate = date ? parseLocalDate(date) : localParts(new Date(), ROSTER_TIMEZONE);
+  if (!localDate) {
+    throw new ApiError(400, 'Invalid date');
+  }
+
+  await markMissedShifts();
+
+  // Hours are wall-clock hours, so a daylight-saving day has 23 or 25 of them
+  const dayStart = zonedTimeToUtc(localDate, 0, ROSTER_TIMEZONE);
+  const dayEnd = zonedTimeToUtc(localDate, 24 * 60, ROSTER_TIMEZONE);
+  const hourStarts = [];
+  for (let time = dayStart.getTime(); time < dayEnd.getTime(); time += HOUR_MS) {
+    hourStarts.push(new Date(time));
+  }
+  const now = new Date();
+
+  const shifts = await Shift.find({
+    status: { $ne: 'cancelled' },
+    $or: [
+      { startsAt: { $lt: dayEnd }, endsAt: { $gt: dayStart } },
+      { clockInAt: { $lt: dayEnd }, $or: [{ clockOutAt: null }, { clockOutAt: { $gt: dayStart } }] }
+    ]
+  }).lean();
+
+  const overlaps = (from, to, hourStart, hourEnd) => from && to && from < hourEnd && to > hourStart;
+
+  const roster = hourStarts.map(hourStart => {
+    const hourEnd = new Date(hourStart.getTime() + HOUR_MS);
+
+    const planned = new Set();
+    const actual = new Set();
+
+    for (const shift of shifts) {
+      if (overlaps(shift.startsAt, shift.endsAt, hourStart, hourEnd)) {
+        planned.add(String(shift.driver));
+      }
+      const clockOut = shift.clockOutAt || (shift.status === 'active' ? now : null);
+      if (overlaps(shift.clockInAt, clockOut, hourStart, hourEnd)) {
+        actual.add(String(shift.driver));
+      }
+    }
+
+    return {
+      hour: localParts(hourStart, ROSTER_TIMEZONE).hour,
+      start: hourStart,
+      planned: planned.size,
+      actual: actual.size,
+      gap: actual.size - planned.size
+    };
+  });
+
+  return {
+    date: dateKey(localDate),
+    timezone: ROSTER_TIMEZONE,
+    hours: roster
+  };
+};
+
+// An on-shift driver carrying no more orders is free for dispatch again
+const releaseIfIdle = async (driverId) => {
+  const stillCarrying = await Order.countDocuments({ driver: driverId, status: { $in: ACTIVE_ORDER_STATUSES } });
+  if (stillCarrying === 0) {
+    await setDutyState(driverId, 'active', true);
+  }
+};
+
+// Keep on-shift drivers' status in step with the orders they carry
+onTransition(async (order, { from, to, previousDriver }) => {
+  const driverId = order.driver?._id || order.driver;
+
+  // Re-assigned: the driver who lost the order may now be idle
+  if (to === 'assigned' && from === 'assigned' && previousDriver && String(previousDriver) !== String(driverId)) {
+    if (await Shift.exists({ driver: previousDriver, status: 'active' })) {
+      await releaseIfIdle(previousDriver);
+    }
+  }
+
+  if (!driverId) return;
+
+  const onShift = await Shift.exists({ driver: driverId, status: 'active' });
+  if (!onShift) return;
+
+  if (to === 'assigned') {
+    await setDutyState(driverId, 'busy', true);
+  } else if (to === 'delivered' || to === 'cancelled') {
+    await releaseIfIdle(driverId);
+  }
+});
+
+module.exports = {
+  markMissedShifts,
+  bookShift,
+  cancelShift,
+  clockIn,
+  clockOut,
+  getOnShiftDriverIds,
+  countDriversOnShiftAt,
+  buildRoster
+};
@@ -0,0 +1,24 @@
+// utils/ApiError.js
+// Error carrying an HTTP status code so services can fail with the right
+// response without knowing about Express. Routes check `error.statusCode`
+// in their catch blocks and fall back to 500 otherwise.
+
+class ApiError extends Error {
+  constructor(statusCode, message, details = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+
+  // Shape used by every route: { success: false, message, ...details }
+  toJSON() {
+    return {
+      success: false,
+      message: this.message,
+      ...(this.details || {})
+    };
+  }
+}
+
+module.exports = ApiError;
@@ -0,0 +1,9 @@
+// utils/currency.js
+// Money helpers shared by pricing, delivery fees, menu options and earnings.
+
+// Round to cents (Rand), nudging halves up despite floating point error
+const roundCurrency = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+module.exports = {
+  roundCurrency
+};
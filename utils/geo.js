@@ -0,0 +1,60 @@
+// utils/geo.js
+// Small geographic helpers shared by dispatch, tracking and delivery code.
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+const isValidCoordinate = (latitude, longitude) => {
+  return typeof latitude === 'number' && typeof longitude === 'number' &&
+    !Number.isNaN(latitude) && !Number.isNaN(longitude) &&
+    latitude >= -90 && latitude <= 90 &&
+    longitude >= -180 && longitude <= 180;
+};
+
+// Great-circle distance between two { latitude, longitude } points in kilometers.
+// Returns null when either point is missing coordinates.
+const haversineKm = (from, to) => {
+  if (!from || !to) return null;
+  if (!isValidCoordinate(from.latitude, from.longitude) || !isValidCoordinate(to.latitude, to.longitude)) {
+    return null;
+  }
+
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Whether a { latitude, longitude } point lies inside a polygon given as a
+// list of { latitude, longitude } vertices (ray casting; fine at city scale).
+const pointInPolygon = (point, polygon) => {
+  if (!point || !Array.isArray(polygon) || polygon.length < 3) return false;
+  if (!isValidCoordinate(point.latitude, point.longitude)) return false;
+
+  const x = point.longitude;
+  const y = point.latitude;
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const xi = polygon[i].longitude;
+    const yi = polygon[i].latitude;
+    const xj = polygon[j].longitude;
+    const yj = polygon[j].latitude;
+
+    const crosses = (yi > y) !== (yj > y) &&
+      x < ((xj - xi) * (y - yi)) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+
+  return inside;
+};
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  isValidCoordinate,
+  haversineKm,
+  pointInPolygon
+};